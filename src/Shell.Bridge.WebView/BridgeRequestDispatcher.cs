@@ -0,0 +1,188 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Reflection;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Shell.Core;
+
+namespace Shell.Bridge.WebView;
+
+/// <summary>
+/// Message RPC for the Web UI (announced as rpcMode "message" in the "connected"
+/// handshake). Runs { type: "request", id, method, args } messages against the
+/// ShellApi's JS-facing methods and answers each with
+/// { type: "response", id, result } or { type: "response", id, error: { code, message } }.
+/// Calls run on the UI thread like host object calls do: ShellCore state is not
+/// thread-safe and the events a call publishes are posted through the WebView.
+/// Only the reply is asynchronous. A { type: "cancel", id } drops the answer to a
+/// request that is still running; the native call cannot be interrupted.
+/// </summary>
+internal sealed class BridgeRequestDispatcher
+{
+    internal const string RpcMode = "message";
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    private readonly ShellApi _api;
+    private readonly Func<Func<object?>, Task<object?>> _runOnUiThread;
+    private readonly Action<string> _postToUi;
+    private readonly Dictionary<string, MethodInfo> _methods;
+    // Requests still waiting for their answer; cancelling removes them.
+    private readonly ConcurrentDictionary<string, string> _pending = new();
+
+    /// <param name="runOnUiThread">Runs a call on the UI thread and completes with its result.</param>
+    /// <param name="postToUi">Posts a serialized message to the Web UI (from any thread).</param>
+    public BridgeRequestDispatcher(ShellApi api, Func<Func<object?>, Task<object?>> runOnUiThread, Action<string> postToUi)
+    {
+        _api = api ?? throw new ArgumentNullException(nameof(api));
+        _runOnUiThread = runOnUiThread ?? throw new ArgumentNullException(nameof(runOnUiThread));
+        _postToUi = postToUi ?? throw new ArgumentNullException(nameof(postToUi));
+        _methods = ShellApi.GetJsMethods()
+            .GroupBy(method => method.Name, StringComparer.Ordinal)
+            .ToDictionary(group => group.Key, group => group.First(), StringComparer.Ordinal);
+    }
+
+    /// <summary>
+    /// Handle a message posted by the Web UI. Returns false for messages that
+    /// are not requests or cancellations.
+    /// </summary>
+    public bool HandleMessage(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return false;
+        }
+
+        JsonElement message;
+        try
+        {
+            using var document = JsonDocument.Parse(json);
+            message = document.RootElement.Clone();
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+
+        if (message.ValueKind != JsonValueKind.Object ||
+            !message.TryGetProperty("type", out var type) ||
+            !message.TryGetProperty("id", out var idElement) ||
+            idElement.ValueKind != JsonValueKind.String)
+        {
+            return false;
+        }
+
+        var id = idElement.GetString()!;
+        switch (type.GetString())
+        {
+            case "request":
+                var method = message.TryGetProperty("method", out var methodElement) ? methodElement.GetString() ?? string.Empty : string.Empty;
+                var args = message.TryGetProperty("args", out var argsElement) && argsElement.ValueKind == JsonValueKind.Array
+                    ? argsElement.EnumerateArray().ToArray()
+                    : Array.Empty<JsonElement>();
+                _pending[id] = method;
+                _ = RunAsync(id, method, args);
+                return true;
+
+            case "cancel":
+                _pending.TryRemove(id, out _);
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    private async Task RunAsync(string id, string method, JsonElement[] args)
+    {
+        try
+        {
+            if (!_methods.TryGetValue(method, out var info))
+            {
+                throw new BridgeRequestException("not_supported", $"Bridge host does not support {method}");
+            }
+
+            var parameters = BindArguments(info, args);
+            var value = await _runOnUiThread(() => info.Invoke(_api, parameters)).ConfigureAwait(false);
+
+            if (value is Task task)
+            {
+                await task.ConfigureAwait(false);
+                value = info.ReturnType.IsGenericType
+                    ? info.ReturnType.GetProperty(nameof(Task<object>.Result))!.GetValue(task)
+                    : null;
+            }
+
+            Respond(id, new { type = "response", id, result = value });
+        }
+        catch (Exception ex)
+        {
+            var error = ex is TargetInvocationException { InnerException: { } inner } ? inner : ex;
+            var code = error is BridgeRequestException requestError ? requestError.Code : "host_error";
+            ShellLogger.Error(nameof(BridgeRequestDispatcher), $"Bridge request {method} ({id}) failed.", error);
+            Respond(id, new { type = "response", id, error = new { code, message = error.Message } });
+        }
+    }
+
+    private static object?[] BindArguments(MethodInfo method, JsonElement[] args)
+    {
+        var parameters = method.GetParameters();
+        var values = new object?[parameters.Length];
+        for (var index = 0; index < parameters.Length; index++)
+        {
+            var parameter = parameters[index];
+            if (index >= args.Length)
+            {
+                values[index] = parameter.HasDefaultValue
+                    ? parameter.DefaultValue
+                    : throw new BridgeRequestException("invalid_args", $"Missing argument '{parameter.Name}' for {method.Name}");
+                continue;
+            }
+
+            try
+            {
+                values[index] = args[index].Deserialize(parameter.ParameterType, JsonOptions);
+            }
+            catch (JsonException ex)
+            {
+                throw new BridgeRequestException("invalid_args", $"Invalid argument '{parameter.Name}' for {method.Name}: {ex.Message}");
+            }
+        }
+
+        return values;
+    }
+
+    private void Respond(string id, object response)
+    {
+        // Cancelled (or timed out on the UI side): nobody is waiting for it.
+        if (!_pending.TryRemove(id, out _))
+        {
+            return;
+        }
+
+        try
+        {
+            _postToUi(JsonSerializer.Serialize(response, JsonOptions));
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(BridgeRequestDispatcher), $"Error posting the response to bridge request {id}.", ex);
+        }
+    }
+
+    private sealed class BridgeRequestException : Exception
+    {
+        public BridgeRequestException(string code, string message)
+            : base(message)
+        {
+            Code = code;
+        }
+
+        public string Code { get; }
+    }
+}
@@ -1,7 +1,9 @@
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
 using System.Linq;
 using System.Diagnostics;
+using System.Reflection;
 using System.Drawing;
 using System.Drawing.Imaging;
 using System.IO;
@@ -29,9 +31,46 @@ public class ShellApi : IDisposable
     private const string WallpaperHostName = "wallpaper.shelled";
     private const uint WM_CLOSE = 0x0010;
 
+    /// <summary>
+    /// Bridge protocol version announced to the Web UI in the "connected" handshake.
+    /// </summary>
+    internal const int ProtocolVersion = 1;
+
+    /// <summary>
+    /// Events forwarded to the Web UI, announced in the "connected" handshake.
+    /// </summary>
+    internal static readonly string[] SupportedEvents =
+    {
+        "windowCreated",
+        "windowDestroyed",
+        "windowUpdated",
+        "windowFocusChanged",
+        "windowStateChanged",
+        "windowAttentionRequested",
+        // "windowProgressChanged" is forwarded (OnWindowProgressChanged) but not
+        // announced: nothing in Shell.Core publishes WindowProgressChangedEvent yet.
+        "workspaceSwitched",
+        "workspaceCreated",
+        // "workspaceUpdated" is forwarded (OnWorkspaceUpdated) but not announced:
+        // nothing in Shell.Core publishes WorkspaceUpdatedEvent yet.
+        "windowMovedToWorkspace",
+        "trayIconAdded",
+        "trayIconUpdated",
+        "trayIconRemoved",
+        "trayBalloonShown",
+        "trayBalloonClicked",
+        "trayMenuItemClicked",
+        "hotkeyPressed",
+        "themeChanged",
+        "monitorsChanged"
+    };
+
     private readonly ShellCore _shellCore;
     private readonly CoreWebView2 _webView;
     private readonly IEventPublisher _eventPublisher;
+    // Executable and icon per window. Both follow the owning process, so they are
+    // read once per window instead of on every list or update.
+    private readonly ConcurrentDictionary<IntPtr, WindowProcessInfo> _windowProcessInfo = new();
     private bool _disposed = false;
     private bool _wallpaperHostInitialized = false;
 
@@ -44,6 +83,31 @@ public class ShellApi : IDisposable
         SubscribeToShellEvents();
     }
 
+    /// <summary>
+    /// JS-facing (camelCase) methods exposed on the host object, announced in the
+    /// "connected" handshake so the Web UI can hide features this host lacks.
+    /// </summary>
+    internal static string[] GetSupportedMethods()
+    {
+        return GetJsMethods()
+            .Select(m => m.Name)
+            .Distinct()
+            .OrderBy(name => name, StringComparer.Ordinal)
+            .ToArray();
+    }
+
+    /// <summary>
+    /// The JS-facing (camelCase) methods, also callable through message RPC
+    /// (see BridgeRequestDispatcher).
+    /// </summary>
+    internal static MethodInfo[] GetJsMethods()
+    {
+        return typeof(ShellApi)
+            .GetMethods(BindingFlags.Public | BindingFlags.Instance | BindingFlags.DeclaredOnly)
+            .Where(m => m.Name.Length > 0 && char.IsLower(m.Name[0]))
+            .ToArray();
+    }
+
     /// <summary>
     /// Get all windows as JSON string
     /// </summary>
@@ -62,8 +126,10 @@ public class ShellApi : IDisposable
                 isVisible = w.IsVisible,
                 appId = w.AppId,
                 className = w.ClassName,
+                executablePath = GetWindowProcessInfo(w).ExecutablePath,
                 lastUpdated = w.LastUpdated.ToString("O"),
-                iconData = TryGetWindowIconBase64(w)
+                iconData = GetWindowProcessInfo(w).IconData,
+                monitorId = TryGetMonitorId(w.Handle)
             }).ToArray();
 
             return JsonSerializer.Serialize(windows, new JsonSerializerOptions
@@ -317,6 +383,52 @@ public class ShellApi : IDisposable
 
       // JS compatibility wrapper
       public string getDesktopBackgroundInfoJson() => GetDesktopBackgroundInfoJson();
+
+    /// <summary>
+    /// Get the Windows accent colour, dark-mode and high-contrast settings so the
+    /// Web UI theme can follow them.
+    /// </summary>
+    public string GetThemeInfoJson()
+    {
+        try
+        {
+            return JsonSerializer.Serialize(GetThemeInfo(), new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellApi), "Error in GetThemeInfoJson.", ex);
+            return "{}";
+        }
+    }
+
+      // JS compatibility wrapper
+      public string getThemeInfoJson() => GetThemeInfoJson();
+
+    /// <summary>
+    /// Get the connected monitors, with bounds and work areas in virtual-screen
+    /// pixels, so the Web UI can render a taskbar and desktop per monitor.
+    /// </summary>
+    public string ListMonitorsJson()
+    {
+        try
+        {
+            return JsonSerializer.Serialize(GetMonitors(), new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellApi), "Error in ListMonitorsJson.", ex);
+            return "[]";
+        }
+    }
+
+      // JS compatibility wrapper
+      public string listMonitorsJson() => ListMonitorsJson();
   
       /// <summary>
       /// Open the containing folder for a given file path using Explorer and
@@ -368,6 +480,134 @@ public class ShellApi : IDisposable
       // JS compatibility wrapper
       public bool openItemLocation(string path) => OpenItemLocation(path);
 
+    /// <summary>
+    /// Get an app's jump list as JSON: { tasks, recent }. Recent items are the
+    /// user's recent files whose type opens with the app's executable; apps
+    /// expose no tasks to the shell yet, so tasks is always empty.
+    /// </summary>
+    public string GetJumpListJson(string appId)
+    {
+        try
+        {
+            var recent = GetRecentItems(appId)
+                .Select(item => new { id = item.Id, title = item.Title, path = item.Path })
+                .ToArray();
+
+            return JsonSerializer.Serialize(new { tasks = Array.Empty<object>(), recent }, new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellApi), $"Error in GetJumpListJson for '{appId}'.", ex);
+            return "{\"tasks\":[],\"recent\":[]}";
+        }
+    }
+
+    // JS compatibility wrapper
+    public string getJumpListJson(string appId) => GetJumpListJson(appId);
+
+    /// <summary>
+    /// Open an item from an app's jump list. Only items the jump list currently
+    /// offers can be opened.
+    /// </summary>
+    public bool OpenJumpListItem(string appId, string itemId)
+    {
+        try
+        {
+            var item = GetRecentItems(appId).FirstOrDefault(candidate => candidate.Id == itemId);
+            if (item == null)
+            {
+                return false;
+            }
+
+            if (ShellConfiguration.DisableDangerousOperations)
+            {
+                Console.WriteLine($"OpenJumpListItem blocked in safe mode for '{item.Path}'");
+                return false;
+            }
+
+            Process.Start(new ProcessStartInfo { FileName = item.Path, UseShellExecute = true });
+            return true;
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellApi), $"Error opening jump list item '{itemId}' for '{appId}'.", ex);
+            return false;
+        }
+    }
+
+    // JS compatibility wrapper
+    public bool openJumpListItem(string appId, string itemId) => OpenJumpListItem(appId, itemId);
+
+    private sealed record JumpListItem(string Id, string Title, string Path);
+
+    private const int MaxRecentJumpListItems = 10;
+
+    /// <summary>
+    /// Shortcuts in the user's Recent folder ("README.md.lnk") whose file type
+    /// is associated with the app's executable, newest first.
+    /// </summary>
+    private IEnumerable<JumpListItem> GetRecentItems(string appId)
+    {
+        if (string.IsNullOrWhiteSpace(appId) || !RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+        {
+            return Enumerable.Empty<JumpListItem>();
+        }
+
+        var state = _shellCore.GetState();
+        var executable = state.LauncherApps.TryGetValue(appId, out var app) && !string.IsNullOrWhiteSpace(app.ExecutablePath)
+            ? Path.GetFileName(app.ExecutablePath)
+            : appId.EndsWith(".exe", StringComparison.OrdinalIgnoreCase) ? appId : appId + ".exe";
+
+        var recentFolder = Environment.GetFolderPath(Environment.SpecialFolder.Recent);
+        if (string.IsNullOrEmpty(recentFolder) || !Directory.Exists(recentFolder))
+        {
+            return Enumerable.Empty<JumpListItem>();
+        }
+
+        var handlers = new Dictionary<string, string?>(StringComparer.OrdinalIgnoreCase);
+        return new DirectoryInfo(recentFolder)
+            .EnumerateFiles("*.lnk")
+            .OrderByDescending(file => file.LastWriteTimeUtc)
+            .Select(file => (file, title: Path.GetFileNameWithoutExtension(file.Name)))
+            .Where(entry =>
+            {
+                var extension = Path.GetExtension(entry.title);
+                if (string.IsNullOrEmpty(extension))
+                {
+                    return false;
+                }
+
+                if (!handlers.TryGetValue(extension, out var handler))
+                {
+                    handler = GetAssociatedExecutable(extension);
+                    handlers[extension] = handler;
+                }
+
+                return handler != null &&
+                       string.Equals(Path.GetFileName(handler), executable, StringComparison.OrdinalIgnoreCase);
+            })
+            .Take(MaxRecentJumpListItems)
+            .Select(entry => new JumpListItem(entry.file.Name, entry.title, entry.file.FullName))
+            .ToList();
+    }
+
+    private static string? GetAssociatedExecutable(string extension)
+    {
+        uint length = 0;
+        if (AssocQueryString(AssocF.None, AssocStr.Executable, extension, null, null, ref length) != S_FALSE || length == 0)
+        {
+            return null;
+        }
+
+        var buffer = new StringBuilder((int)length);
+        return AssocQueryString(AssocF.None, AssocStr.Executable, extension, null, buffer, ref length) == 0
+            ? buffer.ToString()
+            : null;
+    }
+
       /// <summary>
       /// Pre-initialize the virtual host mapping for the current wallpaper so that
       /// the first load from the Web UI does not race with host setup.
@@ -743,6 +983,37 @@ public class ShellApi : IDisposable
     // JS wrapper for camelCase API
     public bool trayIconClick(string trayIconId, string clickType) => TrayIconClick(trayIconId, clickType);
 
+    /// <summary>
+    /// Raised when the Web UI moves or resizes the taskbar (edge, thickness in pixels).
+    /// </summary>
+    internal event Action<string, int>? TaskbarPlacementChanged;
+
+    /// <summary>
+    /// Keep the given edge of the primary monitor clear for the taskbar so
+    /// maximized windows do not cover it. A thickness of 0 (auto-hide) reserves nothing.
+    /// </summary>
+    public bool SetTaskbarPlacement(string edge, int thickness)
+    {
+        try
+        {
+            var normalized = (edge ?? string.Empty).Trim().ToLowerInvariant();
+            if (normalized is not ("bottom" or "top" or "left" or "right") || thickness < 0)
+            {
+                return false;
+            }
+
+            TaskbarPlacementChanged?.Invoke(normalized, thickness);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellApi), "Error in SetTaskbarPlacement.", ex);
+            return false;
+        }
+    }
+
+    public bool setTaskbarPlacement(string edge, int thickness) => SetTaskbarPlacement(edge, thickness);
+
     /// <summary>
     /// Restore Explorer as the system shell and launch it, then terminate any
     /// running Shelled processes (including the bootstrap) so the session is
@@ -908,13 +1179,26 @@ public class ShellApi : IDisposable
         _eventPublisher.Subscribe<WindowDestroyedEvent>(OnWindowDestroyed);
         _eventPublisher.Subscribe<WindowUpdatedEvent>(OnWindowUpdated);
         _eventPublisher.Subscribe<WindowFocusChangedEvent>(OnWindowFocusChanged);
+        _eventPublisher.Subscribe<WindowStateChangedEvent>(OnWindowStateChanged);
+        _eventPublisher.Subscribe<WindowAttentionRequestedEvent>(OnWindowAttentionRequested);
+        _eventPublisher.Subscribe<WindowProgressChangedEvent>(OnWindowProgressChanged);
         _eventPublisher.Subscribe<WorkspaceSwitchedEvent>(OnWorkspaceSwitched);
         _eventPublisher.Subscribe<WorkspaceCreatedEvent>(OnWorkspaceCreated);
+        _eventPublisher.Subscribe<WorkspaceUpdatedEvent>(OnWorkspaceUpdated);
         _eventPublisher.Subscribe<WindowMovedToWorkspaceEvent>(OnWindowMovedToWorkspace);
         _eventPublisher.Subscribe<TrayIconAddedEvent>(OnTrayIconAdded);
         _eventPublisher.Subscribe<TrayIconUpdatedEvent>(OnTrayIconUpdated);
         _eventPublisher.Subscribe<TrayIconRemovedEvent>(OnTrayIconRemoved);
+        _eventPublisher.Subscribe<TrayBalloonShownEvent>(OnTrayBalloonShown);
+        _eventPublisher.Subscribe<TrayBalloonClickedEvent>(OnTrayBalloonClicked);
+        _eventPublisher.Subscribe<TrayMenuItemClickedEvent>(OnTrayMenuItemClicked);
         _eventPublisher.Subscribe<HotkeyPressedEvent>(OnHotkeyPressed);
+
+        // Accent colour, dark mode and high contrast changes come from Windows itself.
+        SystemEvents.UserPreferenceChanged += OnUserPreferenceChanged;
+
+        // Monitors connected, disconnected or rearranged.
+        SystemEvents.DisplaySettingsChanged += OnDisplaySettingsChanged;
     }
 
     private void OnWindowCreated(WindowCreatedEvent eventData)
@@ -929,12 +1213,15 @@ public class ShellApi : IDisposable
             isVisible = eventData.Window.IsVisible,
             appId = eventData.Window.AppId,
             className = eventData.Window.ClassName,
-            iconData = TryGetWindowIconBase64(eventData.Window)
+            executablePath = GetWindowProcessInfo(eventData.Window).ExecutablePath,
+            iconData = GetWindowProcessInfo(eventData.Window).IconData,
+            monitorId = TryGetMonitorId(eventData.Window.Handle)
         });
     }
 
     private void OnWindowDestroyed(WindowDestroyedEvent eventData)
     {
+        _windowProcessInfo.TryRemove(eventData.WindowHandle, out _);
         SendEventToUI("windowDestroyed", new
         {
             hwnd = eventData.WindowHandle.ToString()
@@ -947,8 +1234,15 @@ public class ShellApi : IDisposable
         {
             hwnd = eventData.Window.Handle.ToString(),
             title = eventData.Window.Title,
+            processId = eventData.Window.ProcessId,
+            workspaceId = eventData.Window.WorkspaceId,
             state = eventData.Window.State.ToString(),
-            isVisible = eventData.Window.IsVisible
+            isVisible = eventData.Window.IsVisible,
+            appId = eventData.Window.AppId,
+            className = eventData.Window.ClassName,
+            // executablePath and iconData are left out: they cannot change for a
+            // window, and the UI keeps the fields an update does not carry.
+            monitorId = TryGetMonitorId(eventData.Window.Handle)
         });
     }
 
@@ -961,6 +1255,35 @@ public class ShellApi : IDisposable
         });
     }
 
+    private void OnWindowStateChanged(WindowStateChangedEvent eventData)
+    {
+        SendEventToUI("windowStateChanged", new
+        {
+            hwnd = eventData.WindowHandle.ToString(),
+            previousState = eventData.OldState.ToString(),
+            state = eventData.NewState.ToString()
+        });
+    }
+
+    private void OnWindowAttentionRequested(WindowAttentionRequestedEvent eventData)
+    {
+        SendEventToUI("windowAttentionRequested", new
+        {
+            hwnd = eventData.WindowHandle.ToString(),
+            isFlashing = eventData.IsFlashing
+        });
+    }
+
+    private void OnWindowProgressChanged(WindowProgressChangedEvent eventData)
+    {
+        SendEventToUI("windowProgressChanged", new
+        {
+            hwnd = eventData.WindowHandle.ToString(),
+            progressState = eventData.State.ToString(),
+            progressValue = eventData.Value
+        });
+    }
+
     private void OnWorkspaceSwitched(WorkspaceSwitchedEvent eventData)
     {
         SendEventToUI("workspaceSwitched", new
@@ -980,6 +1303,17 @@ public class ShellApi : IDisposable
         });
     }
 
+    private void OnWorkspaceUpdated(WorkspaceUpdatedEvent eventData)
+    {
+        SendEventToUI("workspaceUpdated", new
+        {
+            id = eventData.Workspace.Id,
+            name = eventData.Workspace.Name,
+            isActive = eventData.Workspace.IsActive,
+            windowHandles = eventData.Workspace.WindowHandles.Select(h => h.ToString()).ToArray()
+        });
+    }
+
     private void OnWindowMovedToWorkspace(WindowMovedToWorkspaceEvent eventData)
     {
         SendEventToUI("windowMovedToWorkspace", new
@@ -1021,6 +1355,38 @@ public class ShellApi : IDisposable
         });
     }
 
+    private void OnTrayBalloonShown(TrayBalloonShownEvent eventData)
+    {
+        SendEventToUI("trayBalloonShown", new
+        {
+            id = eventData.TrayIconId,
+            balloon = new
+            {
+                title = eventData.BalloonInfo.Title,
+                text = eventData.BalloonInfo.Text,
+                icon = eventData.BalloonInfo.Icon.ToString(),
+                timeoutMs = eventData.BalloonInfo.TimeoutMs
+            }
+        });
+    }
+
+    private void OnTrayBalloonClicked(TrayBalloonClickedEvent eventData)
+    {
+        SendEventToUI("trayBalloonClicked", new
+        {
+            id = eventData.TrayIconId
+        });
+    }
+
+    private void OnTrayMenuItemClicked(TrayMenuItemClickedEvent eventData)
+    {
+        SendEventToUI("trayMenuItemClicked", new
+        {
+            id = eventData.TrayIconId,
+            menuItemId = eventData.MenuItemId
+        });
+    }
+
     private void OnHotkeyPressed(HotkeyPressedEvent eventData)
     {
         SendEventToUI("hotkeyPressed", new
@@ -1031,6 +1397,22 @@ public class ShellApi : IDisposable
         });
     }
 
+    private void OnUserPreferenceChanged(object? sender, UserPreferenceChangedEventArgs e)
+    {
+        if (e.Category is UserPreferenceCategory.General or UserPreferenceCategory.Color or UserPreferenceCategory.Accessibility)
+        {
+            SendEventToUI("themeChanged", GetThemeInfo());
+        }
+    }
+
+    private void OnDisplaySettingsChanged(object? sender, EventArgs e)
+    {
+        SendEventToUI("monitorsChanged", new
+        {
+            monitors = GetMonitors()
+        });
+    }
+
     private void SendEventToUI(string eventType, object eventData)
     {
         try
@@ -1064,13 +1446,22 @@ public class ShellApi : IDisposable
             _eventPublisher.Unsubscribe<WindowDestroyedEvent>(OnWindowDestroyed);
             _eventPublisher.Unsubscribe<WindowUpdatedEvent>(OnWindowUpdated);
             _eventPublisher.Unsubscribe<WindowFocusChangedEvent>(OnWindowFocusChanged);
+            _eventPublisher.Unsubscribe<WindowStateChangedEvent>(OnWindowStateChanged);
+            _eventPublisher.Unsubscribe<WindowAttentionRequestedEvent>(OnWindowAttentionRequested);
+            _eventPublisher.Unsubscribe<WindowProgressChangedEvent>(OnWindowProgressChanged);
             _eventPublisher.Unsubscribe<WorkspaceSwitchedEvent>(OnWorkspaceSwitched);
             _eventPublisher.Unsubscribe<WorkspaceCreatedEvent>(OnWorkspaceCreated);
+            _eventPublisher.Unsubscribe<WorkspaceUpdatedEvent>(OnWorkspaceUpdated);
             _eventPublisher.Unsubscribe<WindowMovedToWorkspaceEvent>(OnWindowMovedToWorkspace);
             _eventPublisher.Unsubscribe<TrayIconAddedEvent>(OnTrayIconAdded);
             _eventPublisher.Unsubscribe<TrayIconUpdatedEvent>(OnTrayIconUpdated);
             _eventPublisher.Unsubscribe<TrayIconRemovedEvent>(OnTrayIconRemoved);
+            _eventPublisher.Unsubscribe<TrayBalloonShownEvent>(OnTrayBalloonShown);
+            _eventPublisher.Unsubscribe<TrayBalloonClickedEvent>(OnTrayBalloonClicked);
+            _eventPublisher.Unsubscribe<TrayMenuItemClickedEvent>(OnTrayMenuItemClicked);
             _eventPublisher.Unsubscribe<HotkeyPressedEvent>(OnHotkeyPressed);
+            SystemEvents.UserPreferenceChanged -= OnUserPreferenceChanged;
+            SystemEvents.DisplaySettingsChanged -= OnDisplaySettingsChanged;
 
             _disposed = true;
         }
@@ -1178,6 +1569,87 @@ public class ShellApi : IDisposable
         }
     }
 
+    private static object[] GetMonitors()
+    {
+        return System.Windows.Forms.Screen.AllScreens
+            .Select((screen, index) => (object)new
+            {
+                id = screen.DeviceName,
+                name = $"Display {index + 1}",
+                isPrimary = screen.Primary,
+                bounds = ToRect(screen.Bounds),
+                workArea = ToRect(screen.WorkingArea)
+            })
+            .ToArray();
+    }
+
+    private static object ToRect(Rectangle rect)
+    {
+        return new { x = rect.X, y = rect.Y, width = rect.Width, height = rect.Height };
+    }
+
+    private static string? TryGetMonitorId(IntPtr windowHandle)
+    {
+        try
+        {
+            return System.Windows.Forms.Screen.FromHandle(windowHandle).DeviceName;
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    private static object GetThemeInfo()
+    {
+        return new
+        {
+            accentColor = TryGetAccentColor(),
+            isDarkMode = TryGetIsDarkMode(),
+            isHighContrast = System.Windows.Forms.SystemInformation.HighContrast
+        };
+    }
+
+    private static string? TryGetAccentColor()
+    {
+        try
+        {
+            using var key = Registry.CurrentUser.OpenSubKey(@"Software\Microsoft\Windows\DWM");
+            if (key?.GetValue("AccentColor") is int abgr)
+            {
+                // Stored as 0xAABBGGRR.
+                var r = abgr & 0xFF;
+                var g = (abgr >> 8) & 0xFF;
+                var b = (abgr >> 16) & 0xFF;
+                return $"#{r:X2}{g:X2}{b:X2}";
+            }
+        }
+        catch
+        {
+            // Ignore errors
+        }
+
+        return null;
+    }
+
+    private static bool TryGetIsDarkMode()
+    {
+        try
+        {
+            using var key = Registry.CurrentUser.OpenSubKey(@"Software\Microsoft\Windows\CurrentVersion\Themes\Personalize");
+            if (key?.GetValue("AppsUseLightTheme") is int appsUseLightTheme)
+            {
+                return appsUseLightTheme == 0;
+            }
+        }
+        catch
+        {
+            // Ignore errors
+        }
+
+        return true;
+    }
+
     private static string TryGetDesktopBackgroundColor()
     {
         try
@@ -1350,7 +1822,30 @@ public class ShellApi : IDisposable
         }
     }
 
-    private static string? TryGetWindowIconBase64(ShellWindow window)
+    private sealed record WindowProcessInfo(string? ExecutablePath, string? IconData);
+
+    private WindowProcessInfo GetWindowProcessInfo(ShellWindow window)
+    {
+        if (_windowProcessInfo.TryGetValue(window.Handle, out var cached))
+        {
+            return cached;
+        }
+
+        var executablePath = TryGetWindowExecutablePath(window);
+        // Without an executable the Web UI falls back to its text-only badge.
+        var info = new WindowProcessInfo(
+            executablePath,
+            executablePath == null ? null : TryGetDesktopItemIconBase64(executablePath));
+
+        // The process id may not be known yet; look again next time.
+        return window.ProcessId > 0 ? _windowProcessInfo.GetOrAdd(window.Handle, info) : info;
+    }
+
+    /// <summary>
+    /// The executable of the process owning the window, or null when it can't
+    /// be read (e.g. elevated processes).
+    /// </summary>
+    private static string? TryGetWindowExecutablePath(ShellWindow window)
     {
         try
         {
@@ -1361,17 +1856,11 @@ public class ShellApi : IDisposable
 
             using var process = Process.GetProcessById(window.ProcessId);
             var executablePath = process.MainModule?.FileName;
-            if (string.IsNullOrWhiteSpace(executablePath))
-            {
-                return null;
-            }
-
-            return TryGetDesktopItemIconBase64(executablePath);
+            return string.IsNullOrWhiteSpace(executablePath) ? null : executablePath;
         }
         catch
         {
-            // Best-effort only; if we can't resolve a window icon,
-            // the Web UI will fall back to its text-only badge.
+            // Best-effort only.
             return null;
         }
     }
@@ -1421,6 +1910,27 @@ public class ShellApi : IDisposable
     [DllImport("user32.dll", SetLastError = true)]
     private static extern bool DestroyIcon(IntPtr hIcon);
 
+    private const uint S_FALSE = 1;
+
+    private enum AssocF : uint
+    {
+        None = 0
+    }
+
+    private enum AssocStr
+    {
+        Executable = 2
+    }
+
+    [DllImport("shlwapi.dll", CharSet = CharSet.Unicode)]
+    private static extern uint AssocQueryString(
+        AssocF flags,
+        AssocStr str,
+        string pszAssoc,
+        string? pszExtra,
+        StringBuilder? pszOut,
+        ref uint pcchOut);
+
     [DllImport("shell32.dll", CharSet = CharSet.Unicode)]
     private static extern IntPtr SHGetFileInfo(
         string pszPath,
@@ -7,6 +7,7 @@ using System.Windows.Forms;
 using Microsoft.Web.WebView2.Core;
 using Microsoft.Web.WebView2.WinForms;
 using Shell.Core;
+using Shell.Core.Events;
 using Shell.Core.Interfaces;
 
 namespace Shell.Bridge.WebView;
@@ -21,6 +22,8 @@ public partial class ShellUiHostForm : Form
     private const int WM_NCHITTEST = 0x0084;
     private const int HTCLIENT = 1;
     private const int HTTRANSPARENT = -1;
+    // HSHELL_REDRAW | HSHELL_HIGHBIT: a window is flashing its taskbar button.
+    private const int HSHELL_FLASH = 0x8006;
     // Approximate reserved areas matching the top panel and taskbar heights.
     private const int TopReservedPixels = 64;
     private const int BottomReservedPixels = 88;
@@ -38,8 +41,14 @@ public partial class ShellUiHostForm : Form
     private ShellCore? _shellCore;
     private IEventPublisher? _eventPublisher;
     private ShellApi? _shellApi;
+    private BridgeRequestDispatcher? _requestDispatcher;
     private RECT _originalWorkArea;
     private bool _hasOriginalWorkArea;
+    // Taskbar edge and thickness, as reported by the Web UI.
+    private string _taskbarEdge = "bottom";
+    private int _taskbarThickness = BottomReservedPixels;
+    // Message id of shell hook notifications (0 until registered).
+    private uint _shellHookMessage;
 
     [DllImport("user32.dll", SetLastError = true)]
     private static extern bool SystemParametersInfo(uint uiAction, uint uiParam, ref RECT pvParam, uint fWinIni);
@@ -47,6 +56,15 @@ public partial class ShellUiHostForm : Form
     [DllImport("user32.dll", CharSet = CharSet.Unicode, SetLastError = true)]
     private static extern bool SystemParametersInfo(uint uiAction, uint uiParam, StringBuilder pvParam, uint fWinIni);
 
+    [DllImport("user32.dll", CharSet = CharSet.Unicode, SetLastError = true)]
+    private static extern uint RegisterWindowMessage(string lpString);
+
+    [DllImport("user32.dll", SetLastError = true)]
+    private static extern bool RegisterShellHookWindow(IntPtr hWnd);
+
+    [DllImport("user32.dll", SetLastError = true)]
+    private static extern bool DeregisterShellHookWindow(IntPtr hWnd);
+
     public ShellUiHostForm()
     {
         InitializeComponent();
@@ -117,6 +135,7 @@ public partial class ShellUiHostForm : Form
             // Set up navigation event handlers
             webView.CoreWebView2.NavigationCompleted += CoreWebView2_NavigationCompleted;
             webView.CoreWebView2.DOMContentLoaded += CoreWebView2_DOMContentLoaded;
+            webView.CoreWebView2.WebMessageReceived += CoreWebView2_WebMessageReceived;
             
             // Load the shell UI
             await LoadShellUI();
@@ -368,7 +387,9 @@ public partial class ShellUiHostForm : Form
             {
                 // Create and expose the ShellApi bridge object
                 _shellApi = new ShellApi(_shellCore, webView.CoreWebView2, _eventPublisher);
+                _shellApi.TaskbarPlacementChanged += OnTaskbarPlacementChanged;
                 webView.CoreWebView2.AddHostObjectToScript("shell", _shellApi);
+                _requestDispatcher = new BridgeRequestDispatcher(_shellApi, RunOnUiThread, PostToUi);
 
                 // Pre-initialize wallpaper host mapping so the first background
                 // load in the Web UI has a valid virtual host.
@@ -380,7 +401,17 @@ public partial class ShellUiHostForm : Form
                 var connectionMessage = new
                 {
                     type = "connected",
-                    data = new { status = "Bridge API initialized" },
+                    data = new
+                    {
+                        status = "Bridge API initialized",
+                        protocolVersion = ShellApi.ProtocolVersion,
+                        // Calls go through request/response messages (see
+                        // BridgeRequestDispatcher): they still run on the UI thread,
+                        // but the page no longer waits on a synchronous proxy.
+                        rpcMode = BridgeRequestDispatcher.RpcMode,
+                        methods = ShellApi.GetSupportedMethods(),
+                        events = ShellApi.SupportedEvents
+                    },
                     timestamp = DateTime.UtcNow.ToString("O")
                 };
                 
@@ -402,10 +433,58 @@ public partial class ShellUiHostForm : Form
         }
     }
 
+    private void CoreWebView2_WebMessageReceived(object? sender, CoreWebView2WebMessageReceivedEventArgs e)
+    {
+        try
+        {
+            // The Web UI posts its messages as JSON strings.
+            _requestDispatcher?.HandleMessage(e.TryGetWebMessageAsString());
+        }
+        catch (ArgumentException)
+        {
+            // Not a string message; nothing the bridge handles.
+        }
+        catch (Exception ex)
+        {
+            ShellLogger.Error(nameof(ShellUiHostForm), "Error handling a message from the Web UI.", ex);
+        }
+    }
+
+    private Task<object?> RunOnUiThread(Func<object?> call)
+    {
+        var completion = new TaskCompletionSource<object?>(TaskCreationOptions.RunContinuationsAsynchronously);
+        BeginInvoke(new Action(() =>
+        {
+            try
+            {
+                completion.SetResult(call());
+            }
+            catch (Exception ex)
+            {
+                completion.SetException(ex);
+            }
+        }));
+        return completion.Task;
+    }
+
+    // WebView2 may only be used from the UI thread.
+    private void PostToUi(string json)
+    {
+        if (IsDisposed || !IsHandleCreated)
+        {
+            return;
+        }
+
+        BeginInvoke(new Action(() => webView.CoreWebView2?.PostWebMessageAsString(json)));
+    }
+
     private void ShellUiHostForm_Load(object? sender, EventArgs e)
     {
-        // Ensure the form covers the entire screen
-        this.Bounds = Screen.PrimaryScreen.Bounds;
+        // Cover every monitor: the Web UI lays out a desktop and taskbar per
+        // monitor within the virtual screen.
+        this.Bounds = SystemInformation.VirtualScreen;
+        Microsoft.Win32.SystemEvents.DisplaySettingsChanged += OnDisplaySettingsChanged;
+        TryRegisterShellHook();
 
         // Reserve space for the top panel and taskbar so maximized windows
         // do not overlap them when running as the real shell.
@@ -419,12 +498,48 @@ public partial class ShellUiHostForm : Form
     {
         // Restore the original work area when the shell host is closing.
         RestoreOriginalWorkArea();
+        Microsoft.Win32.SystemEvents.DisplaySettingsChanged -= OnDisplaySettingsChanged;
+        if (_shellHookMessage != 0)
+        {
+            DeregisterShellHookWindow(Handle);
+        }
 
         // Cleanup resources
         _shellApi?.Dispose();
         webView?.Dispose();
     }
 
+    private void OnDisplaySettingsChanged(object? sender, EventArgs e)
+    {
+        // Raised on the system events thread.
+        BeginInvoke(new Action(() => this.Bounds = SystemInformation.VirtualScreen));
+    }
+
+    private void OnTaskbarPlacementChanged(string edge, int thickness)
+    {
+        _taskbarEdge = edge;
+        _taskbarThickness = thickness;
+
+        if (!Shell.Core.ShellConfiguration.DisableDangerousOperations)
+        {
+            TryReserveWorkAreaForShellChrome();
+        }
+    }
+
+    // Windows flashing their taskbar button (FlashWindowEx) are reported to
+    // shell hook windows; they are forwarded to the Web UI as attention requests.
+    private void TryRegisterShellHook()
+    {
+        var message = RegisterWindowMessage("SHELLHOOK");
+        if (message == 0 || !RegisterShellHookWindow(Handle))
+        {
+            Console.WriteLine($"Failed to register shell hook window: {Marshal.GetLastWin32Error()}");
+            return;
+        }
+
+        _shellHookMessage = message;
+    }
+
     protected override void SetVisibleCore(bool value)
     {
         // Ensure the form is always visible (can't be minimized)
@@ -444,6 +559,11 @@ public partial class ShellUiHostForm : Form
             return;
         }
 
+        if (_shellHookMessage != 0 && m.Msg == (int)_shellHookMessage && (int)m.WParam == HSHELL_FLASH)
+        {
+            _eventPublisher?.Publish(new WindowAttentionRequestedEvent(m.LParam));
+        }
+
         base.WndProc(ref m);
     }
 
@@ -451,8 +571,9 @@ public partial class ShellUiHostForm : Form
     {
         try
         {
+            // Remember the work area from before the shell first changed it.
             var currentWorkArea = new RECT();
-            if (SystemParametersInfo(SPI_GETWORKAREA, 0, ref currentWorkArea, 0))
+            if (!_hasOriginalWorkArea && SystemParametersInfo(SPI_GETWORKAREA, 0, ref currentWorkArea, 0))
             {
                 _originalWorkArea = currentWorkArea;
                 _hasOriginalWorkArea = true;
@@ -465,10 +586,26 @@ public partial class ShellUiHostForm : Form
                 Left = screenBounds.Left,
                 Top = screenBounds.Top + TopReservedPixels,
                 Right = screenBounds.Right,
-                Bottom = screenBounds.Bottom - BottomReservedPixels
+                Bottom = screenBounds.Bottom
             };
 
-            if (newWorkArea.Bottom <= newWorkArea.Top)
+            switch (_taskbarEdge)
+            {
+                case "top":
+                    newWorkArea.Top += _taskbarThickness;
+                    break;
+                case "left":
+                    newWorkArea.Left += _taskbarThickness;
+                    break;
+                case "right":
+                    newWorkArea.Right -= _taskbarThickness;
+                    break;
+                default:
+                    newWorkArea.Bottom -= _taskbarThickness;
+                    break;
+            }
+
+            if (newWorkArea.Bottom <= newWorkArea.Top || newWorkArea.Right <= newWorkArea.Left)
             {
                 // Avoid applying an invalid work area.
                 return;
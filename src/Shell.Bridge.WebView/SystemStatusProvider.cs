@@ -3,13 +3,14 @@ using System.Diagnostics;
 using System.Linq;
 using System.Net.NetworkInformation;
 using System.Runtime.InteropServices;
+using FILETIME = System.Runtime.InteropServices.ComTypes.FILETIME;
 using System.Text.Json;
 using Shell.Core;
 
 namespace Shell.Bridge.WebView;
 
 /// <summary>
-/// Provides a lightweight snapshot of host system status (time, network, volume)
+/// Provides a lightweight snapshot of host system status (time, network, volume, CPU)
 /// for consumption by the Web UI via the bridge.
 /// </summary>
 internal static class SystemStatusProvider
@@ -17,11 +18,17 @@ internal static class SystemStatusProvider
     private readonly record struct NetworkStatusPayload(string Kind, bool IsConnected, bool HasWifiAdapter, bool HasEthernetAdapter);
     private readonly record struct VolumeStatusPayload(int LevelPercent, bool IsMuted);
 
+    // Previous GetSystemTimes sample; CPU usage is the busy share since then.
+    private static readonly object CpuSampleLock = new();
+    private static ulong _lastIdleTime;
+    private static ulong _lastTotalTime;
+
     public static string GetSystemStatusJson()
     {
         var now = DateTime.Now;
         var network = TryGetNetworkStatus();
         var volume = TryGetVolumeStatus();
+        var cpuUsagePercent = TryGetCpuUsagePercent();
 
         var payload = new
         {
@@ -38,6 +45,10 @@ internal static class SystemStatusProvider
             {
                 levelPercent = volume.LevelPercent,
                 isMuted = volume.IsMuted
+            },
+            cpu = new
+            {
+                usagePercent = cpuUsagePercent
             }
         };
 
@@ -95,6 +106,45 @@ internal static class SystemStatusProvider
         }
     }
 
+    private static int TryGetCpuUsagePercent()
+    {
+        try
+        {
+            if (!RuntimeInformation.IsOSPlatform(OSPlatform.Windows) ||
+                !GetSystemTimes(out var idle, out var kernel, out var user))
+            {
+                return 0;
+            }
+
+            // Kernel time includes idle time.
+            var idleTime = ToUInt64(idle);
+            var totalTime = ToUInt64(kernel) + ToUInt64(user);
+
+            lock (CpuSampleLock)
+            {
+                var idleDelta = idleTime - _lastIdleTime;
+                var totalDelta = totalTime - _lastTotalTime;
+                var isFirstSample = _lastTotalTime == 0;
+                _lastIdleTime = idleTime;
+                _lastTotalTime = totalTime;
+
+                if (isFirstSample || totalDelta == 0)
+                {
+                    return 0;
+                }
+
+                var usage = 100.0 * (totalDelta - idleDelta) / totalDelta;
+                return Math.Clamp((int)Math.Round(usage), 0, 100);
+            }
+        }
+        catch
+        {
+            return 0;
+        }
+    }
+
+    private static ulong ToUInt64(FILETIME time) => ((ulong)(uint)time.dwHighDateTime << 32) | (uint)time.dwLowDateTime;
+
     private static VolumeStatusPayload TryGetVolumeStatus()
     {
         try
@@ -417,6 +467,10 @@ internal static class SystemStatusProvider
                networkInterface.NetworkInterfaceType == NetworkInterfaceType.Ethernet3Megabit;
     }
 
+    [DllImport("kernel32.dll", SetLastError = true)]
+    [return: MarshalAs(UnmanagedType.Bool)]
+    private static extern bool GetSystemTimes(out FILETIME idleTime, out FILETIME kernelTime, out FILETIME userTime);
+
     private enum EDataFlow
     {
         eRender,
@@ -87,6 +87,38 @@ public class WindowFocusChangedEvent : ShellEvent
     }
 }
 
+/// <summary>
+/// Event fired when a window flashes its taskbar button to ask for attention
+/// </summary>
+public class WindowAttentionRequestedEvent : ShellEvent
+{
+    public IntPtr WindowHandle { get; }
+    public bool IsFlashing { get; }
+
+    public WindowAttentionRequestedEvent(IntPtr windowHandle, bool isFlashing = true)
+    {
+        WindowHandle = windowHandle;
+        IsFlashing = isFlashing;
+    }
+}
+
+/// <summary>
+/// Event fired when a window reports taskbar progress (value in percent)
+/// </summary>
+public class WindowProgressChangedEvent : ShellEvent
+{
+    public IntPtr WindowHandle { get; }
+    public TaskbarProgressState State { get; }
+    public int Value { get; }
+
+    public WindowProgressChangedEvent(IntPtr windowHandle, TaskbarProgressState state, int value)
+    {
+        WindowHandle = windowHandle;
+        State = state;
+        Value = Math.Clamp(value, 0, 100);
+    }
+}
+
 // Workspace Events
 
 /// <summary>
@@ -28,6 +28,18 @@ public enum WindowState
     Hidden
 }
 
+/// <summary>
+/// Taskbar progress state an application reports for a window
+/// </summary>
+public enum TaskbarProgressState
+{
+    None,
+    Indeterminate,
+    Normal,
+    Error,
+    Paused
+}
+
 /// <summary>
 /// Represents a virtual workspace containing windows
 /// </summary>
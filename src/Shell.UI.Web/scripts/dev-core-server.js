@@ -0,0 +1,128 @@
+/**
+ * Local stand-in for the native shell core.
+ *
+ * Serves `src/` over HTTP and exposes the in-memory fake core over a WebSocket
+ * bridge, so the UI can be developed in any browser without Windows:
+ *
+ *   npm run dev:core
+ *   open http://localhost:8787/?transport=websocket
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+import { createFakeShellCore, createFakeCoreHandshake } from '../src/js/bootstrap/fakeShellCore.js';
+import { mockSeed } from '../src/js/bootstrap/mockData.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const srcRoot = path.resolve(__dirname, '..', 'src');
+const port = Number(process.env.PORT) || 8787;
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+const clients = new Set();
+
+const broadcast = (message) => {
+  const json = JSON.stringify(message);
+  clients.forEach((socket) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(json);
+    }
+  });
+};
+
+const core = createFakeShellCore({
+  ...mockSeed,
+  emit: (type, data) => broadcast({ type, data, timestamp: new Date().toISOString() }),
+});
+const handshake = { ...createFakeCoreHandshake(core, 'Dev core server'), rpcMode: 'message' };
+// Only the methods the handshake announces are callable; not `emit` or
+// anything inherited.
+const callableMethods = new Set(handshake.methods);
+
+async function handleRequest(socket, message) {
+  const { id, method, args } = message;
+  const handler =
+    callableMethods.has(method) && Object.hasOwn(core, method) ? core[method] : null;
+
+  if (typeof handler !== 'function') {
+    socket.send(JSON.stringify({
+      type: 'response',
+      id,
+      error: { code: 'method_not_found', message: `Unknown method ${method}` },
+    }));
+    return;
+  }
+
+  try {
+    const result = await handler(...(Array.isArray(args) ? args : []));
+    socket.send(JSON.stringify({ type: 'response', id, result }));
+  } catch (error) {
+    socket.send(JSON.stringify({
+      type: 'response',
+      id,
+      error: { code: 'host_exception', message: error.message },
+    }));
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const relativePath = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname);
+  const filePath = path.resolve(srcRoot, `.${path.sep}${relativePath}`);
+
+  // path.relative, so a sibling such as ../src-other does not pass as inside src/.
+  const fromRoot = path.relative(srcRoot, filePath);
+  if (fromRoot === '..' || fromRoot.startsWith(`..${path.sep}`) || path.isAbsolute(fromRoot)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const body = await fs.readFile(filePath);
+    const type = contentTypes[path.extname(filePath)] ?? 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type }).end(body);
+  } catch {
+    res.writeHead(404).end();
+  }
+});
+
+const wss = new WebSocketServer({ server, path: '/bridge' });
+
+wss.on('connection', (socket) => {
+  clients.add(socket);
+  socket.send(JSON.stringify({
+    type: 'connected',
+    data: handshake,
+    timestamp: new Date().toISOString(),
+  }));
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch {
+      return;
+    }
+
+    if (message.type === 'request') {
+      handleRequest(socket, message);
+    }
+  });
+
+  socket.on('close', () => clients.delete(socket));
+});
+
+server.listen(port, () => {
+  console.log(`Shelled dev core listening on http://localhost:${port}/?transport=websocket`);
+});
@@ -0,0 +1,677 @@
+/**
+ * In-memory stand-in for the native ShellApi host object.
+ *
+ * Implements the same method surface as Shell.Bridge.WebView/ShellApi.cs and
+ * emits the same events the WebView host posts, so the full UI can run in a
+ * plain browser (dev mode, demos, tests) without the Windows shell core.
+ */
+
+const DEFAULT_BACKGROUND = {
+  wallpaperUrl: null,
+  wallpaperStyle: 'fill',
+  backgroundColor: null,
+  hasWallpaper: false,
+};
+
+const DEFAULT_THEME = {
+  accentColor: '#58a6ff',
+  isDarkMode: true,
+  isHighContrast: false,
+};
+
+/**
+ * `count` (1-3) side-by-side monitors of the given size; the first is primary.
+ */
+export function createFakeMonitors(count = 1, { width = 1920, height = 1080 } = {}) {
+  const total = Math.max(1, Math.min(3, Math.floor(Number(count)) || 1));
+  return Array.from({ length: total }, (_, index) => {
+    const bounds = { x: index * width, y: 0, width, height };
+    return {
+      id: `DISPLAY${index + 1}`,
+      name: `Display ${index + 1}`,
+      isPrimary: index === 0,
+      bounds,
+      workArea: { ...bounds, height: height - 40 },
+    };
+  });
+}
+
+const toFakeMonitors = (value) => (Array.isArray(value) ? value : createFakeMonitors(value ?? 1));
+
+// Events the fake core emits; announced in the `connected` handshake.
+export const FAKE_CORE_EVENTS = Object.freeze([
+  'windowCreated',
+  'windowDestroyed',
+  'windowUpdated',
+  'windowFocusChanged',
+  'windowStateChanged',
+  'windowAttentionRequested',
+  'windowProgressChanged',
+  'workspaceSwitched',
+  'workspaceCreated',
+  'workspaceUpdated',
+  'windowMovedToWorkspace',
+  'trayIconAdded',
+  'trayIconUpdated',
+  'trayIconRemoved',
+  'trayBalloonShown',
+  'trayBalloonClicked',
+  'themeChanged',
+  'monitorsChanged',
+]);
+
+/**
+ * Build `connected` handshake data describing a fake core's bridge surface.
+ * Simulation helpers are not part of the bridge contract and are left out.
+ */
+export function createFakeCoreHandshake(core, status = 'Mock shell core') {
+  return {
+    status,
+    protocolVersion: 1,
+    methods: Object.keys(core).filter(
+      (name) => typeof core[name] === 'function' && !name.startsWith('simulate'),
+    ),
+    events: [...FAKE_CORE_EVENTS],
+  };
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function basename(path) {
+  const parts = String(path ?? '').split(/[\\/]/);
+  const last = parts[parts.length - 1] || String(path ?? '');
+  return last.replace(/\.[^.]+$/, '');
+}
+
+export function createFakeShellCore(options = {}) {
+  const emit = typeof options.emit === 'function' ? options.emit : () => {};
+  const seed = clone({
+    workspaces: options.workspaces ?? [],
+    windows: options.windows ?? [],
+    trayIcons: options.trayIcons ?? [],
+    launcherApps: options.launcherApps ?? [],
+    desktopItems: options.desktopItems ?? [],
+    jumpLists: options.jumpLists ?? {},
+    systemStatus: options.systemStatus ?? {},
+    background: options.background ?? DEFAULT_BACKGROUND,
+    theme: options.theme ?? DEFAULT_THEME,
+    monitors: toFakeMonitors(options.monitors),
+  });
+
+  const state = {
+    windows: new Map(),
+    workspaces: new Map(),
+    trayIcons: new Map(),
+    launcherApps: seed.launcherApps,
+    desktopItems: seed.desktopItems,
+    jumpLists: seed.jumpLists,
+    background: { ...DEFAULT_BACKGROUND, ...seed.background },
+    theme: { ...DEFAULT_THEME, ...seed.theme },
+    monitors: seed.monitors,
+    taskbarPlacement: { edge: 'bottom', thickness: 0 },
+    activeWorkspaceId: null,
+    focusedWindowHandle: '0',
+    network: {
+      kind: 'ethernet',
+      isConnected: true,
+      hasWifiAdapter: true,
+      hasEthernetAdapter: true,
+      ...(seed.systemStatus.network ?? {}),
+    },
+    volume: {
+      levelPercent: 50,
+      isMuted: false,
+      ...(seed.systemStatus.volume ?? {}),
+    },
+    cpu: {
+      usagePercent: 12,
+      ...(seed.systemStatus.cpu ?? {}),
+    },
+    lastUpdated: new Date().toISOString(),
+  };
+
+  let nextHandle = 0x10000;
+
+  const allocateHandle = () => {
+    while (state.windows.has(String(nextHandle))) {
+      nextHandle += 1;
+    }
+    const hwnd = String(nextHandle);
+    nextHandle += 1;
+    return hwnd;
+  };
+
+  // Events are posted asynchronously, mirroring PostWebMessageAsString on the host.
+  const post = (type, data) => {
+    state.lastUpdated = new Date().toISOString();
+    setTimeout(() => emit(type, data), 0);
+  };
+
+  const toWindowJson = (w) => ({
+    hwnd: w.hwnd,
+    title: w.title,
+    processId: w.processId,
+    workspaceId: w.workspaceId,
+    state: w.state,
+    isVisible: w.isVisible,
+    appId: w.appId,
+    className: w.className,
+    executablePath: w.executablePath,
+    lastUpdated: w.lastUpdated,
+    iconData: w.iconData,
+    monitorId: w.monitorId,
+  });
+
+  const primaryMonitorId = () => (state.monitors.find((m) => m.isPrimary) ?? state.monitors[0]).id;
+
+  const toWorkspaceJson = (ws) => ({
+    id: ws.id,
+    name: ws.name,
+    windowHandles: Array.from(state.windows.values())
+      .filter((w) => w.workspaceId === ws.id)
+      .map((w) => w.hwnd),
+    isActive: ws.id === state.activeWorkspaceId,
+    createdAt: ws.createdAt,
+  });
+
+  const touch = (windowModel) => {
+    windowModel.lastUpdated = new Date().toISOString();
+    return windowModel;
+  };
+
+  const setFocus = (hwnd) => {
+    const previousHwnd = state.focusedWindowHandle;
+    const currentHwnd = hwnd ?? '0';
+    if (previousHwnd === currentHwnd) {
+      return;
+    }
+    state.focusedWindowHandle = currentHwnd;
+    post('windowFocusChanged', { previousHwnd, currentHwnd });
+  };
+
+  const setWindowState = (windowModel, nextState) => {
+    const previousState = windowModel.state;
+    if (previousState === nextState) {
+      return;
+    }
+    windowModel.state = nextState;
+    touch(windowModel);
+    post('windowStateChanged', { hwnd: windowModel.hwnd, previousState, state: nextState });
+  };
+
+  // Pick the next window to focus after the focused one is minimized or closed.
+  const focusNextCandidate = (excludedHwnd) => {
+    const candidate = Array.from(state.windows.values())
+      .reverse()
+      .find(
+        (w) =>
+          w.hwnd !== excludedHwnd &&
+          w.workspaceId === state.activeWorkspaceId &&
+          w.isVisible &&
+          w.state !== 'Minimized',
+      );
+    setFocus(candidate ? candidate.hwnd : '0');
+  };
+
+  const addWindow = (props) => {
+    const hwnd = props.hwnd ? String(props.hwnd) : allocateHandle();
+    const windowModel = touch({
+      hwnd,
+      title: props.title ?? 'Window',
+      processId: props.processId ?? 4000 + state.windows.size,
+      workspaceId: props.workspaceId ?? state.activeWorkspaceId,
+      state: props.state ?? 'Normal',
+      isVisible: props.isVisible ?? true,
+      appId: props.appId ?? null,
+      // A class of its own, so unrelated windows are not grouped on the taskbar.
+      className: props.className ?? `FakeWindowClass${hwnd}`,
+      executablePath: props.executablePath ?? null,
+      iconData: props.iconData ?? null,
+      monitorId: props.monitorId ?? primaryMonitorId(),
+    });
+    state.windows.set(hwnd, windowModel);
+    return windowModel;
+  };
+
+  const addWorkspace = (props) => {
+    const workspace = {
+      id: props.id,
+      name: props.name ?? props.id,
+      createdAt: props.createdAt ?? new Date().toISOString(),
+    };
+    state.workspaces.set(workspace.id, workspace);
+    if (props.isActive || !state.activeWorkspaceId) {
+      state.activeWorkspaceId = workspace.id;
+    }
+    return workspace;
+  };
+
+  seed.workspaces.forEach(addWorkspace);
+  seed.windows.forEach(addWindow);
+  seed.trayIcons.forEach((icon) => {
+    state.trayIcons.set(icon.id, {
+      id: icon.id,
+      tooltip: icon.tooltip ?? icon.title ?? icon.id,
+      processId: icon.processId ?? 0,
+      iconData: icon.iconData ?? null,
+      isVisible: icon.isVisible ?? true,
+      emoji: icon.emoji,
+      lastUpdated: new Date().toISOString(),
+    });
+  });
+  if (options.focusedWindowHandle && state.windows.has(String(options.focusedWindowHandle))) {
+    state.focusedWindowHandle = String(options.focusedWindowHandle);
+  }
+
+  const getWindow = (hwnd) => state.windows.get(String(hwnd)) ?? null;
+
+  return {
+    // Queries
+
+    listWindowsJson() {
+      return JSON.stringify(Array.from(state.windows.values()).map(toWindowJson));
+    },
+
+    listWorkspacesJson() {
+      return JSON.stringify(Array.from(state.workspaces.values()).map(toWorkspaceJson));
+    },
+
+    getTrayIconsJson() {
+      return JSON.stringify(Array.from(state.trayIcons.values()));
+    },
+
+    getLauncherAppsJson() {
+      return JSON.stringify(state.launcherApps);
+    },
+
+    getDesktopItemsJson() {
+      return JSON.stringify(state.desktopItems);
+    },
+
+    getDesktopBackgroundInfoJson() {
+      return JSON.stringify(state.background);
+    },
+
+    getThemeInfoJson() {
+      return JSON.stringify(state.theme);
+    },
+
+    listMonitorsJson() {
+      return JSON.stringify(state.monitors);
+    },
+
+    getShellStateJson() {
+      return JSON.stringify({
+        activeWorkspaceId: state.activeWorkspaceId,
+        focusedWindowHandle: state.focusedWindowHandle,
+        lastUpdated: state.lastUpdated,
+        windowCount: state.windows.size,
+        workspaceCount: state.workspaces.size,
+        trayIconCount: state.trayIcons.size,
+      });
+    },
+
+    getSystemStatusJson() {
+      const now = new Date();
+      return JSON.stringify({
+        localTime: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        localTimeIso: now.toISOString(),
+        network: { ...state.network },
+        volume: { ...state.volume },
+        cpu: { ...state.cpu },
+      });
+    },
+
+    // Applications and desktop items
+
+    async launchApp(appIdOrPath) {
+      if (!appIdOrPath) {
+        return false;
+      }
+
+      const app = state.launcherApps.find(
+        (a) => a.id === appIdOrPath || a.executablePath === appIdOrPath,
+      );
+      const desktopItem = app
+        ? null
+        : state.desktopItems.find((item) => item.path === appIdOrPath);
+
+      if (!app && !desktopItem) {
+        return false;
+      }
+
+      // The recycle bin and other shell: folders open as Explorer windows.
+      const windowModel = addWindow({
+        title: app ? app.name : desktopItem.name ?? basename(appIdOrPath),
+        appId: app ? app.id : null,
+        className: app ? `${app.id}-window` : 'CabinetWClass',
+        iconData: app ? app.iconData ?? null : desktopItem.iconData ?? null,
+      });
+
+      post('windowCreated', toWindowJson(windowModel));
+      setFocus(windowModel.hwnd);
+      return true;
+    },
+
+    openItemLocation(path) {
+      return Boolean(path);
+    },
+
+    // Jump lists: { [appId]: { tasks: [{ id, title }], recent: [{ id, title, path }] } }
+
+    getJumpListJson(appId) {
+      return JSON.stringify(state.jumpLists[appId] ?? { tasks: [], recent: [] });
+    },
+
+    // Opens a window of the app titled after the item.
+    openJumpListItem(appId, itemId) {
+      const jumpList = state.jumpLists[appId];
+      const app = state.launcherApps.find((a) => a.id === appId);
+      const item = [...(jumpList?.tasks ?? []), ...(jumpList?.recent ?? [])].find((i) => i.id === itemId);
+      if (!app || !item) {
+        return false;
+      }
+
+      const windowModel = addWindow({
+        title: `${item.title} - ${app.name}`,
+        appId: app.id,
+        className: `${app.id}-window`,
+        iconData: app.iconData ?? null,
+      });
+      post('windowCreated', toWindowJson(windowModel));
+      setFocus(windowModel.hwnd);
+      return true;
+    },
+
+    // Windows
+
+    focusWindow(hwnd) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel) {
+        return false;
+      }
+
+      if (windowModel.state === 'Minimized') {
+        setWindowState(windowModel, 'Normal');
+      }
+
+      setFocus(windowModel.hwnd);
+      return true;
+    },
+
+    minimizeWindow(hwnd) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel) {
+        return false;
+      }
+
+      setWindowState(windowModel, 'Minimized');
+
+      if (state.focusedWindowHandle === windowModel.hwnd) {
+        focusNextCandidate(windowModel.hwnd);
+      }
+      return true;
+    },
+
+    restoreWindow(hwnd) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel) {
+        return false;
+      }
+
+      setWindowState(windowModel, 'Normal');
+      return true;
+    },
+
+    closeWindow(hwnd) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel) {
+        return false;
+      }
+
+      state.windows.delete(windowModel.hwnd);
+      post('windowDestroyed', { hwnd: windowModel.hwnd });
+
+      if (state.focusedWindowHandle === windowModel.hwnd) {
+        focusNextCandidate(windowModel.hwnd);
+      }
+      return true;
+    },
+
+    // Workspaces
+
+    switchWorkspace(workspaceId) {
+      if (!workspaceId || !state.workspaces.has(workspaceId)) {
+        return false;
+      }
+
+      const previousWorkspaceId = state.activeWorkspaceId;
+      if (previousWorkspaceId === workspaceId) {
+        return true;
+      }
+
+      state.activeWorkspaceId = workspaceId;
+      post('workspaceSwitched', { previousWorkspaceId, currentWorkspaceId: workspaceId });
+      focusNextCandidate(null);
+      return true;
+    },
+
+    createWorkspace(workspaceId, name) {
+      if (!workspaceId || state.workspaces.has(workspaceId)) {
+        return false;
+      }
+
+      const workspace = addWorkspace({ id: workspaceId, name });
+      post('workspaceCreated', {
+        id: workspace.id,
+        name: workspace.name,
+        isActive: workspace.id === state.activeWorkspaceId,
+      });
+      return true;
+    },
+
+    moveWindowToWorkspace(hwnd, workspaceId) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel || !state.workspaces.has(workspaceId)) {
+        return false;
+      }
+
+      const previousWorkspaceId = windowModel.workspaceId;
+      if (previousWorkspaceId === workspaceId) {
+        return true;
+      }
+
+      windowModel.workspaceId = workspaceId;
+      touch(windowModel);
+      post('windowMovedToWorkspace', {
+        hwnd: windowModel.hwnd,
+        previousWorkspaceId,
+        newWorkspaceId: workspaceId,
+      });
+
+      if (state.focusedWindowHandle === windowModel.hwnd) {
+        focusNextCandidate(windowModel.hwnd);
+      }
+      return true;
+    },
+
+    // System status
+
+    setSystemVolume(levelPercent) {
+      const value = Number(levelPercent);
+      if (Number.isNaN(value)) {
+        return false;
+      }
+      state.volume.levelPercent = Math.max(0, Math.min(100, Math.round(value)));
+      return true;
+    },
+
+    toggleSystemMute() {
+      state.volume.isMuted = !state.volume.isMuted;
+      return true;
+    },
+
+    openNetworkSettings() {
+      return true;
+    },
+
+    preferNetwork(kind) {
+      const normalized = String(kind ?? '').trim().toLowerCase();
+      if (normalized === 'wifi' && state.network.hasWifiAdapter) {
+        state.network = { ...state.network, kind: 'wifi', isConnected: true };
+        return true;
+      }
+      if (normalized === 'ethernet' && state.network.hasEthernetAdapter) {
+        state.network = { ...state.network, kind: 'ethernet', isConnected: true };
+        return true;
+      }
+      return false;
+    },
+
+    // Tray
+
+    trayIconClick(trayIconId) {
+      return state.trayIcons.has(trayIconId);
+    },
+
+    // Shell lifecycle
+
+    restoreExplorerShell() {
+      // Never touch the real shell registration from dev mode.
+      return false;
+    },
+
+    setTaskbarPlacement(edge, thickness) {
+      state.taskbarPlacement = { edge: String(edge), thickness: Math.max(0, Number(thickness) || 0) };
+      return true;
+    },
+
+    logMessage(level, message) {
+      console.log(`[fake-shell:${level}] ${message}`);
+    },
+
+    // Simulation helpers (not part of ShellApi) for demos and tests
+
+    simulateWindowCreated(props = {}) {
+      const windowModel = addWindow(props);
+      post('windowCreated', toWindowJson(windowModel));
+      return windowModel.hwnd;
+    },
+
+    simulateWindowTitleChanged(hwnd, title) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel) {
+        return false;
+      }
+      windowModel.title = String(title ?? '');
+      post('windowUpdated', toWindowJson(touch(windowModel)));
+      return true;
+    },
+
+    // An app flashing its taskbar button.
+    simulateWindowAttention(hwnd, isFlashing = true) {
+      if (!getWindow(hwnd)) {
+        return false;
+      }
+      post('windowAttentionRequested', { hwnd: String(hwnd), isFlashing });
+      return true;
+    },
+
+    // An app reporting taskbar progress ('normal', 'indeterminate', 'paused',
+    // 'error' or 'none'; value in percent).
+    simulateWindowProgress(hwnd, progressState, progressValue = 0) {
+      if (!getWindow(hwnd)) {
+        return false;
+      }
+      post('windowProgressChanged', { hwnd: String(hwnd), progressState, progressValue });
+      return true;
+    },
+
+    simulateTrayIconAdded(icon) {
+      const trayIcon = {
+        id: icon.id,
+        tooltip: icon.tooltip ?? icon.id,
+        processId: icon.processId ?? 0,
+        iconData: icon.iconData ?? null,
+        isVisible: icon.isVisible ?? true,
+        lastUpdated: new Date().toISOString(),
+      };
+      const type = state.trayIcons.has(trayIcon.id) ? 'trayIconUpdated' : 'trayIconAdded';
+      state.trayIcons.set(trayIcon.id, trayIcon);
+      post(type, trayIcon);
+      return true;
+    },
+
+    simulateTrayBalloon(id, balloon = {}) {
+      if (!state.trayIcons.has(id)) {
+        return false;
+      }
+      post('trayBalloonShown', {
+        id,
+        balloon: {
+          title: balloon.title ?? '',
+          text: balloon.text ?? '',
+          icon: balloon.icon ?? 'Info',
+          timeoutMs: balloon.timeoutMs ?? 5000,
+        },
+      });
+      return true;
+    },
+
+    // Windows accent colour / dark mode / high contrast change.
+    simulateThemeChange(update = {}) {
+      state.theme = { ...state.theme, ...update };
+      post('themeChanged', { ...state.theme });
+      return true;
+    },
+
+    // Connect, disconnect or rearrange displays: a monitor count (1-3) or a
+    // list of monitors. Windows on a removed monitor move to the primary one.
+    simulateMonitorsChanged(monitors) {
+      state.monitors = clone(toFakeMonitors(monitors));
+      const ids = new Set(state.monitors.map((m) => m.id));
+      post('monitorsChanged', { monitors: clone(state.monitors) });
+      state.windows.forEach((windowModel) => {
+        if (!ids.has(windowModel.monitorId)) {
+          windowModel.monitorId = primaryMonitorId();
+          post('windowUpdated', toWindowJson(touch(windowModel)));
+        }
+      });
+      return true;
+    },
+
+    simulateWindowMovedToMonitor(hwnd, monitorId) {
+      const windowModel = getWindow(hwnd);
+      if (!windowModel || !state.monitors.some((m) => m.id === monitorId)) {
+        return false;
+      }
+      windowModel.monitorId = monitorId;
+      post('windowUpdated', toWindowJson(touch(windowModel)));
+      return true;
+    },
+
+    simulateWorkspaceRenamed(workspaceId, name) {
+      const workspace = state.workspaces.get(workspaceId);
+      if (!workspace) {
+        return false;
+      }
+      workspace.name = String(name ?? workspaceId);
+      post('workspaceUpdated', toWorkspaceJson(workspace));
+      return true;
+    },
+
+    simulateTrayIconRemoved(id) {
+      const trayIcon = state.trayIcons.get(id);
+      if (!trayIcon) {
+        return false;
+      }
+      state.trayIcons.delete(id);
+      post('trayIconRemoved', { id });
+      return true;
+    },
+  };
+}
+
+export default createFakeShellCore;
@@ -1,38 +1,85 @@
-export function bootstrapMockDataIfNeeded(store) {
+import shellBridge, { RPC_MODES } from '../bridge/api.js';
+import { createFakeMonitors, createFakeShellCore, createFakeCoreHandshake } from './fakeShellCore.js';
+
+export const mockSeed = {
+  workspaces: [
+    { id: 'ws-1', name: 'Workspace 1', isActive: true },
+    { id: 'ws-2', name: 'Workspace 2' },
+    { id: 'ws-3', name: 'Workspace 3' },
+  ],
+  windows: [
+    { hwnd: '1001', title: 'Code Editor', state: 'Maximized', workspaceId: 'ws-1', appId: 'editor' },
+    { hwnd: '1002', title: 'Documentation', state: 'Normal', workspaceId: 'ws-1', appId: 'browser' },
+    { hwnd: '1003', title: 'Music Player', state: 'Minimized', workspaceId: 'ws-2', appId: 'music' },
+  ],
+  focusedWindowHandle: '1001',
+  trayIcons: [
+    { id: 'network', tooltip: 'Network', emoji: '🌐' },
+    { id: 'battery', tooltip: 'Battery', emoji: '🔋' },
+    { id: 'sound', tooltip: 'Volume', emoji: '🔊' },
+  ],
+  launcherApps: [
+    { id: 'notepad', name: 'Notepad', description: 'Simple text editor', category: 'Productivity' },
+    { id: 'editor', name: 'Code Editor', description: 'Edit source code', category: 'Development' },
+    { id: 'terminal', name: 'Terminal', description: 'Command line', category: 'Development' },
+    { id: 'browser', name: 'Browser', description: 'Surf the web', category: 'Internet' },
+    { id: 'music', name: 'Music', description: 'Play your tunes', category: 'Media' },
+  ],
+  jumpLists: {
+    editor: {
+      tasks: [{ id: 'new-file', title: 'New file' }],
+      recent: [
+        { id: 'readme', title: 'README.md', path: 'C:\\Users\\Demo\\Desktop\\Projects\\README.md' },
+        { id: 'notes', title: 'Notes.txt', path: 'C:\\Users\\Demo\\Desktop\\Notes.txt' },
+      ],
+    },
+    browser: {
+      tasks: [{ id: 'private', title: 'New private window' }],
+      recent: [],
+    },
+  },
+  desktopItems: [
+    { name: 'Recycle Bin', path: 'shell:RecycleBinFolder', isShortcut: false, isPublic: true },
+    { name: 'Notes', path: 'C:\\Users\\Demo\\Desktop\\Notes.txt', isShortcut: false, isPublic: false },
+    { name: 'Projects', path: 'C:\\Users\\Demo\\Desktop\\Projects', isShortcut: false, isPublic: false },
+  ],
+};
+
+/**
+ * Install the in-memory fake shell core when no native host is present.
+ * Returns the fake core, or null when a real `window.shell` is available.
+ * `monitors` (1-3) simulates that many displays, with the mock windows spread
+ * across them.
+ */
+export function bootstrapMockDataIfNeeded(store, { monitors: monitorCount = 1 } = {}) {
   const shellApi = window.shell ?? null;
   if (shellApi) {
     store.setStatusText('Connected to Shell Core');
-    return;
+    return null;
   }
 
-  store.setStatusText('Mock data mode');
-  const workspaces = [
-    { id: 'ws-1', name: 'Workspace 1' },
-    { id: 'ws-2', name: 'Workspace 2' },
-    { id: 'ws-3', name: 'Workspace 3' },
-  ];
-  const windows = [
-    { hwnd: '0x1', title: 'Code Editor', state: 'Maximized', workspaceId: 'ws-1' },
-    { hwnd: '0x2', title: 'Documentation', state: 'Normal', workspaceId: 'ws-1' },
-    { hwnd: '0x3', title: 'Music Player', state: 'Minimized', workspaceId: 'ws-2' },
-  ];
-  const trayIcons = [
-    { id: 'network', title: 'Network', emoji: '🌐' },
-    { id: 'battery', title: 'Battery', emoji: '🔋' },
-    { id: 'sound', title: 'Volume', emoji: '🔊' },
-  ];
-  const apps = [
-    { id: 'notepad', name: 'Notepad', description: 'Simple text editor' },
-    { id: 'terminal', name: 'Terminal', description: 'Command line' },
-    { id: 'browser', name: 'Browser', description: 'Surf the web' },
-    { id: 'music', name: 'Music', description: 'Play your tunes' },
-  ];
+  // The fake core answers through window.shell: drop a transport that never
+  // connected (e.g. ?transport=websocket without a dev core server) so it stops
+  // reconnecting and calls are not sent to it as messages.
+  shellBridge.useTransport(null);
+  shellBridge.configure({ rpcMode: RPC_MODES.HOST_OBJECTS });
+
+  const monitors = createFakeMonitors(monitorCount);
+  const fakeCore = createFakeShellCore({
+    ...mockSeed,
+    monitors,
+    windows: mockSeed.windows.map((w, index) => ({ ...w, monitorId: monitors[index % monitors.length].id })),
+    emit: (type, data) =>
+      shellBridge.handleMessage({ type, data, timestamp: new Date().toISOString() }),
+  });
 
-  store.setWorkspaces(workspaces);
-  store.setActiveWorkspace('ws-1');
-  store.setWindows(windows);
-  store.setFocusedWindow('0x1');
-  store.setTrayIcons(trayIcons);
-  // Only set launcher apps in mock mode as fallback
-  store.setLauncherApps(apps);
+  window.shell = fakeCore;
+  shellBridge.handleMessage({
+    type: 'connected',
+    data: createFakeCoreHandshake(fakeCore),
+    timestamp: new Date().toISOString(),
+  });
+
+  store.setStatusText('Mock data mode');
+  return fakeCore;
 }
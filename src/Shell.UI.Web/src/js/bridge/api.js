@@ -2,14 +2,89 @@
  * Bridge API for communicating with the native shell core
  */
 
-class ShellBridge {
-  constructor() {
+import { createTransportForPage } from './transports.js';
+import {
+  isHostEvent,
+  normalizeDesktopItem,
+  normalizeEventData,
+  normalizeLauncherApp,
+  normalizeList,
+  normalizeMonitors,
+  normalizeShellState,
+  normalizeSystemStatus,
+  normalizeHostTheme,
+  normalizeJumpList,
+  normalizeTrayIcon,
+  normalizeWindow,
+  normalizeWorkspace,
+} from './schema.js';
+
+export const RPC_MODES = Object.freeze({
+  // Synchronous COM-style proxies (window.shell / hostObjects.shell)
+  HOST_OBJECTS: 'hostObjects',
+  // Correlated request/response messages over the active transport
+  MESSAGE: 'message',
+});
+
+// Highest bridge protocol version this UI build understands.
+export const BRIDGE_PROTOCOL_VERSION = 1;
+
+export const CONNECTION_STATES = Object.freeze({
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  RECONNECTING: 'reconnecting',
+});
+
+/**
+ * Structured error raised by bridge calls.
+ * `code` is one of: not_available, not_supported, timeout, cancelled, remote_error,
+ * transport_error, offline.
+ */
+export class BridgeError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+    this.method = details.method ?? null;
+    this.requestId = details.requestId ?? null;
+    this.remote = details.remote ?? null;
+  }
+}
+
+export class ShellBridge {
+  /**
+   * Options (all optional, used for replay and tests):
+   *   transport  - explicit transport (null for none) instead of the page default
+   *   hostObject - object serving method calls instead of window.shell
+   */
+  constructor(options = {}) {
     this.isConnected = false;
     this.eventHandlers = new Map();
     this.connectionPromise = null;
-
-    // Initialize WebView2 message listener
-    this.initializeMessageListener();
+    this.rpcMode = RPC_MODES.HOST_OBJECTS;
+    this.callTimeoutMs = 10000;
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+    this.transport = null;
+    this.connectionState = CONNECTION_STATES.CONNECTING;
+    this.hasConnectedBefore = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimeoutId = null;
+    this.reconnectPolicy = { initialDelayMs: 500, maxDelayMs: 30000, factor: 2 };
+    this.protocolVersion = null;
+    // { methods: Set, events: Set } once the host announces them; null for legacy hosts.
+    this.capabilities = null;
+    this.hostObject = options.hostObject ?? null;
+    // Optional traffic recorder (see recorder.js)
+    this.recorder = null;
+
+    if ('transport' in options) {
+      this.useTransport(options.transport);
+    } else {
+      // Initialize the transport selected for this page (WebView2 by default)
+      this.initializeMessageListener();
+    }
   }
 
   initializeMessageListener() {
@@ -17,30 +92,243 @@ class ShellBridge {
       return;
     }
 
-    if (window.chrome && window.chrome.webview) {
-      window.chrome.webview.addEventListener('message', (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          this.handleMessage(message);
-        } catch (error) {
-          console.error('Error parsing bridge message:', error);
-        }
+    const transport = createTransportForPage(window);
+    if (transport) {
+      this.useTransport(transport);
+    }
+  }
+
+  /**
+   * Replace the active transport and start receiving messages through it.
+   */
+  useTransport(transport) {
+    if (this.transport) {
+      this.transport.close();
+    }
+    if (this.reconnectTimeoutId) {
+      clearTimeout(this.reconnectTimeoutId);
+      this.reconnectTimeoutId = null;
+    }
+
+    this.transport = transport;
+    if (!transport) {
+      return;
+    }
+
+    // Transports without host object projection can only do message RPC.
+    if (!transport.supportsHostObjects) {
+      this.rpcMode = RPC_MODES.MESSAGE;
+    }
+
+    this.connectTransport();
+  }
+
+  connectTransport() {
+    const transport = this.transport;
+    try {
+      transport.connect({
+        onMessage: (message) => this.handleMessage(message),
+        onClose: () => {
+          if (this.transport === transport) {
+            this.handleDisconnect('Transport closed');
+          }
+        },
       });
+    } catch (error) {
+      console.error('Error connecting bridge transport:', error);
+      this.handleDisconnect(error.message);
+    }
+  }
+
+  setConnectionState(state, details = {}) {
+    const previousState = this.connectionState;
+    this.connectionState = state;
+    if (previousState === state && !details.attempt) {
+      return;
+    }
+    this.emit('connectionStateChanged', { state, previousState, ...details });
+  }
+
+  /**
+   * Mark the bridge as offline, fail in-flight calls and start reconnecting.
+   * Transports that cannot reconnect themselves (WebView2) wait for the host
+   * to send a fresh `connected` message, e.g. after RestartUiHostAsync.
+   */
+  handleDisconnect(reason) {
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+
+    this.pendingRequests.forEach((pending, requestId) => {
+      pending.reject(new BridgeError('offline', `Bridge disconnected before ${pending.method} completed`, {
+        method: pending.method,
+        requestId,
+      }));
+    });
+
+    if (wasConnected) {
+      console.warn('Bridge disconnected:', reason);
+      this.setConnectionState(CONNECTION_STATES.DISCONNECTED, { reason });
+    }
+
+    if (this.transport && this.transport.reconnectable) {
+      this.scheduleReconnect();
+    } else if (this.hasConnectedBefore) {
+      this.setConnectionState(CONNECTION_STATES.RECONNECTING, { attempt: 0, delayMs: null });
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimeoutId) {
+      return;
+    }
+
+    const { initialDelayMs, maxDelayMs, factor } = this.reconnectPolicy;
+    this.reconnectAttempt += 1;
+    const delayMs = Math.min(maxDelayMs, initialDelayMs * factor ** (this.reconnectAttempt - 1));
+
+    // Before the first handshake we are still "connecting", just retrying.
+    const state = this.hasConnectedBefore
+      ? CONNECTION_STATES.RECONNECTING
+      : CONNECTION_STATES.CONNECTING;
+    this.setConnectionState(state, { attempt: this.reconnectAttempt, delayMs });
+
+    this.reconnectTimeoutId = setTimeout(() => {
+      this.reconnectTimeoutId = null;
+      if (this.transport && !this.isConnected) {
+        this.connectTransport();
+      }
+    }, delayMs);
+  }
+
+  /**
+   * True while the bridge has lost a previously established connection.
+   */
+  isOffline() {
+    return (
+      this.hasConnectedBefore &&
+      (this.connectionState === CONNECTION_STATES.DISCONNECTED ||
+        this.connectionState === CONNECTION_STATES.RECONNECTING)
+    );
+  }
+
+  /**
+   * Configure how bridge methods are invoked.
+   * Options: { rpcMode: 'hostObjects' | 'message', callTimeoutMs }
+   */
+  configure(options = {}) {
+    if (options.rpcMode) {
+      if (!Object.values(RPC_MODES).includes(options.rpcMode)) {
+        throw new Error(`Unknown bridge RPC mode: ${options.rpcMode}`);
+      }
+      this.rpcMode = options.rpcMode;
+    }
+
+    if (typeof options.callTimeoutMs === 'number' && options.callTimeoutMs > 0) {
+      this.callTimeoutMs = options.callTimeoutMs;
     }
   }
 
   handleMessage(message) {
     const { type, data, timestamp } = message;
+
+    if (this.recorder) {
+      this.recorder.recordInbound(message);
+    }
+
+    if (type === 'response') {
+      this.handleResponse(message);
+      return;
+    }
     
     if (type === 'connected') {
+      // Hosts that implement message RPC announce it in the handshake.
+      if (data && data.rpcMode) {
+        this.configure({ rpcMode: data.rpcMode });
+      }
+      const isReconnect = this.hasConnectedBefore;
+      this.applyCapabilities(data);
       this.isConnected = true;
+      this.hasConnectedBefore = true;
+      this.reconnectAttempt = 0;
+      if (this.reconnectTimeoutId) {
+        clearTimeout(this.reconnectTimeoutId);
+        this.reconnectTimeoutId = null;
+      }
       console.log('Bridge connected:', data);
+      this.setConnectionState(CONNECTION_STATES.CONNECTED);
       this.emit('connected', data);
+      if (isReconnect) {
+        this.emit('reconnected', data);
+      }
+      return;
+    }
+
+    if (type === 'disconnected') {
+      this.handleDisconnect(data && data.reason ? data.reason : 'Host disconnected');
+      return;
+    }
+
+    // Normalize the payload; unusable events are dropped (see schema.js)
+    const normalized = normalizeEventData(type, data);
+    if (normalized === null) {
       return;
     }
 
     // Emit the event to registered handlers
-    this.emit(type, data);
+    this.emit(type, normalized);
+  }
+
+  /**
+   * Record the protocol version and method/event lists from the `connected` handshake.
+   * Hosts that predate negotiation send neither; they are treated as supporting everything.
+   */
+  applyCapabilities(data) {
+    const methods = data && Array.isArray(data.methods) ? data.methods : null;
+    const events = data && Array.isArray(data.events) ? data.events : null;
+
+    this.protocolVersion =
+      data && Number.isFinite(data.protocolVersion) ? data.protocolVersion : null;
+    // A list the host leaves out is unknown (null), not empty.
+    this.capabilities =
+      methods || events
+        ? { methods: methods ? new Set(methods) : null, events: events ? new Set(events) : null }
+        : null;
+
+    if (this.protocolVersion !== null && this.protocolVersion > BRIDGE_PROTOCOL_VERSION) {
+      console.warn(
+        `Bridge host speaks protocol v${this.protocolVersion}; this UI understands up to v${BRIDGE_PROTOCOL_VERSION}`,
+      );
+    }
+
+    this.emit('capabilitiesChanged', this.getCapabilities());
+  }
+
+  /**
+   * Whether the connected host implements a bridge method or event.
+   */
+  supports(name) {
+    if (!this.capabilities) {
+      return true;
+    }
+    // Each name is checked against its own list; a list the host left out rules
+    // nothing out, as in dispatchCall.
+    const list = isHostEvent(name) ? this.capabilities.events : this.capabilities.methods;
+    return !list || list.has(name);
+  }
+
+  /**
+   * Plain snapshot of the negotiated capabilities, or null for legacy hosts.
+   * `methods` or `events` is null when the host did not list them.
+   */
+  getCapabilities() {
+    if (!this.capabilities) {
+      return null;
+    }
+    return {
+      protocolVersion: this.protocolVersion,
+      methods: this.capabilities.methods ? Array.from(this.capabilities.methods) : null,
+      events: this.capabilities.events ? Array.from(this.capabilities.events) : null,
+    };
   }
 
   /**
@@ -89,18 +377,23 @@ class ShellBridge {
       return this.connectionPromise;
     }
 
+    // The promise is dropped once settled so a timeout is not cached forever
+    // and later waits (e.g. after a reconnect) start fresh.
     this.connectionPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Bridge connection timeout'));
-      }, timeoutMs);
-
       const onConnected = () => {
         clearTimeout(timeout);
         this.off('connected', onConnected);
         resolve();
       };
 
+      const timeout = setTimeout(() => {
+        this.off('connected', onConnected);
+        reject(new Error('Bridge connection timeout'));
+      }, timeoutMs);
+
       this.on('connected', onConnected);
+    }).finally(() => {
+      this.connectionPromise = null;
     });
 
     return this.connectionPromise;
@@ -110,24 +403,174 @@ class ShellBridge {
    * Call a bridge method safely
    */
   async callBridgeMethod(methodName, ...args) {
-    try {
-      await this.waitForConnection();
+    return this.invoke(methodName, args);
+  }
 
-      if (typeof window === 'undefined') {
-        throw new Error('Window object not available');
+  /**
+   * Call a bridge method with per-call options.
+   * Options: { timeoutMs, signal } (both only honoured in message RPC mode).
+   */
+  async invoke(methodName, args = [], options = {}) {
+    const startedAt = Date.now();
+    try {
+      const result = await this.dispatchCall(methodName, args, options);
+      if (this.recorder) {
+        this.recorder.recordCall({ method: methodName, args, result, durationMs: Date.now() - startedAt });
       }
+      return result;
+    } catch (error) {
+      if (this.recorder) {
+        this.recorder.recordCall({ method: methodName, args, error, durationMs: Date.now() - startedAt });
+      }
+      console.error(`Error calling bridge method ${methodName}:`, error);
+      throw error;
+    }
+  }
+
+  async dispatchCall(methodName, args, options) {
+    // Fail fast while offline instead of letting user actions hang.
+    if (this.isOffline()) {
+      throw new BridgeError('offline', `Shell core is offline; ${methodName} was not sent`, {
+        method: methodName,
+      });
+    }
+
+    await this.waitForConnection();
+
+    if (this.capabilities && this.capabilities.methods && !this.capabilities.methods.has(methodName)) {
+      throw new BridgeError('not_supported', `Bridge host does not support ${methodName}`, {
+        method: methodName,
+      });
+    }
+
+    if (this.rpcMode === RPC_MODES.MESSAGE) {
+      return this.sendRequest(methodName, args, options);
+    }
+
+    if (!this.hostObject && typeof window === 'undefined') {
+      throw new Error('Window object not available');
+    }
+
+    const hostObjects =
+      !this.hostObject && window.chrome && window.chrome.webview && window.chrome.webview.hostObjects;
+    const nativeShell = this.hostObject || (window.shell ?? null) || (hostObjects && hostObjects.shell);
+
+    if (!nativeShell || typeof nativeShell[methodName] !== 'function') {
+      throw new BridgeError('not_available', `Bridge method ${methodName} not available`, {
+        method: methodName,
+      });
+    }
+
+    return nativeShell[methodName](...args);
+  }
+
+  /**
+   * Send a request message to the host and wait for the matching response.
+   */
+  sendRequest(methodName, args, { timeoutMs = this.callTimeoutMs, signal } = {}) {
+    if (!this.transport) {
+      return Promise.reject(
+        new BridgeError('not_available', 'Message RPC requires a bridge transport', {
+          method: methodName,
+        }),
+      );
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(
+        new BridgeError('cancelled', `Bridge call ${methodName} was cancelled`, { method: methodName }),
+      );
+    }
+
+    const requestId = `req-${this.nextRequestId++}`;
+
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        clearTimeout(pending.timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.pendingRequests.delete(requestId);
+      };
 
-      const hostObjects = window.chrome && window.chrome.webview && window.chrome.webview.hostObjects;
-      const nativeShell = (window.shell ?? null) || (hostObjects && hostObjects.shell);
+      const onAbort = () => {
+        settle();
+        this.postCancel(requestId);
+        reject(new BridgeError('cancelled', `Bridge call ${methodName} was cancelled`, {
+          method: methodName,
+          requestId,
+        }));
+      };
 
-      if (!nativeShell || typeof nativeShell[methodName] !== 'function') {
-        throw new Error(`Bridge method ${methodName} not available`);
+      const pending = {
+        method: methodName,
+        resolve: (value) => {
+          settle();
+          resolve(value);
+        },
+        reject: (error) => {
+          settle();
+          reject(error);
+        },
+        timeoutId: setTimeout(() => {
+          settle();
+          this.postCancel(requestId);
+          reject(new BridgeError('timeout', `Bridge call ${methodName} timed out after ${timeoutMs}ms`, {
+            method: methodName,
+            requestId,
+          }));
+        }, timeoutMs),
+      };
+
+      this.pendingRequests.set(requestId, pending);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
       }
 
-      return await nativeShell[methodName](...args);
-    } catch (error) {
-      console.error(`Error calling bridge method ${methodName}:`, error);
-      throw error;
+      try {
+        this.postToHost({ type: 'request', id: requestId, method: methodName, args });
+      } catch (error) {
+        pending.reject(new BridgeError('transport_error', error.message, { method: methodName, requestId }));
+      }
+    });
+  }
+
+  /**
+   * Resolve or reject the pending request matching a response message.
+   * Expected shape: { type: 'response', id, result } or { type: 'response', id, error: { code, message } }
+   */
+  handleResponse(message) {
+    const pending = this.pendingRequests.get(message.id);
+    if (!pending) {
+      // Late response for a call that already timed out or was cancelled.
+      return;
+    }
+
+    if (message.error) {
+      const remote = typeof message.error === 'object' ? message.error : { message: String(message.error) };
+      pending.reject(new BridgeError('remote_error', remote.message || `Bridge call ${pending.method} failed`, {
+        method: pending.method,
+        requestId: message.id,
+        remote,
+      }));
+      return;
+    }
+
+    pending.resolve(message.result);
+  }
+
+  postToHost(message) {
+    this.transport.send(message);
+  }
+
+  /**
+   * Tell the host to abandon a request. Best-effort: the host may not support it.
+   */
+  postCancel(requestId) {
+    try {
+      this.postToHost({ type: 'cancel', id: requestId });
+    } catch {
+      // Ignore cancellation errors
     }
   }
 
@@ -155,7 +598,7 @@ class ShellBridge {
   async listWindows() {
     try {
       const json = await this.callBridgeMethod('listWindowsJson');
-      return JSON.parse(json);
+      return normalizeList(JSON.parse(json), normalizeWindow, 'listWindowsJson');
     } catch (error) {
       console.error('Error listing windows:', error);
       return [];
@@ -168,7 +611,7 @@ class ShellBridge {
   async listWorkspaces() {
     try {
       const json = await this.callBridgeMethod('listWorkspacesJson');
-      return JSON.parse(json);
+      return normalizeList(JSON.parse(json), normalizeWorkspace, 'listWorkspacesJson');
     } catch (error) {
       console.error('Error listing workspaces:', error);
       return [];
@@ -181,7 +624,7 @@ class ShellBridge {
   async getTrayIcons() {
     try {
       const json = await this.callBridgeMethod('getTrayIconsJson');
-      return JSON.parse(json);
+      return normalizeList(JSON.parse(json), normalizeTrayIcon, 'getTrayIconsJson');
     } catch (error) {
       console.error('Error getting tray icons:', error);
       return [];
@@ -194,7 +637,7 @@ class ShellBridge {
   async getLauncherApps() {
     try {
       const json = await this.callBridgeMethod('getLauncherAppsJson');
-      return JSON.parse(json);
+      return normalizeList(JSON.parse(json), normalizeLauncherApp, 'getLauncherAppsJson');
     } catch (error) {
       console.error('Error getting launcher apps:', error);
       return [];
@@ -207,7 +650,7 @@ class ShellBridge {
   async getDesktopItems() {
     try {
       const json = await this.callBridgeMethod('getDesktopItemsJson');
-      return JSON.parse(json);
+      return normalizeList(JSON.parse(json), normalizeDesktopItem, 'getDesktopItemsJson');
     } catch (error) {
       console.error('Error getting desktop items:', error);
       return [];
@@ -227,6 +670,32 @@ class ShellBridge {
     }
   }
 
+  /**
+   * Get the Windows accent colour and dark-mode / high-contrast flags.
+   */
+  async getThemeInfo() {
+    try {
+      const json = await this.callBridgeMethod('getThemeInfoJson');
+      return normalizeHostTheme(JSON.parse(json), { source: 'getThemeInfoJson' });
+    } catch (error) {
+      console.error('Error getting theme info:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the connected monitors (see normalizeMonitor).
+   */
+  async listMonitors() {
+    try {
+      const json = await this.callBridgeMethod('listMonitorsJson');
+      return normalizeMonitors(JSON.parse(json), 'listMonitorsJson');
+    } catch (error) {
+      console.error('Error listing monitors:', error);
+      return [];
+    }
+  }
+
   /**
    * Open the containing folder for a file path in Explorer.
    */
@@ -239,6 +708,31 @@ class ShellBridge {
     }
   }
 
+  /**
+   * Get an app's jump list: tasks and recent files (see normalizeJumpList).
+   */
+  async getJumpList(appId) {
+    try {
+      const json = await this.callBridgeMethod('getJumpListJson', appId);
+      return normalizeJumpList(JSON.parse(json), { source: 'getJumpListJson' });
+    } catch (error) {
+      console.error('Error getting jump list:', error);
+      return { tasks: [], recent: [] };
+    }
+  }
+
+  /**
+   * Open an item of an app's jump list by its id.
+   */
+  async openJumpListItem(appId, itemId) {
+    try {
+      return await this.callBridgeMethod('openJumpListItem', appId, itemId);
+    } catch (error) {
+      console.error('Error opening jump list item:', error);
+      return false;
+    }
+  }
+
   /**
    * Launch an application
    */
@@ -341,7 +835,7 @@ class ShellBridge {
   async getShellState() {
     try {
       const json = await this.callBridgeMethod('getShellStateJson');
-      return JSON.parse(json);
+      return normalizeShellState(JSON.parse(json), { source: 'getShellStateJson' });
     } catch (error) {
       console.error('Error getting shell state:', error);
       return {};
@@ -349,12 +843,12 @@ class ShellBridge {
   }
 
   /**
-   * Get current system status (time, network, volume)
+   * Get current system status (time, network, volume, CPU)
    */
   async getSystemStatus() {
     try {
       const json = await this.callBridgeMethod('getSystemStatusJson');
-      return JSON.parse(json);
+      return normalizeSystemStatus(JSON.parse(json), { source: 'getSystemStatusJson' });
     } catch (error) {
       console.error('Error getting system status:', error);
       return {};
@@ -421,6 +915,19 @@ class ShellBridge {
     }
   }
 
+  /**
+   * Tell the host which screen edge the taskbar is on and how many device
+   * pixels to keep clear for it (0 while it auto-hides).
+   */
+  async setTaskbarPlacement(edge, thickness) {
+    try {
+      return await this.callBridgeMethod('setTaskbarPlacement', edge, thickness);
+    } catch (error) {
+      console.error('Error setting taskbar placement:', error);
+      return false;
+    }
+  }
+
   /**
    * Restore Explorer as the shell and launch it.
    */
@@ -4,9 +4,23 @@ import shellBridge from './api.js';
  * Handles events from the shell core and updates the UI state
  */
 export class ShellEventHandler {
-  constructor(store) {
+  constructor(store, bridge = shellBridge) {
     this.store = store;
+    this.bridge = bridge;
     this.isListening = false;
+    this.subscriptions = [];
+    this.balloonTimers = new Map();
+  }
+
+  /**
+   * Register a handler whose store updates are tagged with the bridge event
+   * that caused them (visible in the store history).
+   */
+  listen(type, handler) {
+    const listener = (data) =>
+      this.store.runWithCause({ source: 'bridge', event: type }, () => handler.call(this, data));
+    this.bridge.on(type, listener);
+    this.subscriptions.push([type, listener]);
   }
 
   /**
@@ -20,26 +34,42 @@ export class ShellEventHandler {
     console.log('Starting to listen for shell core events...');
 
     // Window events
-    shellBridge.on('windowCreated', this.handleWindowCreated.bind(this));
-    shellBridge.on('windowDestroyed', this.handleWindowDestroyed.bind(this));
-    shellBridge.on('windowUpdated', this.handleWindowUpdated.bind(this));
-    shellBridge.on('windowFocusChanged', this.handleWindowFocusChanged.bind(this));
+    this.listen('windowCreated', this.handleWindowCreated);
+    this.listen('windowDestroyed', this.handleWindowDestroyed);
+    this.listen('windowUpdated', this.handleWindowUpdated);
+    this.listen('windowFocusChanged', this.handleWindowFocusChanged);
+    this.listen('windowStateChanged', this.handleWindowStateChanged);
+    this.listen('windowAttentionRequested', this.handleWindowAttentionRequested);
+    this.listen('windowProgressChanged', this.handleWindowProgressChanged);
 
     // Workspace events
-    shellBridge.on('workspaceSwitched', this.handleWorkspaceSwitched.bind(this));
-    shellBridge.on('workspaceCreated', this.handleWorkspaceCreated.bind(this));
-    shellBridge.on('windowMovedToWorkspace', this.handleWindowMovedToWorkspace.bind(this));
+    this.listen('workspaceSwitched', this.handleWorkspaceSwitched);
+    this.listen('workspaceCreated', this.handleWorkspaceCreated);
+    this.listen('workspaceUpdated', this.handleWorkspaceUpdated);
+    this.listen('workspaceRemoved', this.handleWorkspaceRemoved);
+    this.listen('windowMovedToWorkspace', this.handleWindowMovedToWorkspace);
 
     // Tray events
-    shellBridge.on('trayIconAdded', this.handleTrayIconAdded.bind(this));
-    shellBridge.on('trayIconUpdated', this.handleTrayIconUpdated.bind(this));
-    shellBridge.on('trayIconRemoved', this.handleTrayIconRemoved.bind(this));
+    this.listen('trayIconAdded', this.handleTrayIconAdded);
+    this.listen('trayIconUpdated', this.handleTrayIconUpdated);
+    this.listen('trayIconRemoved', this.handleTrayIconRemoved);
+    this.listen('trayBalloonShown', this.handleTrayBalloonShown);
+    this.listen('trayBalloonClicked', this.handleTrayBalloonClicked);
+    this.listen('trayMenuItemClicked', this.handleTrayMenuItemClicked);
 
     // Hotkey events
-    shellBridge.on('hotkeyPressed', this.handleHotkeyPressed.bind(this));
+    this.listen('hotkeyPressed', this.handleHotkeyPressed);
+
+    // Windows accent colour / dark mode
+    this.listen('themeChanged', this.handleThemeChanged);
+
+    // Displays connected, disconnected or rearranged
+    this.listen('monitorsChanged', this.handleMonitorsChanged);
 
     // Connection events
-    shellBridge.on('connected', this.handleConnected.bind(this));
+    this.listen('connected', this.handleConnected);
+    this.listen('connectionStateChanged', this.handleConnectionStateChanged);
+    this.listen('capabilitiesChanged', this.handleCapabilitiesChanged);
 
     this.isListening = true;
   }
@@ -55,38 +85,19 @@ export class ShellEventHandler {
     console.log('Stopping shell core event listening...');
 
     // Remove all event listeners
-    shellBridge.off('windowCreated', this.handleWindowCreated);
-    shellBridge.off('windowDestroyed', this.handleWindowDestroyed);
-    shellBridge.off('windowUpdated', this.handleWindowUpdated);
-    shellBridge.off('windowFocusChanged', this.handleWindowFocusChanged);
-    shellBridge.off('workspaceSwitched', this.handleWorkspaceSwitched);
-    shellBridge.off('workspaceCreated', this.handleWorkspaceCreated);
-    shellBridge.off('windowMovedToWorkspace', this.handleWindowMovedToWorkspace);
-    shellBridge.off('trayIconAdded', this.handleTrayIconAdded);
-    shellBridge.off('trayIconUpdated', this.handleTrayIconUpdated);
-    shellBridge.off('trayIconRemoved', this.handleTrayIconRemoved);
-    shellBridge.off('hotkeyPressed', this.handleHotkeyPressed);
-    shellBridge.off('connected', this.handleConnected);
+    this.subscriptions.forEach(([type, listener]) => this.bridge.off(type, listener));
+    this.subscriptions = [];
+    this.balloonTimers.forEach((timer) => clearTimeout(timer));
+    this.balloonTimers.clear();
 
     this.isListening = false;
   }
 
-  // Event handlers
+  // Event handlers (payloads arrive normalized by the bridge, see schema.js)
 
   handleWindowCreated(data) {
     console.log('Window created:', data);
-    const window = {
-      hwnd: data.hwnd,
-      title: data.title,
-      processId: data.processId,
-      workspaceId: data.workspaceId,
-      state: data.state,
-      isVisible: data.isVisible,
-      appId: data.appId,
-      className: data.className,
-      iconData: data.iconData
-    };
-    this.store.upsertWindow(window);
+    this.store.upsertWindow(data);
   }
 
   handleWindowDestroyed(data) {
@@ -96,13 +107,8 @@ export class ShellEventHandler {
 
   handleWindowUpdated(data) {
     console.log('Window updated:', data);
-    const window = {
-      hwnd: data.hwnd,
-      title: data.title,
-      state: data.state,
-      isVisible: data.isVisible
-    };
-    this.store.upsertWindow(window);
+    // Partial update: only the fields the host sent are merged.
+    this.store.upsertWindow(data);
   }
 
   handleWindowFocusChanged(data) {
@@ -110,6 +116,30 @@ export class ShellEventHandler {
     this.store.setFocusedWindow(data.currentHwnd);
   }
 
+  handleWindowStateChanged(data) {
+    console.log('Window state changed:', data);
+    this.store.upsertWindow({ hwnd: data.hwnd, state: data.state });
+  }
+
+  handleWindowAttentionRequested(data) {
+    console.log('Window attention requested:', data);
+    if (this.isKnownWindow(data.hwnd)) {
+      this.store.upsertWindow({ hwnd: data.hwnd, isFlashing: data.isFlashing });
+    }
+  }
+
+  handleWindowProgressChanged(data) {
+    // Sent often while a download or build runs; not logged.
+    if (this.isKnownWindow(data.hwnd)) {
+      this.store.upsertWindow(data);
+    }
+  }
+
+  // Flash and progress reports can name windows the shell does not track.
+  isKnownWindow(hwnd) {
+    return this.store.getState().windows.some((w) => w.hwnd === hwnd);
+  }
+
   handleWorkspaceSwitched(data) {
     console.log('Workspace switched:', data);
     this.store.setActiveWorkspace(data.currentWorkspaceId);
@@ -117,8 +147,18 @@ export class ShellEventHandler {
 
   handleWorkspaceCreated(data) {
     console.log('Workspace created:', data);
-    // Refresh workspaces to get the updated list
-    this.refreshWorkspaces();
+    this.store.upsertWorkspace(data);
+  }
+
+  handleWorkspaceUpdated(data) {
+    console.log('Workspace updated:', data);
+    // Partial update: only the fields the host sent are merged.
+    this.store.upsertWorkspace(data);
+  }
+
+  handleWorkspaceRemoved(data) {
+    console.log('Workspace removed:', data);
+    this.store.removeWorkspace(data.id);
   }
 
   handleWindowMovedToWorkspace(data) {
@@ -133,22 +173,57 @@ export class ShellEventHandler {
 
   handleTrayIconAdded(data) {
     console.log('Tray icon added:', data);
-    // Refresh tray icons to get the updated list
-    this.refreshTrayIcons();
+    this.store.upsertTrayIcon(data);
   }
 
   handleTrayIconUpdated(data) {
     console.log('Tray icon updated:', data);
-    // Refresh tray icons to get the updated list
-    this.refreshTrayIcons();
+    // Partial update: only the fields the host sent are merged.
+    this.store.upsertTrayIcon(data);
   }
 
   handleTrayIconRemoved(data) {
     console.log('Tray icon removed:', data);
-    // Remove from tray icons list
-    const currentTrayIcons = this.store.getState().trayIcons;
-    const updatedTrayIcons = currentTrayIcons.filter(icon => icon.id !== data.id);
-    this.store.setTrayIcons(updatedTrayIcons);
+    this.cancelBalloonTimer(data.id);
+    this.store.removeTrayIcon(data.id);
+  }
+
+  handleTrayBalloonShown(data) {
+    console.log('Tray balloon shown:', data);
+    const { id, balloon } = data;
+    this.store.upsertTrayIcon({ id, balloon });
+
+    this.cancelBalloonTimer(id);
+    if (balloon.timeoutMs > 0) {
+      const timer = setTimeout(() => {
+        this.store.runWithCause({ source: 'bridge', event: 'trayBalloonTimeout' }, () =>
+          this.clearTrayBalloon(id),
+        );
+      }, balloon.timeoutMs);
+      this.balloonTimers.set(id, timer);
+    }
+  }
+
+  handleTrayBalloonClicked(data) {
+    console.log('Tray balloon clicked:', data);
+    this.clearTrayBalloon(data.id);
+  }
+
+  handleTrayMenuItemClicked(data) {
+    console.log('Tray menu item clicked:', data);
+  }
+
+  cancelBalloonTimer(id) {
+    clearTimeout(this.balloonTimers.get(id));
+    this.balloonTimers.delete(id);
+  }
+
+  clearTrayBalloon(id) {
+    this.cancelBalloonTimer(id);
+    const icon = this.store.getState().trayIcons.find((entry) => entry.id === id);
+    if (icon?.balloon) {
+      this.store.upsertTrayIcon({ id, balloon: null });
+    }
   }
 
   handleHotkeyPressed(data) {
@@ -165,6 +240,15 @@ export class ShellEventHandler {
     }
   }
 
+  handleThemeChanged(data) {
+    this.store.setHostTheme(data);
+  }
+
+  handleMonitorsChanged(data) {
+    console.log('Monitors changed:', data);
+    this.store.setMonitors(data.monitors);
+  }
+
   toggleLauncher() {
     // Get launcher elements
     const launcherOverlay = document.getElementById('launcher-overlay');
@@ -187,11 +271,27 @@ export class ShellEventHandler {
     this.store.setStatusText('Connected');
   }
 
+  handleConnectionStateChanged(data) {
+    this.store.setConnectionState(data.state);
+
+    if (data.state === 'disconnected') {
+      this.store.setStatusText('Disconnected – actions paused');
+    } else if (data.state === 'reconnecting') {
+      const attempt = data.attempt ? ` (attempt ${data.attempt})` : '';
+      this.store.setStatusText(`Reconnecting${attempt}…`);
+    }
+  }
+
+  handleCapabilitiesChanged(capabilities) {
+    console.log('Bridge capabilities:', capabilities);
+    this.store.setCapabilities(capabilities);
+  }
+
   // Helper methods for refreshing data
 
   async refreshWorkspaces() {
     try {
-      const workspaces = await shellBridge.listWorkspaces();
+      const workspaces = await this.bridge.listWorkspaces();
       this.store.setWorkspaces(workspaces);
     } catch (error) {
       console.error('Error refreshing workspaces:', error);
@@ -200,7 +300,7 @@ export class ShellEventHandler {
 
   async refreshTrayIcons() {
     try {
-      const trayIcons = await shellBridge.getTrayIcons();
+      const trayIcons = await this.bridge.getTrayIcons();
       this.store.setTrayIcons(trayIcons);
     } catch (error) {
       console.error('Error refreshing tray icons:', error);
@@ -209,7 +309,7 @@ export class ShellEventHandler {
 
   async refreshWindows() {
     try {
-      const windows = await shellBridge.listWindows();
+      const windows = await this.bridge.listWindows();
       this.store.setWindows(windows);
     } catch (error) {
       console.error('Error refreshing windows:', error);
@@ -0,0 +1,156 @@
+import { ShellBridge } from './api.js';
+import { ShellEventHandler } from './events.js';
+import { ShellSync } from './sync.js';
+
+export const RECORDING_VERSION = 1;
+
+const cloneValue = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return String(value);
+  }
+};
+
+const serializeError = (error) => ({
+  code: error && error.code ? error.code : 'error',
+  message: error && error.message ? error.message : String(error),
+});
+
+/**
+ * Ring buffer of bridge traffic: inbound messages and outbound calls.
+ * Attach it to a bridge with `bridge.recorder = recorder`.
+ */
+export function createBridgeRecorder({ capacity = 2000 } = {}) {
+  let entries = [];
+  let recording = false;
+  let startedAt = null;
+
+  const push = (entry) => {
+    if (!recording) {
+      return;
+    }
+    entries.push({ at: new Date().toISOString(), ...entry });
+    if (entries.length > capacity) {
+      entries = entries.slice(entries.length - capacity);
+    }
+  };
+
+  return {
+    start() {
+      recording = true;
+      startedAt = startedAt ?? new Date().toISOString();
+    },
+    stop() {
+      recording = false;
+    },
+    isRecording: () => recording,
+    clear() {
+      entries = [];
+      startedAt = recording ? new Date().toISOString() : null;
+    },
+    recordInbound(message) {
+      push({ kind: 'inbound', message: cloneValue(message) });
+    },
+    recordCall({ method, args, result, error, durationMs }) {
+      const entry = { kind: 'call', method, args: cloneValue(args), durationMs };
+      if (error) {
+        entry.error = serializeError(error);
+      } else {
+        entry.result = cloneValue(result);
+      }
+      push(entry);
+    },
+    getEntries: () => entries.slice(),
+    export() {
+      return { version: RECORDING_VERSION, startedAt, capacity, entries: entries.slice() };
+    },
+    /**
+     * Save the recording as a JSON file (browser only).
+     */
+    download(filename = `shell-bridge-${Date.now()}.json`) {
+      const blob = new Blob([JSON.stringify(this.export(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+  };
+}
+
+/**
+ * Host object answering calls from the recorded results, in order per method.
+ */
+function createReplayHost(entries) {
+  const queues = new Map();
+  entries
+    .filter((entry) => entry.kind === 'call')
+    .forEach((entry) => {
+      if (!queues.has(entry.method)) {
+        queues.set(entry.method, []);
+      }
+      queues.get(entry.method).push(entry);
+    });
+
+  return new Proxy({}, {
+    get(_target, method) {
+      if (typeof method !== 'string' || !queues.has(method)) {
+        return undefined;
+      }
+      return async () => {
+        const queue = queues.get(method);
+        // Keep answering with the last recorded result once the queue runs dry.
+        const entry = queue.length > 1 ? queue.shift() : queue[0];
+        if (entry.error) {
+          throw Object.assign(new Error(entry.error.message), { code: entry.error.code });
+        }
+        return entry.result;
+      };
+    },
+  });
+}
+
+/**
+ * Feed a saved recording through an isolated bridge into `store`.
+ * Calls made while replaying are answered from the recorded results.
+ */
+export async function replayRecording(recording, store) {
+  const entries = Array.isArray(recording) ? recording : recording.entries ?? [];
+  const bridge = new ShellBridge({ transport: null, hostObject: createReplayHost(entries) });
+  const eventHandler = new ShellEventHandler(store, bridge);
+  const sync = new ShellSync(store, bridge);
+  eventHandler.startListening();
+
+  const messages = entries
+    .filter((entry) => entry.kind === 'inbound' && entry.message && entry.message.type !== 'response')
+    .map((entry) => entry.message);
+
+  // Recordings started mid-session have no handshake; synthesize one.
+  if (!messages.some((message) => message.type === 'connected')) {
+    messages.unshift({ type: 'connected', data: {} });
+  }
+
+  for (const message of messages) {
+    if (message.type === 'connected') {
+      // Calls are answered by the replay host, never over a transport.
+      const { rpcMode, ...data } = message.data ?? {};
+      bridge.handleMessage({ ...message, data });
+      if (!sync.isInitialized) {
+        await sync.initialize();
+      }
+    } else {
+      bridge.handleMessage(message);
+    }
+    // Let async event handlers settle before the next message, as they did live.
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return { store, bridge, eventHandler, sync };
+}
+
+export default createBridgeRecorder;
@@ -0,0 +1,597 @@
+/**
+ * Normalizes payloads received from the shell core into well-formed models.
+ *
+ * Hosts differ in casing, optional fields and naming (e.g. tray `title` vs
+ * `tooltip`); everything that reaches the store goes through here first.
+ * Payloads that cannot be repaired are dropped and reported to
+ * `bridgeDiagnostics`. Base64 `iconData` is swapped for an `iconId` from the
+ * shared icon registry.
+ */
+
+import { iconRegistry } from '../utils/icons.js';
+
+export const WINDOW_STATES = {
+  NORMAL: 'normal',
+  MINIMIZED: 'minimized',
+  MAXIMIZED: 'maximized',
+  HIDDEN: 'hidden',
+};
+
+export const WINDOW_STATE_LABELS = {
+  [WINDOW_STATES.NORMAL]: 'Normal',
+  [WINDOW_STATES.MINIMIZED]: 'Minimized',
+  [WINDOW_STATES.MAXIMIZED]: 'Maximized',
+  [WINDOW_STATES.HIDDEN]: 'Hidden',
+};
+
+// Order of the host's WindowState enum, for hosts that serialize it as a number.
+const WINDOW_STATE_ORDER = [
+  WINDOW_STATES.NORMAL,
+  WINDOW_STATES.MINIMIZED,
+  WINDOW_STATES.MAXIMIZED,
+  WINDOW_STATES.HIDDEN,
+];
+
+/**
+ * Taskbar progress an app reports for a window (downloads, builds, ...).
+ */
+export const PROGRESS_STATES = {
+  NONE: 'none',
+  INDETERMINATE: 'indeterminate',
+  NORMAL: 'normal',
+  ERROR: 'error',
+  PAUSED: 'paused',
+};
+
+// ITaskbarList3 TBPFLAG values, for hosts that pass the flags through.
+const PROGRESS_STATE_FLAGS = {
+  0: PROGRESS_STATES.NONE,
+  1: PROGRESS_STATES.INDETERMINATE,
+  2: PROGRESS_STATES.NORMAL,
+  4: PROGRESS_STATES.ERROR,
+  8: PROGRESS_STATES.PAUSED,
+};
+
+/**
+ * Events a host can announce in the `connected` handshake. Any other
+ * capability name is a bridge method.
+ */
+export const HOST_EVENTS = Object.freeze([
+  'windowCreated',
+  'windowDestroyed',
+  'windowUpdated',
+  'windowFocusChanged',
+  'windowStateChanged',
+  'windowAttentionRequested',
+  'windowProgressChanged',
+  'workspaceSwitched',
+  'workspaceCreated',
+  'workspaceUpdated',
+  'workspaceRemoved',
+  'windowMovedToWorkspace',
+  'trayIconAdded',
+  'trayIconUpdated',
+  'trayIconRemoved',
+  'trayBalloonShown',
+  'trayBalloonClicked',
+  'trayMenuItemClicked',
+  'hotkeyPressed',
+  'themeChanged',
+  'monitorsChanged',
+]);
+
+const HOST_EVENT_NAMES = new Set(HOST_EVENTS);
+
+export const isHostEvent = (name) => HOST_EVENT_NAMES.has(name);
+
+/**
+ * Ring buffer of payloads that did not match their schema.
+ */
+export function createBridgeDiagnostics({ capacity = 200 } = {}) {
+  let entries = [];
+
+  return {
+    report(source, problem, payload) {
+      console.warn(`Bridge payload from ${source}: ${problem}`, payload);
+      entries.push({ at: new Date().toISOString(), source, problem, payload });
+      if (entries.length > capacity) {
+        entries = entries.slice(entries.length - capacity);
+      }
+    },
+    getEntries: () => entries.slice(),
+    clear() {
+      entries = [];
+    },
+  };
+}
+
+export const bridgeDiagnostics = createBridgeDiagnostics();
+
+const NETWORK_KINDS = ['wifi', 'ethernet', 'other', 'offline', 'unknown'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toId = (value) => {
+  if (typeof value === 'string') {
+    return value.trim() ? value : null;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  return null;
+};
+
+const toText = (value, fallback = '') => (typeof value === 'string' ? value : fallback);
+const toOptionalText = (value) => (typeof value === 'string' && value ? value : null);
+const toBoolean = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+const toNumber = (value, fallback = null) =>
+  typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+
+/**
+ * Map any host spelling of a window state ('Maximized', 2, ...) to WINDOW_STATES.
+ */
+export function normalizeWindowState(value) {
+  if (typeof value === 'number') {
+    return WINDOW_STATE_ORDER[value] ?? null;
+  }
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    return WINDOW_STATE_ORDER.includes(lower) ? lower : null;
+  }
+  return null;
+}
+
+/**
+ * Map any host spelling of a progress state ('Normal', 'NoProgress', 2, ...)
+ * to PROGRESS_STATES.
+ */
+export function normalizeProgressState(value) {
+  if (typeof value === 'number') {
+    return PROGRESS_STATE_FLAGS[value] ?? null;
+  }
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase();
+    if (lower === 'noprogress') {
+      return PROGRESS_STATES.NONE;
+    }
+    return Object.values(PROGRESS_STATES).includes(lower) ? lower : null;
+  }
+  return null;
+}
+
+// Progress values are percentages.
+const toPercent = (value) => Math.max(0, Math.min(100, Math.round(toNumber(value, 0))));
+
+// Register icon data and keep only its id.
+const toIconId = (value) => iconRegistry.register(toOptionalText(value));
+
+/**
+ * Copy only the fields present in `raw`, so partial updates never clear
+ * fields the host did not send.
+ */
+function pickPresent(raw, fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, convert]) => {
+    if (raw[key] !== undefined) {
+      result[key] = convert(raw[key]);
+    }
+  });
+  return result;
+}
+
+const windowFields = {
+  title: (value) => toText(value),
+  processId: (value) => toNumber(value),
+  workspaceId: (value) => toId(value),
+  isVisible: (value) => toBoolean(value, true),
+  appId: (value) => toText(value),
+  className: (value) => toText(value),
+  // Groups windows without an app id on the taskbar (see taskbarGroupKey).
+  executablePath: (value) => toText(value),
+  monitorId: (value) => toId(value),
+  // Set by attention and progress events; host window lists usually leave
+  // them out, so they are not defaulted (and survive reconciliation).
+  isFlashing: (value) => toBoolean(value, false),
+  progressState: (value) => normalizeProgressState(value) ?? PROGRESS_STATES.NONE,
+  progressValue: (value) => toPercent(value),
+};
+
+/**
+ * Normalize a window payload. With `partial`, fields missing from the
+ * payload are left out instead of defaulted (for update events).
+ */
+export function normalizeWindow(raw, { partial = false, source = 'window' } = {}) {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'window is not an object', raw);
+    return null;
+  }
+
+  const hwnd = toId(raw.hwnd);
+  if (!hwnd) {
+    bridgeDiagnostics.report(source, 'window without hwnd', raw);
+    return null;
+  }
+
+  const model = { hwnd, ...pickPresent(raw, windowFields) };
+  if (raw.iconData !== undefined) {
+    model.iconId = toIconId(raw.iconData);
+  }
+
+  if (raw.state !== undefined) {
+    const state = normalizeWindowState(raw.state);
+    if (state) {
+      model.state = state;
+    } else {
+      bridgeDiagnostics.report(source, `unknown window state ${JSON.stringify(raw.state)}`, raw);
+    }
+  }
+
+  if (partial) {
+    return model;
+  }
+
+  return {
+    hwnd,
+    title: '',
+    processId: null,
+    workspaceId: null,
+    state: WINDOW_STATES.NORMAL,
+    isVisible: true,
+    appId: '',
+    className: '',
+    iconId: null,
+    ...model,
+  };
+}
+
+const workspaceFields = {
+  name: (value) => toText(value),
+  isActive: (value) => toBoolean(value, false),
+  windowHandles: (value) => (Array.isArray(value) ? value.map(toId).filter(Boolean) : []),
+};
+
+export function normalizeWorkspace(raw, { partial = false, source = 'workspace' } = {}) {
+  const id = isObject(raw) ? toId(raw.id) : null;
+  if (!id) {
+    bridgeDiagnostics.report(source, 'workspace without id', raw);
+    return null;
+  }
+
+  const model = { id, ...pickPresent(raw, workspaceFields) };
+  if (partial) {
+    return model;
+  }
+
+  return {
+    id,
+    isActive: false,
+    windowHandles: [],
+    ...model,
+    name: model.name || id,
+  };
+}
+
+const trayIconFields = {
+  processId: (value) => toNumber(value),
+  isVisible: (value) => toBoolean(value, true),
+};
+
+export function normalizeTrayIcon(raw, { partial = false, source = 'trayIcon' } = {}) {
+  const id = isObject(raw) ? toId(raw.id) : null;
+  if (!id) {
+    bridgeDiagnostics.report(source, 'tray icon without id', raw);
+    return null;
+  }
+
+  const model = { id, ...pickPresent(raw, trayIconFields) };
+  if (raw.iconData !== undefined) {
+    model.iconId = toIconId(raw.iconData);
+  }
+
+  // Older hosts and the mock data call the tooltip `title`.
+  const tooltip = toText(raw.tooltip) || toText(raw.title);
+  if (tooltip) {
+    model.tooltip = tooltip;
+  }
+  if (toOptionalText(raw.emoji)) {
+    model.emoji = raw.emoji;
+  }
+
+  if (partial) {
+    return model;
+  }
+
+  return {
+    id,
+    tooltip: id,
+    processId: null,
+    iconId: null,
+    isVisible: true,
+    ...model,
+  };
+}
+
+/**
+ * Balloon notification shown next to a tray icon.
+ */
+export function normalizeTrayBalloon(raw) {
+  const balloon = isObject(raw) ? raw : {};
+  return {
+    title: toText(balloon.title),
+    text: toText(balloon.text),
+    icon: toText(balloon.icon).toLowerCase() || 'none',
+    timeoutMs: toNumber(balloon.timeoutMs, 5000),
+  };
+}
+
+export function normalizeLauncherApp(raw, { source = 'launcherApp' } = {}) {
+  const id = isObject(raw) ? toId(raw.id) : null;
+  if (!id) {
+    bridgeDiagnostics.report(source, 'launcher app without id', raw);
+    return null;
+  }
+
+  return {
+    id,
+    name: toText(raw.name) || id,
+    description: toText(raw.description),
+    category: toText(raw.category) || 'General',
+    executablePath: toText(raw.executablePath),
+    iconPath: toText(raw.iconPath),
+    iconId: toIconId(raw.iconData),
+    isVisible: toBoolean(raw.isVisible, true),
+    sortOrder: toNumber(raw.sortOrder, 0),
+  };
+}
+
+/**
+ * An app's jump list: `tasks` and `recent` files, each { id, title, path },
+ * opened through openJumpListItem(appId, id).
+ */
+export function normalizeJumpList(raw, { source = 'jumpList' } = {}) {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'jump list is not an object', raw);
+    return { tasks: [], recent: [] };
+  }
+
+  const toItems = (value) =>
+    (Array.isArray(value) ? value : [])
+      .map((item) => {
+        const id = isObject(item) ? toId(item.id) : null;
+        if (!id) {
+          bridgeDiagnostics.report(source, 'jump list item without id', item);
+          return null;
+        }
+        return { id, title: toText(item.title) || id, path: toOptionalText(item.path) };
+      })
+      .filter(Boolean);
+
+  return { tasks: toItems(raw.tasks), recent: toItems(raw.recent) };
+}
+
+export function normalizeDesktopItem(raw, { source = 'desktopItem' } = {}) {
+  const path = isObject(raw) ? toOptionalText(raw.path) : null;
+  if (!path) {
+    bridgeDiagnostics.report(source, 'desktop item without path', raw);
+    return null;
+  }
+
+  return {
+    name: toText(raw.name) || path.split(/[\\/]/).filter(Boolean).pop() || path,
+    path,
+    isShortcut: toBoolean(raw.isShortcut, false),
+    isPublic: toBoolean(raw.isPublic, false),
+    iconId: toIconId(raw.iconData),
+  };
+}
+
+export function normalizeSystemStatus(raw, { source = 'systemStatus' } = {}) {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'system status is not an object', raw);
+    return {};
+  }
+
+  const status = {
+    localTime: toOptionalText(raw.localTime),
+    localTimeIso: toOptionalText(raw.localTimeIso),
+  };
+
+  if (isObject(raw.network)) {
+    const kind = toText(raw.network.kind).toLowerCase();
+    status.network = {
+      kind: NETWORK_KINDS.includes(kind) ? kind : 'unknown',
+      isConnected: toBoolean(raw.network.isConnected, false),
+      hasWifiAdapter: toBoolean(raw.network.hasWifiAdapter, false),
+      hasEthernetAdapter: toBoolean(raw.network.hasEthernetAdapter, false),
+    };
+  }
+
+  if (isObject(raw.volume)) {
+    const level = toNumber(raw.volume.levelPercent, 0);
+    status.volume = {
+      levelPercent: Math.max(0, Math.min(100, Math.round(level))),
+      isMuted: toBoolean(raw.volume.isMuted, false),
+    };
+  }
+
+  if (isObject(raw.cpu)) {
+    const usage = toNumber(raw.cpu.usagePercent, 0);
+    status.cpu = { usagePercent: Math.max(0, Math.min(100, Math.round(usage))) };
+  }
+
+  return status;
+}
+
+/**
+ * Host theme settings: Windows accent colour (#rrggbb), dark mode and high contrast.
+ */
+export function normalizeHostTheme(raw, { source = 'themeInfo' } = {}) {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'theme info is not an object', raw);
+    return null;
+  }
+
+  const accentColor = toText(raw.accentColor).trim().toLowerCase();
+  if (accentColor && !/^#[0-9a-f]{6}$/.test(accentColor)) {
+    bridgeDiagnostics.report(source, `invalid accent colour ${JSON.stringify(raw.accentColor)}`, raw);
+  }
+
+  return {
+    accentColor: /^#[0-9a-f]{6}$/.test(accentColor) ? accentColor : null,
+    isDarkMode: toBoolean(raw.isDarkMode, true),
+    isHighContrast: toBoolean(raw.isHighContrast, false),
+  };
+}
+
+const toRect = (raw) => {
+  if (!isObject(raw)) {
+    return null;
+  }
+  const rect = {
+    x: toNumber(raw.x, 0),
+    y: toNumber(raw.y, 0),
+    width: toNumber(raw.width, 0),
+    height: toNumber(raw.height, 0),
+  };
+  return rect.width > 0 && rect.height > 0 ? rect : null;
+};
+
+/**
+ * A display: `bounds` and `workArea` are in virtual-screen pixels.
+ */
+export function normalizeMonitor(raw, { source = 'monitor' } = {}) {
+  const id = isObject(raw) ? toId(raw.id) : null;
+  const bounds = id ? toRect(raw.bounds) : null;
+  if (!id || !bounds) {
+    bridgeDiagnostics.report(source, id ? 'monitor without bounds' : 'monitor without id', raw);
+    return null;
+  }
+
+  return {
+    id,
+    name: toText(raw.name) || id,
+    isPrimary: toBoolean(raw.isPrimary, false),
+    bounds,
+    workArea: toRect(raw.workArea) ?? bounds,
+  };
+}
+
+/**
+ * Normalize the monitor list so that exactly one monitor is primary.
+ */
+export function normalizeMonitors(raw, source = 'monitors') {
+  const monitors = normalizeList(raw, normalizeMonitor, source);
+  const primary = monitors.find((monitor) => monitor.isPrimary) ?? monitors[0];
+  return monitors.map((monitor) => ({ ...monitor, isPrimary: monitor === primary }));
+}
+
+export function normalizeShellState(raw, { source = 'shellState' } = {}) {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'shell state is not an object', raw);
+    return {};
+  }
+
+  return { ...raw, activeWorkspaceId: toId(raw.activeWorkspaceId) };
+}
+
+/**
+ * Normalize an array result, dropping (and reporting) malformed items.
+ */
+export function normalizeList(raw, normalizeItem, source) {
+  if (!Array.isArray(raw)) {
+    bridgeDiagnostics.report(source, 'expected an array', raw);
+    return [];
+  }
+
+  return raw.map((item) => normalizeItem(item, { source })).filter(Boolean);
+}
+
+const requireFields = (fields, normalizeFn = (value) => value) => (raw, source) => {
+  if (!isObject(raw)) {
+    bridgeDiagnostics.report(source, 'event data is not an object', raw);
+    return null;
+  }
+  const missing = fields.filter((field) => toId(raw[field]) === null);
+  if (missing.length > 0) {
+    bridgeDiagnostics.report(source, `missing ${missing.join(', ')}`, raw);
+    return null;
+  }
+  const normalized = { ...raw };
+  fields.forEach((field) => {
+    normalized[field] = toId(raw[field]);
+  });
+  return normalizeFn(normalized);
+};
+
+const eventSchemas = {
+  windowCreated: (raw, source) => normalizeWindow(raw, { source }),
+  windowUpdated: (raw, source) => normalizeWindow(raw, { partial: true, source }),
+  windowDestroyed: requireFields(['hwnd']),
+  windowFocusChanged: requireFields(['currentHwnd'], (data) => ({
+    previousHwnd: toId(data.previousHwnd),
+    currentHwnd: data.currentHwnd,
+  })),
+  workspaceSwitched: requireFields(['currentWorkspaceId'], (data) => ({
+    previousWorkspaceId: toId(data.previousWorkspaceId),
+    currentWorkspaceId: data.currentWorkspaceId,
+  })),
+  windowStateChanged: requireFields(['hwnd'], (data) => {
+    const state = normalizeWindowState(data.state);
+    if (!state) {
+      bridgeDiagnostics.report('windowStateChanged', `unknown window state ${JSON.stringify(data.state)}`, data);
+      return null;
+    }
+    return { hwnd: data.hwnd, previousState: normalizeWindowState(data.previousState), state };
+  }),
+  windowAttentionRequested: requireFields(['hwnd'], (data) => ({
+    hwnd: data.hwnd,
+    isFlashing: toBoolean(data.isFlashing, true),
+  })),
+  windowProgressChanged: requireFields(['hwnd'], (data) => {
+    const progressState = normalizeProgressState(data.progressState);
+    if (!progressState) {
+      bridgeDiagnostics.report(
+        'windowProgressChanged',
+        `unknown progress state ${JSON.stringify(data.progressState)}`,
+        data,
+      );
+      return null;
+    }
+    return { hwnd: data.hwnd, progressState, progressValue: toPercent(data.progressValue) };
+  }),
+  workspaceCreated: (raw, source) => normalizeWorkspace(raw, { source }),
+  workspaceUpdated: (raw, source) => normalizeWorkspace(raw, { partial: true, source }),
+  workspaceRemoved: requireFields(['id']),
+  windowMovedToWorkspace: requireFields(['hwnd', 'newWorkspaceId'], (data) => ({
+    hwnd: data.hwnd,
+    previousWorkspaceId: toId(data.previousWorkspaceId),
+    newWorkspaceId: data.newWorkspaceId,
+  })),
+  trayIconAdded: (raw, source) => normalizeTrayIcon(raw, { source }),
+  trayIconUpdated: (raw, source) => normalizeTrayIcon(raw, { partial: true, source }),
+  trayIconRemoved: requireFields(['id']),
+  trayBalloonShown: requireFields(['id'], (data) => ({
+    id: data.id,
+    balloon: normalizeTrayBalloon(data.balloon),
+  })),
+  trayBalloonClicked: requireFields(['id']),
+  trayMenuItemClicked: requireFields(['id', 'menuItemId']),
+  hotkeyPressed: requireFields(['hotkeyId']),
+  themeChanged: (raw, source) => normalizeHostTheme(raw, { source }),
+  monitorsChanged: (raw, source) => {
+    if (!isObject(raw)) {
+      bridgeDiagnostics.report(source, 'event data is not an object', raw);
+      return null;
+    }
+    return { monitors: normalizeMonitors(raw.monitors, source) };
+  },
+};
+
+/**
+ * Normalize the data of a host event. Events without a schema pass through;
+ * returns null when the payload is unusable and the event should be dropped.
+ */
+export function normalizeEventData(type, data) {
+  const schema = eventSchemas[type];
+  return schema ? schema(data, type) : data;
+}
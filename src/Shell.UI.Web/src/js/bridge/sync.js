@@ -1,13 +1,126 @@
 import shellBridge from './api.js';
+import { normalizeList, normalizeTrayIcon, normalizeWindow, normalizeWorkspace } from './schema.js';
+
+// Lists compared during reconciliation: host method, store key and setter.
+const RECONCILED_LISTS = [
+  { method: 'listWindowsJson', slice: 'windows', key: 'hwnd', normalize: normalizeWindow, set: 'setWindows' },
+  {
+    method: 'listWorkspacesJson',
+    slice: 'workspaces',
+    key: 'id',
+    normalize: normalizeWorkspace,
+    set: 'setWorkspaces',
+    // Derived by the host from the active workspace and the windows'
+    // workspaceId, which the store tracks instead.
+    derived: ['isActive', 'windowHandles'],
+  },
+  { method: 'getTrayIconsJson', slice: 'trayIcons', key: 'id', normalize: normalizeTrayIcon, set: 'setTrayIcons' },
+];
+
+const isSameValue = (a, b) => Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+
+// Whether every item the host reported matches the store (ignoring order,
+// UI-only fields such as tray balloons and the list's `derived` fields).
+function listsMatch(current, fresh, { key, derived = [] }) {
+  if (current.length !== fresh.length) {
+    return false;
+  }
+  const byKey = new Map(current.map((item) => [item[key], item]));
+  return fresh.every((item) => {
+    const existing = byKey.get(item[key]);
+    return (
+      existing &&
+      Object.keys(item).every((field) => derived.includes(field) || isSameValue(existing[field], item[field]))
+    );
+  });
+}
 
 /**
  * Handles initial synchronization with the shell core
  */
 export class ShellSync {
-  constructor(store) {
+  constructor(store, bridge = shellBridge) {
     this.store = store;
+    this.bridge = bridge;
     this.isInitialized = false;
     this.syncPromise = null;
+    this.handleReconnected = this.handleReconnected.bind(this);
+    this.reconcileTimer = null;
+  }
+
+  /**
+   * Periodically compare windows, workspaces and tray icons with the host's
+   * full lists and correct any drift left by missed or reordered events.
+   */
+  startReconciliation(intervalMs = 60000) {
+    this.stopReconciliation();
+    this.reconcileTimer = setInterval(() => {
+      this.reconcile().catch((error) => {
+        console.error('Error reconciling shell state:', error);
+      });
+    }, intervalMs);
+  }
+
+  stopReconciliation() {
+    clearInterval(this.reconcileTimer);
+    this.reconcileTimer = null;
+  }
+
+  /**
+   * Fetch the full lists once and replace any that drifted from the store.
+   * Returns the names of the corrected slices.
+   */
+  async reconcile() {
+    if (!this.bridge.isConnected || !this.isInitialized) {
+      return [];
+    }
+
+    // Call the host directly: the list helpers swallow errors and return [],
+    // which would look like everything was closed.
+    const lists = await Promise.all(
+      RECONCILED_LISTS.map(async (list) => {
+        const json = await this.bridge.callBridgeMethod(list.method);
+        return normalizeList(JSON.parse(json), list.normalize, list.method);
+      }),
+    );
+
+    const state = this.store.getState();
+    const drifted = RECONCILED_LISTS.filter(
+      (list, index) => !listsMatch(state[list.slice], lists[index], list),
+    );
+    if (drifted.length === 0) {
+      return [];
+    }
+
+    console.warn('Shell state drifted from the host, correcting:', drifted.map((list) => list.slice));
+    const cause = { source: 'sync', event: 'reconcile' };
+    this.store.runWithCause(cause, () => this.store.batch(() => {
+      drifted.forEach((list) => {
+        const current = new Map(state[list.slice].map((item) => [item[list.key], item]));
+        const fresh = lists[RECONCILED_LISTS.indexOf(list)];
+        // Keep UI-only fields on items that still exist.
+        this.store[list.set](fresh.map((item) => ({ ...current.get(item[list.key]), ...item })));
+      });
+    }));
+    return drifted.map((list) => list.slice);
+  }
+
+  /**
+   * Resync automatically whenever the bridge comes back after a disconnect.
+   */
+  startAutoResync() {
+    this.bridge.on('reconnected', this.handleReconnected);
+  }
+
+  stopAutoResync() {
+    this.bridge.off('reconnected', this.handleReconnected);
+  }
+
+  handleReconnected() {
+    console.log('Bridge reconnected, resyncing shell state...');
+    this.resync().catch((error) => {
+      console.error('Error resyncing after reconnect:', error);
+    });
   }
 
   /**
@@ -31,43 +144,57 @@ export class ShellSync {
       console.log('Starting initial sync with shell core...');
       
       // Wait for bridge connection
-      await shellBridge.waitForConnection();
+      await this.bridge.waitForConnection();
       
       // Update status to indicate we're syncing
       this.store.setBootstrapping(true);
       this.store.setStatusText('Syncing...');
 
       // Sync all data in parallel
-      const [windows, workspaces, trayIcons, launcherApps, desktopItems, shellState] = await Promise.all([
-        shellBridge.listWindows(),
-        shellBridge.listWorkspaces(),
-        shellBridge.getTrayIcons(),
-        shellBridge.getLauncherApps(),
-        shellBridge.getDesktopItems(),
-        shellBridge.getShellState()
+      const [windows, workspaces, trayIcons, launcherApps, desktopItems, shellState, hostTheme, monitors] = await Promise.all([
+        this.bridge.listWindows(),
+        this.bridge.listWorkspaces(),
+        this.bridge.getTrayIcons(),
+        this.bridge.getLauncherApps(),
+        this.bridge.getDesktopItems(),
+        this.bridge.getShellState(),
+        this.bridge.supports('getThemeInfoJson') ? this.bridge.getThemeInfo() : null,
+        this.bridge.supports('listMonitorsJson') ? this.bridge.listMonitors() : null
       ]);
 
-      // Update store with synced data
-      this.store.setWindows(windows);
-      this.store.setWorkspaces(workspaces);
-      this.store.setTrayIcons(trayIcons);
-      this.store.setLauncherApps(launcherApps);
-      this.store.setDesktopItems(desktopItems);
+      // Apply the snapshot as one transaction so the UI renders once, without
+      // intermediate states such as a taskbar filtered by a null workspace.
+      const cause = { source: 'sync', event: 'initialSync' };
+      this.store.runWithCause(cause, () => this.store.batch(() => {
+        this.store.setWindows(windows);
+        this.store.setWorkspaces(workspaces);
+        this.store.setTrayIcons(trayIcons);
+        this.store.setLauncherApps(launcherApps);
+        this.store.setDesktopItems(desktopItems);
 
-      // Set active workspace from shell state
-      if (shellState.activeWorkspaceId) {
-        this.store.setActiveWorkspace(shellState.activeWorkspaceId);
-      }
+        // Set active workspace from shell state
+        if (shellState.activeWorkspaceId) {
+          this.store.setActiveWorkspace(shellState.activeWorkspaceId);
+        }
 
-      // Set focused window from shell state
-      if (shellState.focusedWindowHandle && shellState.focusedWindowHandle !== '0') {
-        this.store.setFocusedWindow(shellState.focusedWindowHandle);
-      }
+        // Set focused window from shell state
+        if (shellState.focusedWindowHandle && shellState.focusedWindowHandle !== '0') {
+          this.store.setFocusedWindow(shellState.focusedWindowHandle);
+        }
+
+        if (hostTheme) {
+          this.store.setHostTheme(hostTheme);
+        }
+
+        if (monitors) {
+          this.store.setMonitors(monitors);
+        }
+
+        // Update status to connected
+        this.store.setBootstrapping(false);
+        this.store.setStatusText('Connected');
+      }));
 
-      // Update status to connected
-      this.store.setBootstrapping(false);
-      this.store.setStatusText('Connected');
-      
       console.log('Initial sync completed successfully', {
         windows: windows.length,
         workspaces: workspaces.length,
@@ -99,7 +226,7 @@ export class ShellSync {
    */
   async syncWindows() {
     try {
-      const windows = await shellBridge.listWindows();
+      const windows = await this.bridge.listWindows();
       this.store.setWindows(windows);
       return windows;
     } catch (error) {
@@ -113,7 +240,7 @@ export class ShellSync {
    */
   async syncWorkspaces() {
     try {
-      const workspaces = await shellBridge.listWorkspaces();
+      const workspaces = await this.bridge.listWorkspaces();
       this.store.setWorkspaces(workspaces);
       return workspaces;
     } catch (error) {
@@ -127,7 +254,7 @@ export class ShellSync {
    */
   async syncTrayIcons() {
     try {
-      const trayIcons = await shellBridge.getTrayIcons();
+      const trayIcons = await this.bridge.getTrayIcons();
       this.store.setTrayIcons(trayIcons);
       return trayIcons;
     } catch (error) {
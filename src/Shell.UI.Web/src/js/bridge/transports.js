@@ -0,0 +1,190 @@
+/**
+ * Pluggable transports that carry bridge events and RPC messages.
+ *
+ * A transport has the shape:
+ *   {
+ *     name,
+ *     supportsHostObjects,      // true when window.shell-style proxies are available
+ *     reconnectable,            // true when connect() can be called again after onClose
+ *     connect({ onMessage, onOpen, onClose }),
+ *     send(message),            // message is a plain object; the transport serializes it
+ *     close(),
+ *   }
+ */
+
+export const TRANSPORTS = Object.freeze({
+  WEBVIEW: 'webview',
+  WEBSOCKET: 'websocket',
+});
+
+const DEFAULT_WEBSOCKET_PATH = '/bridge';
+const DEFAULT_WEBSOCKET_URL = `ws://localhost:8787${DEFAULT_WEBSOCKET_PATH}`;
+
+function parseMessage(raw) {
+  if (typeof raw !== 'string') {
+    return raw;
+  }
+  return JSON.parse(raw);
+}
+
+/**
+ * WebView2 transport: events arrive through chrome.webview 'message' events and
+ * requests go out through chrome.webview.postMessage.
+ */
+export function createWebViewTransport(webview = globalThis.window?.chrome?.webview) {
+  let listener = null;
+
+  return {
+    name: TRANSPORTS.WEBVIEW,
+    supportsHostObjects: true,
+    reconnectable: false,
+
+    connect({ onMessage }) {
+      if (!webview || listener) {
+        return;
+      }
+
+      listener = (event) => {
+        try {
+          onMessage(parseMessage(event.data));
+        } catch (error) {
+          console.error('Error parsing bridge message:', error);
+        }
+      };
+      webview.addEventListener('message', listener);
+    },
+
+    send(message) {
+      if (!webview || typeof webview.postMessage !== 'function') {
+        throw new Error('WebView2 postMessage is not available');
+      }
+      webview.postMessage(JSON.stringify(message));
+    },
+
+    close() {
+      if (webview && listener && typeof webview.removeEventListener === 'function') {
+        webview.removeEventListener('message', listener);
+      }
+      listener = null;
+    },
+  };
+}
+
+/**
+ * WebSocket transport for running the UI in a normal browser against a local
+ * stand-in core (see scripts/dev-core-server.js). Method calls always use message RPC.
+ */
+export function createWebSocketTransport({
+  url = DEFAULT_WEBSOCKET_URL,
+  WebSocketImpl = globalThis.WebSocket,
+} = {}) {
+  let socket = null;
+
+  return {
+    name: TRANSPORTS.WEBSOCKET,
+    supportsHostObjects: false,
+    reconnectable: true,
+    url,
+
+    connect({ onMessage, onOpen, onClose } = {}) {
+      if (!WebSocketImpl) {
+        throw new Error('WebSocket is not available in this environment');
+      }
+
+      socket = new WebSocketImpl(url);
+      socket.onopen = () => {
+        if (onOpen) onOpen();
+      };
+      socket.onmessage = (event) => {
+        try {
+          onMessage(parseMessage(event.data));
+        } catch (error) {
+          console.error('Error parsing bridge message:', error);
+        }
+      };
+      socket.onclose = (event) => {
+        socket = null;
+        if (onClose) onClose(event);
+      };
+      socket.onerror = (event) => {
+        console.warn('Bridge WebSocket error:', event?.message ?? event);
+      };
+    },
+
+    send(message) {
+      // readyState 1 === WebSocket.OPEN
+      if (!socket || socket.readyState !== 1) {
+        throw new Error('Bridge WebSocket is not open');
+      }
+      socket.send(JSON.stringify(message));
+    },
+
+    close() {
+      if (socket) {
+        const current = socket;
+        socket = null;
+        current.onclose = null;
+        current.close();
+      }
+    },
+  };
+}
+
+/**
+ * Resolve the transport selection from the page URL and optional config.
+ * URL parameters (`?transport=websocket&bridgeUrl=ws://...`) win over
+ * `window.shellBridgeConfig = { transport, url }`.
+ */
+export function resolveTransportConfig(win = globalThis.window) {
+  if (!win) {
+    return { transport: null, url: null };
+  }
+
+  const config = win.shellBridgeConfig && typeof win.shellBridgeConfig === 'object'
+    ? win.shellBridgeConfig
+    : {};
+
+  let params = null;
+  try {
+    params = new URLSearchParams(win.location?.search ?? '');
+  } catch {
+    params = null;
+  }
+
+  const transport = params?.get('transport') || config.transport || null;
+  let url = params?.get('bridgeUrl') || config.url || null;
+
+  if (transport === TRANSPORTS.WEBSOCKET && !url) {
+    const location = win.location;
+    if (location && (location.protocol === 'http:' || location.protocol === 'https:')) {
+      const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+      url = `${scheme}//${location.host}${DEFAULT_WEBSOCKET_PATH}`;
+    } else {
+      url = DEFAULT_WEBSOCKET_URL;
+    }
+  }
+
+  return { transport, url };
+}
+
+/**
+ * Create the transport for the current page, or null when none is available
+ * (plain browser without configuration: the UI falls back to the fake core).
+ */
+export function createTransportForPage(win = globalThis.window) {
+  const { transport, url } = resolveTransportConfig(win);
+
+  if (transport === TRANSPORTS.WEBSOCKET) {
+    return createWebSocketTransport({ url, WebSocketImpl: win?.WebSocket ?? globalThis.WebSocket });
+  }
+
+  if (transport && transport !== TRANSPORTS.WEBVIEW) {
+    console.warn(`Unknown bridge transport "${transport}", falling back to WebView2`);
+  }
+
+  if (win && win.chrome && win.chrome.webview) {
+    return createWebViewTransport(win.chrome.webview);
+  }
+
+  return null;
+}
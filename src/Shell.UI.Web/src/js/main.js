@@ -1,18 +1,27 @@
 import { createShellStateStore } from './state/store.js';
-import { createRenderer } from './ui/renderers.js';
+import { persistTaskbarSettings } from './state/taskbarSettings.js';
+import { createActionLogger, createStateHistory } from './state/middleware.js';
+import { connectRenderer } from './ui/renderers.js';
+import { createRenderScheduler } from './ui/scheduler.js';
+import { createThemeManager, followHostTheme } from './ui/theme.js';
 import { wireInteractions } from './ui/interactions.js';
-import { bootstrapClock } from './utils/clock.js';
-import { bootstrapSystemStatus } from './utils/systemStatus.js';
+import { reportTaskbarPlacement } from './ui/taskbarPlacement.js';
+import { createPanel, createWidgetRegistry } from './ui/panel.js';
+import { BUILT_IN_WIDGETS } from './ui/widgets.js';
+import { startSystemStatusPolling } from './utils/systemStatus.js';
 import { applyDesktopBackground } from './utils/background.js';
+import { iconRegistry, trackIconReferences } from './utils/icons.js';
 import { bootstrapMockDataIfNeeded } from './bootstrap/mockData.js';
 import shellBridge from './bridge/api.js';
 import ShellSync from './bridge/sync.js';
 import ShellEventHandler from './bridge/events.js';
+import { createBridgeRecorder, replayRecording } from './bridge/recorder.js';
+import { bridgeDiagnostics } from './bridge/schema.js';
 
 const selectors = {
   desktop: document.getElementById('desktop'),
+  monitorSurfaces: document.getElementById('monitor-surfaces'),
   status: document.getElementById('status-text'),
-  clock: document.getElementById('clock'),
   topPanel: document.getElementById('top-panel'),
   launcherToggle: document.getElementById('launcher-toggle'),
   launcherClose: document.getElementById('launcher-close'),
@@ -25,31 +34,94 @@ const selectors = {
   trayIcons: document.getElementById('tray-icons'),
   taskbar: document.getElementById('taskbar'),
   exitShellButton: document.getElementById('exit-shell-button'),
-  networkIndicator: document.getElementById('network-indicator'),
-  volumeIndicator: document.getElementById('volume-indicator'),
-  volumeFlyout: document.getElementById('volume-flyout'),
-  volumeSlider: document.getElementById('volume-slider'),
-  volumeMuteToggle: document.getElementById('volume-mute-toggle'),
-  volumePercentLabel: document.getElementById('volume-percent-label'),
+  panelWidgets: document.getElementById('panel-widgets'),
+  panelFlyout: document.getElementById('panel-flyout'),
   loadingOverlay: document.getElementById('shell-loading-overlay'),
 };
 
 const store = createShellStateStore();
-const renderShell = createRenderer(selectors);
-store.subscribe(renderShell);
-bootstrapClock(selectors.clock);
-bootstrapSystemStatus(selectors);
+const pageParams = new URLSearchParams(window.location.search);
+
+// Opt-in action history (?history=1 or shellDebug.history.start()), then
+// shellDebug.history.back()/forward()/list()
+const stateHistory = createStateHistory({ recording: pageParams.get('history') === '1' });
+store.use(stateHistory.middleware);
+if (pageParams.get('logActions') === '1') {
+  store.use(createActionLogger());
+}
+// Theme packs from themes/*.json (?theme=light or shellDebug.theme.setTheme()),
+// following the Windows accent colour and dark mode once the host reports them.
+const themeManager = createThemeManager();
+if (pageParams.get('theme')) {
+  themeManager.setTheme(pageParams.get('theme'));
+} else {
+  themeManager.apply();
+}
+followHostTheme(store, themeManager);
+// Taskbar preferences (edge, size, auto-hide, monitors), changed from the
+// taskbar's right-click menu or shellDebug.store.setTaskbarSettings().
+persistTaskbarSettings(store);
+// Keep cached icon URLs alive while the store references them.
+trackIconReferences(store, iconRegistry);
+// Each UI section re-renders only when the state it reads changes, at most
+// once per animation frame.
+const renderScheduler = createRenderScheduler();
+connectRenderer(store, selectors, { scheduler: renderScheduler });
+reportTaskbarPlacement(store, shellBridge, selectors.taskbar, { scheduler: renderScheduler });
+
+// Top panel widgets (clock, network, volume, ...); the layout is persisted and
+// editable through shellDebug.panel (addWidget/removeWidget/moveWidget).
+const systemStatus = startSystemStatusPolling(store, shellBridge);
+const panel = createPanel({
+  container: selectors.panelWidgets,
+  flyoutHost: selectors.panelFlyout,
+  store,
+  bridge: shellBridge,
+  registry: createWidgetRegistry(BUILT_IN_WIDGETS),
+  context: { refreshStatus: systemStatus.refresh },
+  scheduler: renderScheduler,
+});
 wireInteractions(selectors, store);
 
+// Opt-in bridge traffic recorder (?record=1 or shellDebug.recorder.start())
+const recorder = createBridgeRecorder();
+shellBridge.recorder = recorder;
+if (pageParams.get('record') === '1') {
+  recorder.start();
+}
+
 // Initialize bridge integration
 const shellSync = new ShellSync(store);
 const eventHandler = new ShellEventHandler(store);
 
 // Start listening for events
 eventHandler.startListening();
+shellSync.startAutoResync();
+shellSync.startReconciliation();
+
+// Start the in-memory fake core and sync the store from it (dev mode).
+async function startMockShell() {
+  // ?monitors=2 or 3 simulates several displays.
+  const fakeCore = bootstrapMockDataIfNeeded(store, { monitors: Number(pageParams.get('monitors')) || 1 });
+  if (!fakeCore) {
+    return;
+  }
+
+  await shellSync.resync();
+  store.setStatusText('Mock data mode');
+  window.shellDebug.fakeCore = fakeCore;
+}
 
 // Initialize shell integration
 async function initializeShell() {
+  // Without WebView2 or a configured transport there is no host to wait for;
+  // go straight to dev mode.
+  const hasNativeHost = Boolean(window.shell) || Boolean(shellBridge.transport);
+  if (!hasNativeHost) {
+    await startMockShell();
+    return;
+  }
+
   try {
     console.log('Initializing shell integration...');
     
@@ -58,8 +130,10 @@ async function initializeShell() {
 
      // Sync desktop background with Windows wallpaper when available
     try {
-      const backgroundInfo = await shellBridge.getDesktopBackgroundInfo();
-      applyDesktopBackground(backgroundInfo, selectors.desktop);
+      if (shellBridge.supports('getDesktopBackgroundInfoJson')) {
+        const backgroundInfo = await shellBridge.getDesktopBackgroundInfo();
+        applyDesktopBackground(backgroundInfo, selectors.desktop);
+      }
     } catch (error) {
       console.warn('Failed to apply desktop background from shell:', error);
     }
@@ -68,18 +142,32 @@ async function initializeShell() {
   } catch (error) {
     console.warn('Shell integration failed, falling back to mock data:', error);
     
-    // Fall back to mock data if shell integration fails
-    bootstrapMockDataIfNeeded(store);
+    // Fall back to the fake shell core if shell integration fails
+    await startMockShell();
   }
 }
 
-// Start initialization
-initializeShell();
-
 // Export for debugging
 window.shellDebug = {
   store,
   shellBridge,
   shellSync,
-  eventHandler
+  eventHandler,
+  recorder,
+  diagnostics: bridgeDiagnostics,
+  icons: iconRegistry,
+  theme: themeManager,
+  panel,
+  renderScheduler,
+  // Apply pending store changes to the DOM synchronously (tests, debugging).
+  flush: () => {
+    store.flush();
+    renderScheduler.flush();
+  },
+  history: stateHistory,
+  // Replay a saved recording into a fresh store for inspection.
+  replay: async (recording) => (await replayRecording(recording, createShellStateStore())).store,
 };
+
+// Start initialization
+initializeShell();
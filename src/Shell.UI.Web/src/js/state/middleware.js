@@ -0,0 +1,109 @@
+import { ACTIONS } from './store.js';
+
+/**
+ * Log every dispatched action with its cause.
+ */
+export function createActionLogger({ logger = console } = {}) {
+  return () => (next) => (action) => {
+    const { cause } = action;
+    const origin = cause ? ` ← ${[cause.source, cause.event].filter(Boolean).join(':')}` : '';
+    logger.debug(`[store] ${action.type}${origin}`, action.payload);
+    return next(action);
+  };
+}
+
+/**
+ * Bounded history of actions and the state after each one, with time travel.
+ * Install with `store.use(history.middleware)`; pass `recording: false` to
+ * install it idle until `start()`, since every entry holds a full state clone.
+ */
+export function createStateHistory({ limit = 200, recording: startRecording = true } = {}) {
+  let entries = [];
+  let cursor = -1;
+  let api = null;
+  let recording = startRecording;
+
+  const recordInitial = () => {
+    if (entries.length === 0) {
+      record({ type: '@@init', payload: undefined, cause: null, state: api.getState() });
+    }
+  };
+
+  const record = (entry) => {
+    // Acting after back() starts a new branch; the undone entries are gone.
+    entries = entries.slice(0, cursor + 1);
+    entries.push({ at: new Date().toISOString(), ...entry });
+    if (entries.length > limit) {
+      entries = entries.slice(entries.length - limit);
+    }
+    cursor = entries.length - 1;
+  };
+
+  const middleware = (storeApi) => {
+    api = storeApi;
+    if (recording) {
+      recordInitial();
+    }
+
+    return (next) => (action) => {
+      const result = next(action);
+      // Time travel itself is not history.
+      if (recording && action.type !== ACTIONS.RESTORE_SNAPSHOT) {
+        record({
+          type: action.type,
+          payload: action.payload,
+          cause: action.cause ?? null,
+          state: api.getState(),
+        });
+      }
+      return result;
+    };
+  };
+
+  const goTo = (index) => {
+    if (!api || index < 0 || index >= entries.length) {
+      return false;
+    }
+    cursor = index;
+    api.dispatch({
+      type: ACTIONS.RESTORE_SNAPSHOT,
+      payload: entries[index].state,
+      cause: { source: 'history', index },
+    });
+    return true;
+  };
+
+  return {
+    middleware,
+    start() {
+      recording = true;
+      if (api) {
+        recordInitial();
+      }
+    },
+    stop() {
+      recording = false;
+    },
+    isRecording: () => recording,
+    /**
+     * Summaries of the recorded actions (without state snapshots).
+     */
+    list: () =>
+      entries.map(({ at, type, cause }, index) => ({
+        index,
+        at,
+        type,
+        cause,
+        isCurrent: index === cursor,
+      })),
+    getEntry: (index) => entries[index] ?? null,
+    getCursor: () => cursor,
+    goTo,
+    back: () => goTo(cursor - 1),
+    forward: () => goTo(cursor + 1),
+    clear() {
+      entries = [];
+      cursor = -1;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { TASKBAR_MONITOR_MODES, TASKBAR_SCOPES } from './taskbarSettings.js';
+
+/**
+ * Monitor helpers. `monitors` is the store slice reported by the host
+ * ({ id, name, isPrimary, bounds, workArea }); it is empty until the host
+ * reports it, in which case everything belongs to the one (primary) screen.
+ */
+
+export function getPrimaryMonitor(monitors) {
+  return monitors.find((monitor) => monitor.isPrimary) ?? monitors[0] ?? null;
+}
+
+/**
+ * The id of the connected monitor `monitorId` names, or the primary
+ * monitor's id for unknown or disconnected monitors (null without monitors).
+ */
+export function resolveMonitorId(monitors, monitorId) {
+  if (monitorId !== null && monitorId !== undefined && monitors.some((monitor) => monitor.id === monitorId)) {
+    return monitorId;
+  }
+  return getPrimaryMonitor(monitors)?.id ?? null;
+}
+
+/**
+ * Windows shown on the taskbar of `monitorId` (the primary one by default):
+ * visible windows in the active workspace (or in any, with the all-workspaces
+ * scope) on that monitor, or every one of them on the primary taskbar when the
+ * taskbar is set to the primary monitor only.
+ */
+export function selectTaskbarWindows(state, monitorId = null) {
+  const { windows, activeWorkspaceId, monitors, taskbarSettings } = state;
+  const isAllWorkspaces = taskbarSettings.scope === TASKBAR_SCOPES.ALL_WORKSPACES;
+  const target = resolveMonitorId(monitors, monitorId);
+  const isPrimaryOnly = taskbarSettings.monitorMode === TASKBAR_MONITOR_MODES.PRIMARY;
+  if (isPrimaryOnly && target !== resolveMonitorId(monitors, null)) {
+    return [];
+  }
+
+  return windows.filter(
+    (w) =>
+      (isAllWorkspaces || w.workspaceId === activeWorkspaceId) &&
+      w.isVisible !== false &&
+      (isPrimaryOnly || resolveMonitorId(monitors, w.monitorId) === target),
+  );
+}
+
+/**
+ * Place each monitor within the virtual screen (the bounding box of all
+ * monitors) as percentages, keyed by monitor id.
+ */
+export function layoutMonitors(monitors) {
+  const left = Math.min(...monitors.map((m) => m.bounds.x));
+  const top = Math.min(...monitors.map((m) => m.bounds.y));
+  const width = Math.max(...monitors.map((m) => m.bounds.x + m.bounds.width)) - left;
+  const height = Math.max(...monitors.map((m) => m.bounds.y + m.bounds.height)) - top;
+  const percent = (value, total) => `${((value / total) * 100).toFixed(4)}%`;
+
+  return new Map(
+    monitors.map((monitor) => [
+      monitor.id,
+      {
+        left: percent(monitor.bounds.x - left, width),
+        top: percent(monitor.bounds.y - top, height),
+        width: percent(monitor.bounds.width, width),
+        height: percent(monitor.bounds.height, height),
+      },
+    ]),
+  );
+}
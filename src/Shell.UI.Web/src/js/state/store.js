@@ -1,3 +1,207 @@
+import { isHostEvent } from '../bridge/schema.js';
+import { DEFAULT_TASKBAR_SETTINGS, normalizeTaskbarSettings } from './taskbarSettings.js';
+
+/**
+ * Whether negotiated bridge capabilities include a method or event.
+ * A null capability set (legacy host) supports everything; otherwise a name is
+ * checked against its own list, and a null list (not announced) rules nothing out.
+ */
+export function hasCapability(capabilities, name) {
+  if (!capabilities) {
+    return true;
+  }
+  const list = isHostEvent(name) ? capabilities.events : capabilities.methods;
+  return !list || list.includes(name);
+}
+
+/**
+ * Equality for selected slices: identical values, or arrays/plain objects
+ * whose items are identical.
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => Object.is(a[key], b[key]));
+}
+
+/**
+ * Named store actions. Every state change goes through `store.dispatch`, so
+ * middleware can log, persist or record it.
+ */
+export const ACTIONS = Object.freeze({
+  PATCH_STATE: 'state/patch',
+  RESTORE_SNAPSHOT: 'state/restore',
+  SET_WINDOWS: 'windows/set',
+  UPSERT_WINDOW: 'windows/upsert',
+  REMOVE_WINDOW: 'windows/remove',
+  FOCUS_WINDOW: 'windows/focus',
+  SET_WORKSPACES: 'workspaces/set',
+  UPSERT_WORKSPACE: 'workspaces/upsert',
+  REMOVE_WORKSPACE: 'workspaces/remove',
+  ACTIVATE_WORKSPACE: 'workspaces/activate',
+  SET_TRAY_ICONS: 'tray/set',
+  UPSERT_TRAY_ICON: 'tray/upsert',
+  REMOVE_TRAY_ICON: 'tray/remove',
+  SET_DESKTOP_ITEMS: 'desktop/setItems',
+  SET_DESKTOP_SELECTION: 'desktop/setSelection',
+  SET_STATUS_TEXT: 'status/setText',
+  SET_CONNECTION_STATE: 'connection/setState',
+  SET_CAPABILITIES: 'connection/setCapabilities',
+  SET_BOOTSTRAPPING: 'app/setBootstrapping',
+  SET_LAUNCHER_APPS: 'launcher/setApps',
+  TOGGLE_LAUNCHER: 'launcher/toggle',
+  SET_HOST_THEME: 'theme/setHost',
+  SET_SYSTEM_STATUS: 'system/setStatus',
+  SET_MONITORS: 'monitors/set',
+  SET_TASKBAR_SETTINGS: 'taskbar/setSettings',
+  PIN_APP: 'taskbar/pinApp',
+  UNPIN_APP: 'taskbar/unpinApp',
+  SET_TASKBAR_ORDER: 'taskbar/setOrder',
+});
+
+// Merge `update` into the item with the same key, or append it.
+function upsertBy(items, key, update) {
+  const existingIndex = items.findIndex((item) => item[key] === update[key]);
+  if (existingIndex < 0) {
+    return [...items, update];
+  }
+  return items.map((item, index) => (index === existingIndex ? { ...item, ...update } : item));
+}
+
+// Reducers update the store's private state in place, replacing (never
+// mutating) arrays so slice subscriptions can compare by identity.
+const reducers = {
+  [ACTIONS.PATCH_STATE](state, patch) {
+    Object.assign(state, patch);
+  },
+  [ACTIONS.RESTORE_SNAPSHOT](state, snapshot) {
+    Object.assign(state, snapshot);
+  },
+  [ACTIONS.SET_WINDOWS](state, windows) {
+    state.windows = [...windows];
+  },
+  [ACTIONS.UPSERT_WINDOW](state, windowUpdate) {
+    const existingIndex = state.windows.findIndex(w => w.hwnd === windowUpdate.hwnd);
+    if (existingIndex >= 0) {
+      // Update existing window
+      state.windows = state.windows.map((w, index) =>
+        index === existingIndex ? { ...w, ...windowUpdate } : w,
+      );
+    } else {
+      // Add new window
+      state.windows = [...state.windows, windowUpdate];
+    }
+  },
+  [ACTIONS.REMOVE_WINDOW](state, hwnd) {
+    state.windows = state.windows.filter(w => w.hwnd !== hwnd);
+  },
+  [ACTIONS.FOCUS_WINDOW](state, hwnd) {
+    state.focusedWindowHandle = hwnd;
+    // Focusing a window answers its request for attention.
+    if (state.windows.some((w) => w.hwnd === hwnd && w.isFlashing)) {
+      state.windows = state.windows.map((w) => (w.hwnd === hwnd ? { ...w, isFlashing: false } : w));
+    }
+  },
+  [ACTIONS.SET_WORKSPACES](state, workspaces) {
+    state.workspaces = [...workspaces];
+    if (!state.activeWorkspaceId && state.workspaces.length > 0) {
+      state.activeWorkspaceId = state.workspaces[0].id;
+    }
+  },
+  [ACTIONS.UPSERT_WORKSPACE](state, workspaceUpdate) {
+    state.workspaces = upsertBy(state.workspaces, 'id', workspaceUpdate);
+    if (!state.activeWorkspaceId) {
+      state.activeWorkspaceId = workspaceUpdate.id;
+    }
+  },
+  [ACTIONS.REMOVE_WORKSPACE](state, id) {
+    state.workspaces = state.workspaces.filter((workspace) => workspace.id !== id);
+    if (state.activeWorkspaceId === id) {
+      state.activeWorkspaceId = state.workspaces[0]?.id ?? null;
+    }
+  },
+  [ACTIONS.ACTIVATE_WORKSPACE](state, id) {
+    state.activeWorkspaceId = id;
+  },
+  [ACTIONS.SET_TRAY_ICONS](state, trayIcons) {
+    state.trayIcons = [...trayIcons];
+  },
+  [ACTIONS.UPSERT_TRAY_ICON](state, iconUpdate) {
+    state.trayIcons = upsertBy(state.trayIcons, 'id', iconUpdate);
+  },
+  [ACTIONS.REMOVE_TRAY_ICON](state, id) {
+    state.trayIcons = state.trayIcons.filter((icon) => icon.id !== id);
+  },
+  [ACTIONS.SET_DESKTOP_ITEMS](state, items) {
+    state.desktopItems = [...items];
+  },
+  [ACTIONS.SET_DESKTOP_SELECTION](state, paths) {
+    state.selectedDesktopPaths = Array.isArray(paths) ? [...paths] : [];
+  },
+  [ACTIONS.SET_STATUS_TEXT](state, text) {
+    state.statusText = text;
+  },
+  [ACTIONS.SET_CONNECTION_STATE](state, connectionState) {
+    state.connectionState = connectionState;
+  },
+  [ACTIONS.SET_CAPABILITIES](state, capabilities) {
+    state.capabilities = capabilities
+      ? {
+          protocolVersion: capabilities.protocolVersion ?? null,
+          methods: capabilities.methods ? [...capabilities.methods] : null,
+          events: capabilities.events ? [...capabilities.events] : null,
+        }
+      : null;
+  },
+  [ACTIONS.SET_BOOTSTRAPPING](state, isBootstrapping) {
+    state.isBootstrapping = Boolean(isBootstrapping);
+  },
+  [ACTIONS.SET_LAUNCHER_APPS](state, apps) {
+    state.launcherApps = [...apps];
+  },
+  [ACTIONS.TOGGLE_LAUNCHER](state, forceState) {
+    state.isLauncherOpen = typeof forceState === 'boolean' ? forceState : !state.isLauncherOpen;
+  },
+  [ACTIONS.SET_SYSTEM_STATUS](state, status) {
+    // Partial snapshots keep the parts they leave out (e.g. a host without volume).
+    state.systemStatus = { ...state.systemStatus, ...status };
+  },
+  [ACTIONS.SET_HOST_THEME](state, hostTheme) {
+    state.hostTheme = hostTheme ? { ...hostTheme } : null;
+  },
+  [ACTIONS.SET_MONITORS](state, monitors) {
+    state.monitors = [...monitors];
+  },
+  [ACTIONS.SET_TASKBAR_SETTINGS](state, settings) {
+    state.taskbarSettings = { ...state.taskbarSettings, ...normalizeTaskbarSettings(settings) };
+  },
+  [ACTIONS.PIN_APP](state, appId) {
+    const { pinnedAppIds } = state.taskbarSettings;
+    if (appId && !pinnedAppIds.includes(appId)) {
+      state.taskbarSettings = { ...state.taskbarSettings, pinnedAppIds: [...pinnedAppIds, appId] };
+    }
+  },
+  [ACTIONS.UNPIN_APP](state, appId) {
+    const { pinnedAppIds } = state.taskbarSettings;
+    if (pinnedAppIds.includes(appId)) {
+      state.taskbarSettings = { ...state.taskbarSettings, pinnedAppIds: pinnedAppIds.filter((id) => id !== appId) };
+    }
+  },
+  [ACTIONS.SET_TASKBAR_ORDER](state, order) {
+    state.taskbarSettings = { ...state.taskbarSettings, ...normalizeTaskbarSettings({ order }) };
+  },
+};
+
 export function createShellStateStore(initialState = {}) {
   const defaultState = {
     windows: [],
@@ -9,12 +213,24 @@ export function createShellStateStore(initialState = {}) {
     activeWorkspaceId: null,
     focusedWindowHandle: null,
     statusText: 'Disconnected',
+    connectionState: 'connecting',
+    capabilities: null,
     isLauncherOpen: false,
     isBootstrapping: true,
+    hostTheme: null,
+    systemStatus: {},
+    monitors: [],
+    taskbarSettings: { ...DEFAULT_TASKBAR_SETTINGS },
   };
 
   const state = { ...defaultState, ...initialState };
   const listeners = new Set();
+  const selections = new Set();
+  let batchDepth = 0;
+  let hasPendingChanges = false;
+  let isFlushScheduled = false;
+  let middlewares = [];
+  let currentCause = null;
 
   const cloneState = () => ({
     ...state,
@@ -25,11 +241,91 @@ export function createShellStateStore(initialState = {}) {
     selectedDesktopPaths: Array.isArray(state.selectedDesktopPaths)
       ? [...state.selectedDesktopPaths]
       : [],
+    capabilities: state.capabilities
+      ? {
+          ...state.capabilities,
+          methods: state.capabilities.methods ? [...state.capabilities.methods] : null,
+          events: state.capabilities.events ? [...state.capabilities.events] : null,
+        }
+      : null,
+    hostTheme: state.hostTheme ? { ...state.hostTheme } : null,
+    systemStatus: { ...state.systemStatus },
+    monitors: state.monitors.map((m) => ({ ...m })),
+    taskbarSettings: { ...state.taskbarSettings },
   });
 
+  const deliver = () => {
+    if (listeners.size > 0) {
+      const snapshot = cloneState();
+      listeners.forEach((listener) => listener(snapshot));
+    }
+
+    selections.forEach((selection) => {
+      const next = selection.selector(state);
+      if (selection.equals(selection.selected, next)) {
+        return;
+      }
+      selection.selected = next;
+      selection.listener(next);
+    });
+  };
+
+  const flush = () => {
+    if (!hasPendingChanges) {
+      return;
+    }
+    hasPendingChanges = false;
+    deliver();
+  };
+
+  // Setters call notify(); listeners hear about all changes made in the same
+  // tick (or the same batch) once.
   const notify = () => {
-    const snapshot = cloneState();
-    listeners.forEach((listener) => listener(snapshot));
+    hasPendingChanges = true;
+    if (batchDepth > 0 || isFlushScheduled) {
+      return;
+    }
+    isFlushScheduled = true;
+    queueMicrotask(() => {
+      isFlushScheduled = false;
+      if (batchDepth === 0) {
+        flush();
+      }
+    });
+  };
+
+  const endBatch = () => {
+    batchDepth -= 1;
+    if (batchDepth === 0) {
+      flush();
+    }
+  };
+
+  const reduce = (action) => {
+    const reducer = reducers[action.type];
+    if (!reducer) {
+      throw new Error(`Unknown store action: ${action.type}`);
+    }
+    reducer(state, action.payload);
+    notify();
+    return action;
+  };
+
+  // Middleware has the shape (api) => (next) => (action) => result.
+  let pipeline = reduce;
+  const rebuildPipeline = () => {
+    const api = { getState: cloneState, dispatch: (action) => dispatch(action) };
+    pipeline = middlewares.reduceRight((next, middleware) => middleware(api)(next), reduce);
+  };
+
+  const dispatch = (action) => {
+    const cause = action.cause ?? currentCause;
+    return pipeline(cause ? { ...action, cause } : action);
+  };
+
+  // The classic setters are thin wrappers that dispatch a named action.
+  const setterFor = (type) => (payload) => {
+    dispatch({ type, payload });
   };
 
   return {
@@ -39,76 +335,95 @@ export function createShellStateStore(initialState = {}) {
       listener(cloneState());
       return () => listeners.delete(listener);
     },
-    setState(patch) {
-      Object.assign(state, patch);
-      notify();
-    },
-    setWindows(windows) {
-      state.windows = [...windows];
-      notify();
+    /**
+     * Subscribe to a slice of state. `listener` runs immediately and then only
+     * when the selected value changes (shallow equality by default).
+     * Setters never mutate arrays in place, so slices can be compared by
+     * identity; selectors and listeners must treat them as read-only.
+     */
+    select(selector, listener, equals = shallowEqual) {
+      const selection = { selector, listener, equals, selected: selector(state) };
+      selections.add(selection);
+      listener(selection.selected);
+      return () => selections.delete(selection);
     },
-    upsertWindow(windowUpdate) {
-      const existingIndex = state.windows.findIndex(w => w.hwnd === windowUpdate.hwnd);
-      if (existingIndex >= 0) {
-        // Update existing window
-        state.windows[existingIndex] = { ...state.windows[existingIndex], ...windowUpdate };
-      } else {
-        // Add new window
-        state.windows.push(windowUpdate);
+    /**
+     * Apply several updates as one transaction: listeners are notified once,
+     * synchronously, when `fn` (or the promise it returns) finishes.
+     */
+    batch(fn) {
+      batchDepth += 1;
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        endBatch();
+        throw error;
       }
-      notify();
-    },
-    removeWindow(hwnd) {
-      state.windows = state.windows.filter(w => w.hwnd !== hwnd);
-      notify();
-    },
-    setWorkspaces(workspaces) {
-      state.workspaces = [...workspaces];
-      if (!state.activeWorkspaceId && state.workspaces.length > 0) {
-        state.activeWorkspaceId = state.workspaces[0].id;
+      if (result && typeof result.then === 'function') {
+        return result.finally(endBatch);
       }
-      notify();
-    },
-    setActiveWorkspace(id) {
-      state.activeWorkspaceId = id;
-      notify();
+      endBatch();
+      return result;
     },
-    setTrayIcons(trayIcons) {
-      state.trayIcons = [...trayIcons];
-      notify();
+    /**
+     * Deliver pending notifications now instead of on the next microtask.
+     */
+    flush,
+    /**
+     * Dispatch a named action ({ type, payload, cause? }) through the middleware.
+     */
+    dispatch,
+    /**
+     * Add a middleware; returns a function that removes it again.
+     */
+    use(middleware) {
+      middlewares = [...middlewares, middleware];
+      rebuildPipeline();
+      return () => {
+        middlewares = middlewares.filter((entry) => entry !== middleware);
+        rebuildPipeline();
+      };
     },
-    setDesktopItems(items) {
-      state.desktopItems = [...items];
-      notify();
-    },
-    setDesktopSelection(paths) {
-      if (Array.isArray(paths)) {
-        state.selectedDesktopPaths = [...paths];
-      } else {
-        state.selectedDesktopPaths = [];
+    /**
+     * Tag every action dispatched synchronously inside `fn` with `cause`
+     * (e.g. the bridge event being handled).
+     */
+    runWithCause(cause, fn) {
+      const previousCause = currentCause;
+      currentCause = cause;
+      try {
+        return fn();
+      } finally {
+        currentCause = previousCause;
       }
-      notify();
-    },
-    setFocusedWindow(hwnd) {
-      state.focusedWindowHandle = hwnd;
-      notify();
-    },
-    setStatusText(text) {
-      state.statusText = text;
-      notify();
-    },
-    setBootstrapping(isBootstrapping) {
-      state.isBootstrapping = Boolean(isBootstrapping);
-      notify();
-    },
-    setLauncherApps(apps) {
-      state.launcherApps = [...apps];
-      notify();
-    },
-    toggleLauncher(forceState) {
-      const next = typeof forceState === 'boolean' ? forceState : !state.isLauncherOpen;
-      state.isLauncherOpen = next;
-      notify();
     },
+    setState: setterFor(ACTIONS.PATCH_STATE),
+    setWindows: setterFor(ACTIONS.SET_WINDOWS),
+    upsertWindow: setterFor(ACTIONS.UPSERT_WINDOW),
+    removeWindow: setterFor(ACTIONS.REMOVE_WINDOW),
+    setWorkspaces: setterFor(ACTIONS.SET_WORKSPACES),
+    upsertWorkspace: setterFor(ACTIONS.UPSERT_WORKSPACE),
+    removeWorkspace: setterFor(ACTIONS.REMOVE_WORKSPACE),
+    setActiveWorkspace: setterFor(ACTIONS.ACTIVATE_WORKSPACE),
+    setTrayIcons: setterFor(ACTIONS.SET_TRAY_ICONS),
+    upsertTrayIcon: setterFor(ACTIONS.UPSERT_TRAY_ICON),
+    removeTrayIcon: setterFor(ACTIONS.REMOVE_TRAY_ICON),
+    setDesktopItems: setterFor(ACTIONS.SET_DESKTOP_ITEMS),
+    setDesktopSelection: setterFor(ACTIONS.SET_DESKTOP_SELECTION),
+    setFocusedWindow: setterFor(ACTIONS.FOCUS_WINDOW),
+    setStatusText: setterFor(ACTIONS.SET_STATUS_TEXT),
+    setConnectionState: setterFor(ACTIONS.SET_CONNECTION_STATE),
+    setCapabilities: setterFor(ACTIONS.SET_CAPABILITIES),
+    setBootstrapping: setterFor(ACTIONS.SET_BOOTSTRAPPING),
+    setLauncherApps: setterFor(ACTIONS.SET_LAUNCHER_APPS),
+    toggleLauncher: setterFor(ACTIONS.TOGGLE_LAUNCHER),
+    setHostTheme: setterFor(ACTIONS.SET_HOST_THEME),
+    setSystemStatus: setterFor(ACTIONS.SET_SYSTEM_STATUS),
+    setMonitors: setterFor(ACTIONS.SET_MONITORS),
+    setTaskbarSettings: setterFor(ACTIONS.SET_TASKBAR_SETTINGS),
+    pinApp: setterFor(ACTIONS.PIN_APP),
+    unpinApp: setterFor(ACTIONS.UNPIN_APP),
+    setTaskbarOrder: setterFor(ACTIONS.SET_TASKBAR_ORDER),
   };
 }
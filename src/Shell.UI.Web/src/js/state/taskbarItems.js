@@ -0,0 +1,183 @@
+import { PROGRESS_STATES } from '../bridge/schema.js';
+import { selectTaskbarWindows } from './monitors.js';
+
+/**
+ * Taskbar items: one group per app (see taskbarGroupKey), plus pinned
+ * launcher apps that are not running. A pinned app's windows join its pinned
+ * item, so it keeps its place when the app starts or exits.
+ */
+
+/**
+ * The key windows are grouped by on the taskbar: their app id, else their
+ * executable, else their window class, else the window itself.
+ */
+export function taskbarGroupKey(windowModel) {
+  if (windowModel.appId) {
+    return windowModel.appId;
+  }
+  const executable = windowModel.executablePath?.split(/[\\/]/).pop().toLowerCase();
+  if (executable) {
+    return `exe:${executable}`;
+  }
+  return windowModel.className ? `class:${windowModel.className}` : windowModel.hwnd;
+}
+
+/**
+ * The items on the taskbar of `monitorId`, in taskbar order:
+ * { key, appId, app, windows, title, isPinned, isFocused, isFlashing, progress }.
+ * Without `combine`, each window gets an item of its own titled after it,
+ * next to the other windows of its app; the first takes over the app's item.
+ */
+export function selectTaskbarGroups(state, monitorId = null, { combine = true } = {}) {
+  const { focusedWindowHandle, launcherApps = [], taskbarSettings } = state;
+  const findApp = (appId) => (appId ? launcherApps.find((app) => app.id === appId) ?? null : null);
+  const groups = new Map();
+
+  const groupFor = (key, appId, fallbackTitle) => {
+    let group = groups.get(key);
+    if (!group) {
+      const app = findApp(appId);
+      group = {
+        key,
+        appId,
+        app,
+        windows: [],
+        title: app?.name || fallbackTitle,
+        isPinned: false,
+        isFocused: false,
+        isFlashing: false,
+        progress: null,
+      };
+      groups.set(key, group);
+    }
+    return group;
+  };
+
+  // Pinned apps first, in the order they were pinned.
+  taskbarSettings.pinnedAppIds.forEach((appId) => {
+    groupFor(appId, appId, appId).isPinned = true;
+  });
+
+  selectTaskbarWindows(state, monitorId).forEach((windowModel) => {
+    const group = groupFor(
+      taskbarGroupKey(windowModel),
+      windowModel.appId || null,
+      windowTitle(windowModel),
+    );
+    group.windows.push(windowModel);
+  });
+
+  const sorted = sortByTaskbarOrder(Array.from(groups.values()), taskbarSettings.order);
+  const items = combine ? sorted : sortByTaskbarOrder(sorted.flatMap(separateWindows), taskbarSettings.order);
+  items.forEach((group) => {
+    group.isFocused = group.windows.some((w) => w.hwnd === focusedWindowHandle);
+    group.isFlashing = group.windows.some((w) => w.isFlashing);
+    group.progress = combineProgress(group.windows);
+  });
+  return items;
+}
+
+const windowTitle = (windowModel) => windowModel.title || windowModel.appId || windowModel.className || 'Window';
+
+// A group's windows as items of their own; `groupKey` keeps them together
+// when only the group has been placed.
+function separateWindows(group) {
+  if (group.windows.length === 0) {
+    return [group];
+  }
+  return group.windows.map((windowModel, index) => ({
+    ...group,
+    key: index === 0 ? group.key : windowModel.hwnd,
+    groupKey: group.key,
+    windows: [windowModel],
+    title: windowTitle(windowModel),
+    isPinned: group.isPinned && index === 0,
+  }));
+}
+
+// Most pressing first.
+const PROGRESS_PRIORITY = [
+  PROGRESS_STATES.ERROR,
+  PROGRESS_STATES.PAUSED,
+  PROGRESS_STATES.NORMAL,
+  PROGRESS_STATES.INDETERMINATE,
+];
+
+// One progress for a group's windows, { state, value } or null: the most
+// pressing state any of them reports and the average of their percentages.
+function combineProgress(windows) {
+  const reporting = windows.filter((w) => PROGRESS_PRIORITY.includes(w.progressState));
+  const state = PROGRESS_PRIORITY.find((candidate) => reporting.some((w) => w.progressState === candidate));
+  if (!state) {
+    return null;
+  }
+
+  const values = reporting
+    .filter((w) => w.progressState !== PROGRESS_STATES.INDETERMINATE)
+    .map((w) => w.progressValue ?? 0);
+  const value = values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+  return { state, value };
+}
+
+// Items the user has placed keep that order (separated windows follow their
+// group's place); the rest follow in their natural order (pinned, then by window).
+function sortByTaskbarOrder(groups, order) {
+  const rank = (group, index) => {
+    const position = order.includes(group.key) ? order.indexOf(group.key) : order.indexOf(group.groupKey);
+    return position < 0 ? order.length + index : position;
+  };
+  return groups
+    .map((group, index) => ({ group, rank: rank(group, index) }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ group }) => group);
+}
+
+/**
+ * Which of a taskbar item's `windows` activating it brings up: the focused
+ * one, else the first on the active workspace, else the first.
+ */
+export function selectTaskbarTarget(state, windows) {
+  const { focusedWindowHandle, activeWorkspaceId } = state;
+  return (
+    windows.find((w) => w.hwnd === focusedWindowHandle) ??
+    windows.find((w) => w.workspaceId === activeWorkspaceId) ??
+    windows[0] ??
+    null
+  );
+}
+
+/**
+ * Order for the items in the taskbar's overflow menu: the focused item, then
+ * those asking for attention, then the rest in taskbar order.
+ */
+export function sortOverflowGroups(groups) {
+  const rank = (group) => (group.isFocused ? 0 : group.isFlashing ? 1 : 2);
+  return [...groups].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * The taskbar order after dragging `key` in front of `beforeKey` (or to the
+ * end of `displayedKeys`, the keys on the taskbar it was dragged on). Keys of
+ * apps that are neither pinned nor running anymore are dropped.
+ */
+export function moveTaskbarItem(state, displayedKeys, key, beforeKey = null) {
+  const { taskbarSettings, windows } = state;
+  const isKnown = (itemKey) =>
+    itemKey === key ||
+    displayedKeys.includes(itemKey) ||
+    taskbarSettings.pinnedAppIds.includes(itemKey) ||
+    windows.some((w) => taskbarGroupKey(w) === itemKey || w.hwnd === itemKey);
+
+  const keys = [
+    ...taskbarSettings.order.filter(isKnown),
+    ...displayedKeys.filter((itemKey) => !taskbarSettings.order.includes(itemKey)),
+  ].filter((itemKey) => itemKey !== key);
+
+  const lastDisplayed = displayedKeys.filter((itemKey) => itemKey !== key).at(-1);
+  let index = beforeKey ? keys.indexOf(beforeKey) : keys.indexOf(lastDisplayed) + 1;
+  if (index < 0) {
+    index = keys.length;
+  }
+  keys.splice(index, 0, key);
+  return keys;
+}
@@ -0,0 +1,135 @@
+/**
+ * User preferences for the taskbar, kept in the store (`taskbarSettings`) and
+ * persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'shelled.taskbar.v1';
+
+export const TASKBAR_MONITOR_MODES = Object.freeze({
+  // Every monitor has a taskbar listing the windows on that monitor.
+  PER_MONITOR: 'perMonitor',
+  // Only the primary monitor has a taskbar, listing every window.
+  PRIMARY: 'primary',
+});
+
+export const TASKBAR_EDGES = Object.freeze({
+  BOTTOM: 'bottom',
+  TOP: 'top',
+  LEFT: 'left',
+  RIGHT: 'right',
+});
+
+export const TASKBAR_SCOPES = Object.freeze({
+  // Windows on the active workspace.
+  CURRENT_WORKSPACE: 'currentWorkspace',
+  // Windows on every workspace, badged with theirs when it is not the active one.
+  ALL_WORKSPACES: 'allWorkspaces',
+});
+
+export const TASKBAR_GROUPING_MODES = Object.freeze({
+  // One button per app with a window count.
+  ALWAYS: 'always',
+  // One labelled button per window until they no longer fit, then per app.
+  WHEN_FULL: 'whenFull',
+  // One labelled button per window.
+  NEVER: 'never',
+});
+
+export const DEFAULT_TASKBAR_SETTINGS = Object.freeze({
+  monitorMode: TASKBAR_MONITOR_MODES.PER_MONITOR,
+  edge: TASKBAR_EDGES.BOTTOM,
+  // Which workspaces' windows the taskbar lists.
+  scope: TASKBAR_SCOPES.CURRENT_WORKSPACE,
+  // Icon-only buttons; expanded buttons also show the window title.
+  collapsed: true,
+  // How windows of the same app share taskbar buttons.
+  grouping: TASKBAR_GROUPING_MODES.ALWAYS,
+  // Slide the taskbar off its edge until the pointer reaches the edge.
+  autoHide: false,
+  // Launcher app ids kept on the taskbar while not running.
+  pinnedAppIds: Object.freeze([]),
+  // Taskbar item keys (see taskbarGroupKey, or window handles for windows with
+  // buttons of their own) in the order the user dragged them into.
+  order: Object.freeze([]),
+});
+
+export const isVerticalEdge = (edge) => edge === TASKBAR_EDGES.LEFT || edge === TASKBAR_EDGES.RIGHT;
+
+/**
+ * Whether taskbar buttons show window titles: when expanded, and always once
+ * windows get buttons of their own (which would be hard to tell apart).
+ */
+export const showsTaskbarLabels = ({ collapsed, grouping }) =>
+  !collapsed || grouping !== TASKBAR_GROUPING_MODES.ALWAYS;
+
+/**
+ * Keep only the known settings with valid values.
+ */
+export function normalizeTaskbarSettings(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return {};
+  }
+  const settings = {};
+  if (Object.values(TASKBAR_MONITOR_MODES).includes(raw.monitorMode)) {
+    settings.monitorMode = raw.monitorMode;
+  }
+  if (Object.values(TASKBAR_EDGES).includes(raw.edge)) {
+    settings.edge = raw.edge;
+  }
+  if (Object.values(TASKBAR_SCOPES).includes(raw.scope)) {
+    settings.scope = raw.scope;
+  }
+  if (Object.values(TASKBAR_GROUPING_MODES).includes(raw.grouping)) {
+    settings.grouping = raw.grouping;
+  }
+  ['collapsed', 'autoHide'].forEach((key) => {
+    if (typeof raw[key] === 'boolean') {
+      settings[key] = raw[key];
+    }
+  });
+  ['pinnedAppIds', 'order'].forEach((key) => {
+    if (Array.isArray(raw[key])) {
+      settings[key] = Array.from(new Set(raw[key].filter((id) => typeof id === 'string' && id)));
+    }
+  });
+  return settings;
+}
+
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadSettings(storage) {
+  try {
+    return normalizeTaskbarSettings(JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null'));
+  } catch {
+    return {};
+  }
+}
+
+function saveSettings(storage, settings) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Best-effort persistence; ignore errors.
+  }
+}
+
+/**
+ * Load saved taskbar settings into the store and save them whenever they
+ * change. Returns an unsubscribe function.
+ */
+export function persistTaskbarSettings(store, { storage = defaultStorage() } = {}) {
+  const saved = loadSettings(storage);
+  if (Object.keys(saved).length > 0) {
+    store.setTaskbarSettings(saved);
+  }
+  return store.select(
+    (state) => state.taskbarSettings,
+    (settings) => saveSettings(storage, settings),
+  );
+}
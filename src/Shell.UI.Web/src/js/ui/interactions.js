@@ -1,5 +1,42 @@
 import shellBridge from '../bridge/api.js';
+import { WINDOW_STATES, WINDOW_STATE_LABELS } from '../bridge/schema.js';
 import { getDesktopPositions, moveDesktopSelection, sortItemsByLayout } from '../utils/desktopLayout.js';
+import { html, setHtml } from '../utils/html.js';
+import {
+  moveTaskbarItem,
+  selectTaskbarGroups,
+  selectTaskbarTarget,
+  sortOverflowGroups,
+} from '../state/taskbarItems.js';
+import {
+  TASKBAR_EDGES,
+  TASKBAR_GROUPING_MODES,
+  TASKBAR_MONITOR_MODES,
+  TASKBAR_SCOPES,
+  isVerticalEdge,
+  showsTaskbarLabels,
+} from '../state/taskbarSettings.js';
+import { holdTaskbarRevealed, placeBesideTaskbar, taskbarEdgeOf } from './taskbarPlacement.js';
+
+// The monitor a taskbar or desktop element belongs to (null: the primary one).
+function monitorIdOf(element) {
+  return element.closest('[data-monitor-id]')?.dataset.monitorId ?? null;
+}
+
+const DRAG_START_THRESHOLD_SQUARED = 16; // 4px movement
+
+const TASKBAR_EDGE_LABELS = [
+  [TASKBAR_EDGES.BOTTOM, 'Taskbar at the bottom'],
+  [TASKBAR_EDGES.TOP, 'Taskbar at the top'],
+  [TASKBAR_EDGES.LEFT, 'Taskbar on the left'],
+  [TASKBAR_EDGES.RIGHT, 'Taskbar on the right'],
+];
+
+const TASKBAR_GROUPING_LABELS = [
+  [TASKBAR_GROUPING_MODES.ALWAYS, 'Always'],
+  [TASKBAR_GROUPING_MODES.WHEN_FULL, 'When the taskbar is full'],
+  [TASKBAR_GROUPING_MODES.NEVER, 'Never'],
+];
 
 export function wireInteractions(selectors, store) {
   selectors.launcherToggle.addEventListener('click', () => store.toggleLauncher());
@@ -13,9 +50,11 @@ export function wireInteractions(selectors, store) {
   selectors.workspaceStrip.addEventListener('click', async (event) => {
     const target = event.target.closest('[data-workspace-id]');
     if (!target) return;
-    
-    const workspaceId = target.dataset.workspaceId;
-    
+
+    await switchToWorkspace(target.dataset.workspaceId);
+  });
+
+  async function switchToWorkspace(workspaceId) {
     try {
       // Use bridge API to switch workspace
       const success = await shellBridge.switchWorkspace(workspaceId);
@@ -32,7 +71,7 @@ export function wireInteractions(selectors, store) {
       // Fallback to local state update
       store.setActiveWorkspace(workspaceId);
     }
-  });
+  }
 
   async function focusWindowByHandle(hwnd) {
     const state = store.getState();
@@ -40,8 +79,14 @@ export function wireInteractions(selectors, store) {
 
     if (!window) return;
 
+    // Windows on another workspace (see the taskbar's all-workspaces scope)
+    // are focused once their workspace is shown.
+    if (window.workspaceId && window.workspaceId !== state.activeWorkspaceId) {
+      await switchToWorkspace(window.workspaceId);
+    }
+
     try {
-      if (window.state === 'minimized') {
+      if (window.state === WINDOW_STATES.MINIMIZED) {
         await shellBridge.restoreWindow(hwnd);
       }
 
@@ -58,15 +103,35 @@ export function wireInteractions(selectors, store) {
     }
   }
 
+  // The items on the taskbar an element belongs to, grouped as rendered.
+  function getTaskbarGroups(element) {
+    const combine = element.closest('.taskbar-windows')?.dataset.grouping !== 'separate';
+    return selectTaskbarGroups(store.getState(), monitorIdOf(element), { combine });
+  }
+
+  // Windows behind a taskbar button, on the monitor of its taskbar.
+  function getTaskbarGroupWindows(button) {
+    const { groupKey } = button.dataset;
+    return getTaskbarGroups(button).find((group) => group.key === groupKey)?.windows ?? [];
+  }
+
+  // The taskbar (primary or a secondary monitor's) an element belongs to.
+  function taskbarOf(element) {
+    return element.closest('footer') ?? selectors.taskbar ?? null;
+  }
+
   let taskbarPreviewMenu = null;
   let taskbarPreviewAnchor = null;
   let taskbarPreviewHideTimeoutId = null;
+  let releaseTaskbarForPreview = null;
 
   function removeTaskbarPreviewMenu() {
     if (taskbarPreviewMenu) {
       taskbarPreviewMenu.remove();
       taskbarPreviewMenu = null;
       taskbarPreviewAnchor = null;
+      releaseTaskbarForPreview?.();
+      releaseTaskbarForPreview = null;
     }
     if (taskbarPreviewHideTimeoutId) {
       clearTimeout(taskbarPreviewHideTimeoutId);
@@ -83,23 +148,8 @@ export function wireInteractions(selectors, store) {
     }, 150);
   }
 
-  function showTaskbarPreviewMenuForApp(anchorElement, appId) {
-    const state = store.getState();
-    const { windows, activeWorkspaceId } = state;
-    const groupKey = anchorElement.dataset.groupKey;
-
-    const groupWindows = windows.filter((w) => {
-      if (w.workspaceId !== activeWorkspaceId || w.isVisible === false) {
-        return false;
-      }
-      if (appId && w.appId === appId) {
-        return true;
-      }
-      if (!appId && groupKey && w.hwnd === groupKey) {
-        return true;
-      }
-      return false;
-    });
+  function showTaskbarPreviewMenu(anchorElement) {
+    const groupWindows = getTaskbarGroupWindows(anchorElement);
 
     if (groupWindows.length <= 1) {
       removeTaskbarPreviewMenu();
@@ -120,12 +170,12 @@ export function wireInteractions(selectors, store) {
       itemButton.className = 'taskbar-preview-item';
       itemButton.dataset.hwnd = windowModel.hwnd;
       const title = windowModel.title || windowModel.appId || 'Window';
-      const stateLabel = windowModel.state || '';
+      const stateLabel = WINDOW_STATE_LABELS[windowModel.state] ?? '';
 
-      itemButton.innerHTML = `
+      setHtml(itemButton, html`
         <span class="taskbar-preview-item__title">${title}</span>
         <span class="taskbar-preview-item__meta">${stateLabel}</span>
-      `;
+      `);
 
       itemButton.addEventListener('click', async () => {
         removeTaskbarPreviewMenu();
@@ -138,35 +188,21 @@ export function wireInteractions(selectors, store) {
     menu.appendChild(list);
     document.body.appendChild(menu);
 
+    // Open towards the desktop, whichever edge the taskbar is on.
     const anchorRect = anchorElement.getBoundingClientRect();
-    const menuRect = menu.getBoundingClientRect();
-
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-
-    let left = anchorRect.left + anchorRect.width / 2 - menuRect.width / 2;
-    if (left < 8) {
-      left = 8;
-    }
-    if (left + menuRect.width > viewportWidth - 8) {
-      left = viewportWidth - menuRect.width - 8;
-    }
+    const taskbar = taskbarOf(anchorElement);
+    const { left, top } = placeBesideTaskbar({
+      edge: taskbarEdgeOf(anchorElement),
+      taskbarRect: taskbar?.getBoundingClientRect() ?? anchorRect,
+      point: { x: anchorRect.left + anchorRect.width / 2, y: anchorRect.top + anchorRect.height / 2 },
+      size: menu.getBoundingClientRect(),
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      align: 'center',
+    });
 
     menu.style.position = 'fixed';
     menu.style.left = `${left}px`;
-
-    const taskbarRect =
-      selectors.taskbar && selectors.taskbar.getBoundingClientRect
-        ? selectors.taskbar.getBoundingClientRect()
-        : { top: viewportHeight, height: 0 };
-
-    let bottom = viewportHeight - taskbarRect.top + 8;
-    if (bottom < 8) {
-      bottom = 8;
-    }
-
-    menu.style.bottom = `${bottom}px`;
-    menu.style.top = '';
+    menu.style.top = `${top}px`;
 
     menu.addEventListener('mouseenter', () => {
       if (taskbarPreviewHideTimeoutId) {
@@ -181,82 +217,183 @@ export function wireInteractions(selectors, store) {
 
     taskbarPreviewMenu = menu;
     taskbarPreviewAnchor = anchorElement;
+    releaseTaskbarForPreview = taskbar ? holdTaskbarRevealed(taskbar) : null;
   }
 
-  selectors.taskbarWindows.addEventListener('click', async (event) => {
-    const button = event.target.closest('.taskbar-item');
-    if (!button) return;
-
-    removeTaskbarPreviewMenu();
+  // Focus a taskbar item's focused (or first) window, or start its app when
+  // it is pinned and not running.
+  async function activateTaskbarItem(groupWindows, pinnedAppId) {
+    if (groupWindows.length === 0) {
+      if (pinnedAppId) {
+        await launchApp(pinnedAppId);
+      }
+      return;
+    }
 
-    const appId = button.dataset.appId;
-    const groupKey = button.dataset.groupKey;
-    const state = store.getState();
-    const { windows, activeWorkspaceId, focusedWindowHandle } = state;
+    await focusWindowByHandle(selectTaskbarTarget(store.getState(), groupWindows).hwnd);
+  }
 
-    const groupWindows = windows.filter((w) => {
-      if (w.workspaceId !== activeWorkspaceId || w.isVisible === false) {
-        return false;
-      }
-      if (appId && w.appId === appId) {
-        return true;
-      }
-      if (!appId && groupKey && w.hwnd === groupKey) {
-        return true;
-      }
-      return false;
+  // The items that did not fit on the overflow button's taskbar, focused and
+  // attention-flagged ones first.
+  function showTaskbarOverflowMenu(overflowButton) {
+    const shownKeys = new Set(
+      Array.from(overflowButton.parentElement.querySelectorAll('.taskbar-item'), (node) => node.dataset.groupKey),
+    );
+    const groups = sortOverflowGroups(
+      getTaskbarGroups(overflowButton).filter((group) => !shownKeys.has(group.key)),
+    );
+    const menuItems = groups.map((group) => ({
+      label: group.windows.length > 1 ? `${group.title} (${group.windows.length} windows)` : group.title,
+      className: group.isFlashing ? 'context-menu-item--attention' : null,
+      action: () => activateTaskbarItem(group.windows, group.isPinned ? group.appId : null),
+    }));
+
+    const rect = overflowButton.getBoundingClientRect();
+    showContextMenu({ clientX: rect.left, clientY: rect.top }, menuItems, 'taskbar-overflow-menu', {
+      taskbar: taskbarOf(overflowButton),
     });
+  }
 
-    if (groupWindows.length === 0) {
+  async function onTaskbarClick(event) {
+    const overflowButton = event.target.closest('.taskbar-overflow');
+    if (overflowButton) {
+      removeTaskbarPreviewMenu();
+      showTaskbarOverflowMenu(overflowButton);
       return;
     }
 
-    let targetWindow = groupWindows.find((w) => w.hwnd === focusedWindowHandle);
-    if (!targetWindow) {
-      targetWindow = groupWindows[0];
+    const button = event.target.closest('.taskbar-item');
+    if (!button) return;
+
+    removeTaskbarPreviewMenu();
+    if (suppressNextTaskbarClick) {
+      suppressNextTaskbarClick = false;
+      return;
     }
 
-    await focusWindowByHandle(targetWindow.hwnd);
-  });
+    await activateTaskbarItem(
+      getTaskbarGroupWindows(button),
+      button.dataset.pinned ? button.dataset.appId : null,
+    );
+  }
 
-  selectors.taskbarWindows.addEventListener('contextmenu', (event) => {
+  async function onTaskbarContextMenu(event) {
     const button = event.target.closest('.taskbar-item');
     if (!button) return;
 
     event.preventDefault();
-    const state = store.getState();
-    const { windows, activeWorkspaceId, focusedWindowHandle } = state;
-    const appId = button.dataset.appId;
-    const groupKey = button.dataset.groupKey;
+    const groupWindows = getTaskbarGroupWindows(button);
+    const appId = button.dataset.appId || groupWindows[0]?.appId || null;
+    if (groupWindows.length === 0 && !button.dataset.pinned) return;
+
+    // Only ask a connected host that has jump lists, so the menu opens at once otherwise.
+    let jumpList = null;
+    if (appId && shellBridge.isConnected && shellBridge.supports('getJumpListJson')) {
+      jumpList = await shellBridge.getJumpList(appId);
+    }
 
-    const groupWindows = windows.filter((w) => {
-      if (w.workspaceId !== activeWorkspaceId || w.isVisible === false) {
-        return false;
-      }
-      if (appId && w.appId === appId) {
-        return true;
-      }
-      if (!appId && groupKey && w.hwnd === groupKey) {
-        return true;
+    showTaskbarItemContextMenu(event, { appId, windows: groupWindows }, jumpList, store, taskbarOf(button));
+  }
+
+  // Dragging a taskbar item along the taskbar reorders it.
+  let taskbarDrag = null;
+  let suppressNextTaskbarClick = false;
+
+  // The taskbar item a dragged `button` would land in front of (null: the end).
+  function taskbarItemAfterPointer(button, event) {
+    const isVertical = isVerticalEdge(taskbarEdgeOf(button));
+    return (
+      Array.from(button.parentElement.children).find((node) => {
+        if (node === button || !node.classList.contains('taskbar-item')) return false;
+        const rect = node.getBoundingClientRect();
+        return isVertical ? event.clientY < rect.top + rect.height / 2 : event.clientX < rect.left + rect.width / 2;
+      }) ?? null
+    );
+  }
+
+  function onTaskbarPointerDown(event) {
+    const button = event.target.closest('.taskbar-item');
+    suppressNextTaskbarClick = false;
+    if (event.button !== 0 || !button) return;
+
+    taskbarDrag = {
+      pointerId: event.pointerId,
+      button,
+      startX: event.clientX,
+      startY: event.clientY,
+      hasMoved: false,
+    };
+  }
+
+  function onTaskbarPointerMove(event) {
+    if (!taskbarDrag || event.pointerId !== taskbarDrag.pointerId) return;
+
+    const { button } = taskbarDrag;
+    if (!taskbarDrag.hasMoved) {
+      const dx = event.clientX - taskbarDrag.startX;
+      const dy = event.clientY - taskbarDrag.startY;
+      if (dx * dx + dy * dy < DRAG_START_THRESHOLD_SQUARED) return;
+
+      taskbarDrag.hasMoved = true;
+      removeTaskbarPreviewMenu();
+      button.classList.add('taskbar-item--dragging');
+      try {
+        button.setPointerCapture(event.pointerId);
+      } catch {
+        // Ignore errors from pointer capture (older platforms).
       }
-      return false;
-    });
+    }
 
-    if (groupWindows.length === 0) {
-      return;
+    // Move the button itself to show where it will land (the overflow button
+    // stays last).
+    const nextItem =
+      taskbarItemAfterPointer(button, event) ?? button.parentElement.querySelector('.taskbar-overflow');
+    if (nextItem !== button.nextElementSibling) {
+      button.parentElement.insertBefore(button, nextItem);
+    }
+  }
+
+  function onTaskbarPointerUp(event) {
+    if (!taskbarDrag || event.pointerId !== taskbarDrag.pointerId) return;
+
+    const { button, hasMoved } = taskbarDrag;
+    taskbarDrag = null;
+    button.classList.remove('taskbar-item--dragging');
+    if (!hasMoved) return;
+
+    suppressNextTaskbarClick = true;
+    const displayedItems = Array.from(button.parentElement.querySelectorAll('.taskbar-item'));
+    const displayedKeys = displayedItems.map((node) => node.dataset.groupKey);
+    const beforeKey = displayedItems[displayedItems.indexOf(button) + 1]?.dataset.groupKey ?? null;
+    store.setTaskbarOrder(moveTaskbarItem(store.getState(), displayedKeys, button.dataset.groupKey, beforeKey));
+  }
+
+  function onTaskbarPointerCancel() {
+    if (!taskbarDrag) return;
+
+    const { button, hasMoved } = taskbarDrag;
+    taskbarDrag = null;
+    button.classList.remove('taskbar-item--dragging');
+    if (hasMoved) {
+      // Put the button back where the store has it.
+      store.setTaskbarOrder(store.getState().taskbarSettings.order);
     }
+  }
 
-    let targetWindow = groupWindows.find((w) => w.hwnd === focusedWindowHandle);
-    if (!targetWindow) {
-      targetWindow = groupWindows[0];
+  // Right-click on empty taskbar space: taskbar settings.
+  function onTaskbarBackgroundContextMenu(event) {
+    const taskbar = event.target.closest('footer');
+    if (event.defaultPrevented || !taskbar || event.target.closest('button')) {
+      return;
     }
 
-    showTaskbarContextMenu(event, targetWindow.hwnd, targetWindow, store);
-  });
+    event.preventDefault();
+    showTaskbarSettingsMenu(event, taskbar, store);
+  }
 
-  selectors.taskbarWindows.addEventListener('mouseover', (event) => {
+  function onTaskbarMouseOver(event) {
     const button = event.target.closest('.taskbar-item');
-    if (!button || !selectors.taskbarWindows.contains(button)) {
+    if (!button || !event.currentTarget.contains(button)) {
       return;
     }
 
@@ -264,11 +401,10 @@ export function wireInteractions(selectors, store) {
       return;
     }
 
-    const appId = button.dataset.appId;
-    showTaskbarPreviewMenuForApp(button, appId);
-  });
+    showTaskbarPreviewMenu(button);
+  }
 
-  selectors.taskbarWindows.addEventListener('mouseout', (event) => {
+  function onTaskbarMouseOut(event) {
     if (!taskbarPreviewMenu || !taskbarPreviewAnchor) {
       return;
     }
@@ -282,7 +418,35 @@ export function wireInteractions(selectors, store) {
     }
 
     scheduleTaskbarPreviewHide();
+  }
+
+  // Secondary monitors' taskbars live in their surfaces (see renderMonitors).
+  [selectors.taskbarWindows, selectors.monitorSurfaces].filter(Boolean).forEach((container) => {
+    container.addEventListener('click', onTaskbarClick);
+    container.addEventListener('contextmenu', onTaskbarContextMenu);
+    container.addEventListener('mouseover', onTaskbarMouseOver);
+    container.addEventListener('mouseout', onTaskbarMouseOut);
+    container.addEventListener('pointerdown', onTaskbarPointerDown);
+    container.addEventListener('pointermove', onTaskbarPointerMove);
+    container.addEventListener('pointerup', onTaskbarPointerUp);
+    container.addEventListener('pointercancel', onTaskbarPointerCancel);
   });
+  [selectors.taskbar, selectors.monitorSurfaces].filter(Boolean).forEach((container) => {
+    container.addEventListener('contextmenu', onTaskbarBackgroundContextMenu);
+  });
+
+  // Move keyboard focus into the primary taskbar, which shows it while it
+  // auto-hides, or out of it again.
+  function toggleTaskbarFocus() {
+    const taskbar = selectors.taskbar;
+    if (!taskbar) return;
+
+    if (taskbar.contains(document.activeElement)) {
+      document.activeElement.blur();
+      return;
+    }
+    (taskbar.querySelector('.taskbar-item') ?? taskbar.querySelector('button'))?.focus();
+  }
 
   selectors.trayIcons.addEventListener('click', async (event) => {
     const target = event.target.closest('[data-tray-id]');
@@ -324,237 +488,55 @@ export function wireInteractions(selectors, store) {
     }
   });
 
-  const volumeIndicator = selectors.volumeIndicator;
-  const volumeFlyout = selectors.volumeFlyout;
-  const volumeSlider = selectors.volumeSlider;
-  const volumeMuteToggle = selectors.volumeMuteToggle;
-  const volumePercentLabel = selectors.volumePercentLabel;
-
-  let isVolumeFlyoutOpen = false;
-
-  const closeVolumeFlyout = () => {
-    if (!volumeFlyout || !isVolumeFlyoutOpen) {
-      return;
-    }
-
-    volumeFlyout.classList.remove('open');
-    volumeFlyout.setAttribute('aria-hidden', 'true');
-    isVolumeFlyoutOpen = false;
-  };
-
-  const openVolumeFlyout = () => {
-    if (!volumeFlyout) {
-      return;
-    }
-
-    volumeFlyout.classList.add('open');
-    volumeFlyout.setAttribute('aria-hidden', 'false');
-    isVolumeFlyoutOpen = true;
-  };
-
-  if (volumeIndicator && volumeFlyout) {
-    volumeIndicator.addEventListener('click', (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-
-      if (isVolumeFlyoutOpen) {
-        closeVolumeFlyout();
-      } else {
-        openVolumeFlyout();
-      }
-    });
-
-    document.addEventListener('click', (event) => {
-      if (!isVolumeFlyoutOpen) {
-        return;
-      }
-
-      const target = event.target;
-      if (
-        (volumeIndicator && volumeIndicator.contains(target)) ||
-        (volumeFlyout && volumeFlyout.contains(target))
-      ) {
-        return;
-      }
-
-      closeVolumeFlyout();
-    });
-  }
-
-  if (volumeSlider) {
-    volumeSlider.addEventListener('input', (event) => {
-      const value = Number(event.target.value);
-      if (Number.isNaN(value)) {
-        return;
-      }
-
-      const clamped = Math.max(0, Math.min(100, value));
-
-      if (volumePercentLabel) {
-        volumePercentLabel.textContent = `${clamped}%`;
-      }
-
-      shellBridge
-        .setSystemVolume(clamped)
-        .catch((error) =>
-          console.error('Error setting system volume from slider:', error),
-        );
-    });
-  }
-
-  if (volumeMuteToggle) {
-    volumeMuteToggle.addEventListener('click', async (event) => {
-      event.preventDefault();
-
-      try {
-        const ok = await shellBridge.toggleSystemMute();
-        if (!ok) {
-          return;
-        }
-
-        const status = await shellBridge.getSystemStatus();
-        if (!status || !status.volume) {
-          return;
-        }
-
-        const { levelPercent, isMuted } = status.volume;
-        const safeLevel =
-          typeof levelPercent === 'number' && !Number.isNaN(levelPercent)
-            ? Math.max(0, Math.min(100, levelPercent))
-            : 0;
-
-        if (volumeSlider) {
-          volumeSlider.value = String(safeLevel);
-        }
-
-        if (volumePercentLabel) {
-          volumePercentLabel.textContent = `${safeLevel}%`;
-        }
-
-        if (selectors.volumeIndicator) {
-          const baseClass = 'system-indicator system-indicator--volume';
-          const variant = isMuted
-            ? ' system-indicator--volume-muted'
-            : ' system-indicator--volume-unmuted';
-          selectors.volumeIndicator.className = baseClass + variant;
-
-          const label = isMuted ? 'Volume muted' : `Volume ${safeLevel}%`;
-          selectors.volumeIndicator.setAttribute('aria-label', label);
-          selectors.volumeIndicator.title = label;
-        }
-
-        if (volumeMuteToggle) {
-          volumeMuteToggle.classList.toggle('volume-flyout__mute--muted', !!isMuted);
-        }
-      } catch (error) {
-        console.error('Error toggling system mute from volume flyout:', error);
-      }
-    });
-  }
-
-  if (selectors.networkIndicator) {
-    selectors.networkIndicator.addEventListener('click', async (event) => {
-      event.preventDefault();
-
-      let status = null;
-      try {
-        status = await shellBridge.getSystemStatus();
-      } catch (error) {
-        console.error('Error getting system status for network menu:', error);
-      }
-
-      const networkStatus = status && status.network ? status.network : null;
-      const menuItems = [];
-
-      if (networkStatus) {
-        const kind =
-          typeof networkStatus.kind === 'string'
-            ? networkStatus.kind.toLowerCase()
-            : '';
-        const isConnected = !!networkStatus.isConnected;
-
-        const label = !isConnected
-          ? 'No network connection'
-          : kind === 'wifi'
-            ? 'Connected via Wi-Fi'
-            : kind === 'ethernet'
-              ? 'Connected via Ethernet'
-              : 'Network status';
-
-        menuItems.push({
-          label,
-          action: async () => {},
-          disabled: true,
-        });
-
-        const hasWifiAdapter =
-          typeof networkStatus.hasWifiAdapter === 'boolean'
-            ? networkStatus.hasWifiAdapter
-            : false;
-        const hasEthernetAdapter =
-          typeof networkStatus.hasEthernetAdapter === 'boolean'
-            ? networkStatus.hasEthernetAdapter
-            : false;
-
-        if (hasWifiAdapter && kind !== 'wifi') {
-          menuItems.push({
-            label: 'Switch to Wi-Fi',
-            action: () => shellBridge.preferNetwork('wifi'),
-          });
-        }
-
-        if (hasEthernetAdapter && kind !== 'ethernet') {
-          menuItems.push({
-            label: 'Switch to Ethernet',
-            action: () => shellBridge.preferNetwork('ethernet'),
-          });
-        }
-      }
-
-      menuItems.push({
-        label: 'Open Network settings',
-        action: () => shellBridge.openNetworkSettings(),
-      });
-
-      if (menuItems.length === 0) {
-        return;
-      }
-
-      showContextMenu(event, menuItems, 'network-context-menu');
-    });
-  }
-
   selectors.launcherGrid.addEventListener('click', async (event) => {
     const target = event.target.closest('[data-app-id]');
     if (!target) return;
     
     const appId = target.dataset.appId;
-    
-    try {
-      // Use bridge API to launch app
-      const success = await shellBridge.launchApp(appId);
-      if (success) {
-        console.log('App launched:', appId);
-        // Close launcher after successful launch
-        store.toggleLauncher(false);
-      } else {
-        console.error('Failed to launch app:', appId);
-      }
-    } catch (error) {
-      console.error('Error launching app:', error);
+    if (await launchApp(appId)) {
+      // Close launcher after successful launch
+      store.toggleLauncher(false);
     }
   });
 
+  selectors.launcherGrid.addEventListener('contextmenu', (event) => {
+    const target = event.target.closest('[data-app-id]');
+    if (!target) return;
+
+    event.preventDefault();
+    showLauncherAppContextMenu(event, target.dataset.appId, store);
+  });
+
   // Desktop icon interactions: selection, drag-move, click-to-open, context menu.
   const desktopContainer = selectors.desktopIcons || selectors.desktopSpace;
   if (desktopContainer) {
     let lastSelectedDesktopPath = null;
     let suppressNextDesktopClickOpen = false;
 
-    const DRAG_START_THRESHOLD_SQUARED = 16; // 4px movement
-
     let dragState = null;
 
+    // The icon area an event happened in; null outside any (e.g. on a
+    // secondary monitor's taskbar).
+    function iconAreaFor(event) {
+      return (
+        event.target.closest('.desktop-icon-area') ??
+        (event.currentTarget === desktopContainer ? desktopContainer : null)
+      );
+    }
+
+    function getIconAreas() {
+      return [desktopContainer, ...(selectors.monitorSurfaces?.querySelectorAll('.desktop-icon-area') ?? [])];
+    }
+
+    function iconAreaAt(x, y) {
+      return (
+        getIconAreas().find((area) => {
+          const rect = area.getBoundingClientRect();
+          return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+        }) ?? null
+      );
+    }
+
     function getCurrentDesktopSelection() {
       const state = store.getState();
       return Array.isArray(state.selectedDesktopPaths)
@@ -608,8 +590,9 @@ export function wireInteractions(selectors, store) {
       return Array.from(nextSelection);
     }
 
-    desktopContainer.addEventListener('pointerdown', (event) => {
-      if (event.button !== 0) {
+    function onDesktopPointerDown(event) {
+      const area = iconAreaFor(event);
+      if (event.button !== 0 || !area) {
         return;
       }
 
@@ -637,7 +620,9 @@ export function wireInteractions(selectors, store) {
       );
 
       const iconsInSelection = [];
-      const allIcons = desktopContainer.querySelectorAll('[data-desktop-path]');
+      const allIcons = getIconAreas().flatMap((iconArea) =>
+        Array.from(iconArea.querySelectorAll('[data-desktop-path]')),
+      );
       allIcons.forEach((node) => {
         const nodePath = node.dataset.desktopPath;
         if (selectedPaths.has(nodePath)) {
@@ -645,7 +630,11 @@ export function wireInteractions(selectors, store) {
         }
       });
 
-      const { layout, metrics } = getDesktopPositions(state.desktopItems || [], desktopContainer);
+      const monitorId = monitorIdOf(area);
+      const { layout, metrics } = getDesktopPositions(state.desktopItems || [], area, {
+        monitorId,
+        monitors: state.monitors,
+      });
 
       dragState = {
         pointerId: event.pointerId,
@@ -656,6 +645,7 @@ export function wireInteractions(selectors, store) {
         draggedElements: iconsInSelection,
         baseLayout: layout,
         baseMetrics: metrics,
+        area,
       };
 
       try {
@@ -663,9 +653,9 @@ export function wireInteractions(selectors, store) {
       } catch {
         // Ignore errors from pointer capture (older platforms).
       }
-    });
+    }
 
-    desktopContainer.addEventListener('pointermove', (event) => {
+    function onDesktopPointerMove(event) {
       if (!dragState || event.pointerId !== dragState.pointerId) {
         return;
       }
@@ -685,7 +675,7 @@ export function wireInteractions(selectors, store) {
         el.classList.add('desktop-icon--dragging');
         el.style.transform = `translate(${dx}px, ${dy}px)`;
       });
-    });
+    }
 
     function clearDragState() {
       if (!dragState) return;
@@ -696,7 +686,7 @@ export function wireInteractions(selectors, store) {
       dragState = null;
     }
 
-    desktopContainer.addEventListener('pointerup', (event) => {
+    function onDesktopPointerUp(event) {
       if (!dragState || event.pointerId !== dragState.pointerId) {
         return;
       }
@@ -709,14 +699,20 @@ export function wireInteractions(selectors, store) {
         const state = store.getState();
         const items = Array.isArray(state.desktopItems) ? state.desktopItems : [];
 
+        // Dropping on another monitor: measure the offset from its icon area.
+        const dropArea = iconAreaAt(event.clientX, event.clientY) ?? dragState.area;
+        const from = dragState.area.getBoundingClientRect();
+        const to = dropArea.getBoundingClientRect();
+
         const result = moveDesktopSelection(
           items,
           dragState.draggedPaths,
-          dx,
-          dy,
-          desktopContainer,
+          dx - (to.left - from.left),
+          dy - (to.top - from.top),
+          dropArea,
           dragState.baseLayout,
           dragState.baseMetrics,
+          { monitorId: monitorIdOf(dropArea), monitors: state.monitors },
         );
 
         if (result) {
@@ -727,13 +723,9 @@ export function wireInteractions(selectors, store) {
       }
 
       clearDragState();
-    });
-
-    desktopContainer.addEventListener('lostpointercapture', () => {
-      clearDragState();
-    });
+    }
 
-    desktopContainer.addEventListener('click', async (event) => {
+    async function onDesktopClick(event) {
       const target = event.target.closest('[data-desktop-path]');
       if (!target) {
         return;
@@ -762,10 +754,10 @@ export function wireInteractions(selectors, store) {
       } catch (error) {
         console.error('Error opening desktop item:', error);
       }
-    });
+    }
 
     // Desktop icon right-click: show context menu, aligning selection with the target.
-    desktopContainer.addEventListener('contextmenu', (event) => {
+    function onDesktopContextMenu(event) {
       const target = event.target.closest('[data-desktop-path]');
       if (!target) return;
 
@@ -784,6 +776,16 @@ export function wireInteractions(selectors, store) {
       const item = state.desktopItems.find((i) => i.path === path) ?? { path };
 
       showDesktopContextMenu(event, item);
+    }
+
+    // Secondary monitors' icon areas live in their surfaces (see renderMonitors).
+    [desktopContainer, selectors.monitorSurfaces].filter(Boolean).forEach((container) => {
+      container.addEventListener('pointerdown', onDesktopPointerDown);
+      container.addEventListener('pointermove', onDesktopPointerMove);
+      container.addEventListener('pointerup', onDesktopPointerUp);
+      container.addEventListener('lostpointercapture', clearDragState);
+      container.addEventListener('click', onDesktopClick);
+      container.addEventListener('contextmenu', onDesktopContextMenu);
     });
   }
 
@@ -806,11 +808,15 @@ export function wireInteractions(selectors, store) {
 
   // Add keyboard shortcuts for workspace switching
   document.addEventListener('keydown', (event) => {
+    // Ctrl+Esc shows and focuses the taskbar (e.g. while it auto-hides).
+    if (event.ctrlKey && event.key === 'Escape') {
+      event.preventDefault();
+      toggleTaskbarFocus();
+      return;
+    }
+
     if (event.key === 'Escape') {
       store.toggleLauncher(false);
-      if (isVolumeFlyoutOpen) {
-        closeVolumeFlyout();
-      }
       return;
     }
 
@@ -849,14 +855,61 @@ export function wireInteractions(selectors, store) {
   });
 }
 
+async function launchApp(appId) {
+  try {
+    // Use bridge API to launch app
+    const success = await shellBridge.launchApp(appId);
+    if (success) {
+      console.log('App launched:', appId);
+    } else {
+      console.error('Failed to launch app:', appId);
+    }
+    return success;
+  } catch (error) {
+    console.error('Error launching app:', error);
+    return false;
+  }
+}
+
+// "Pin to taskbar" for launcher apps, "Unpin from taskbar" for pinned ones.
+function pinMenuItems(store, appId) {
+  const { taskbarSettings, launcherApps } = store.getState();
+  if (taskbarSettings.pinnedAppIds.includes(appId)) {
+    return [{ label: 'Unpin from taskbar', action: () => store.unpinApp(appId) }];
+  }
+  if (appId && launcherApps.some((app) => app.id === appId)) {
+    return [{ label: 'Pin to taskbar', action: () => store.pinApp(appId) }];
+  }
+  return [];
+}
+
 /**
- * Show context menu for taskbar items
+ * Show context menu for launcher apps
  */
-function showTaskbarContextMenu(event, hwnd, window, store) {
+function showLauncherAppContextMenu(event, appId, store) {
+  const menuItems = [
+    {
+      label: 'Open',
+      action: async () => {
+        if (await launchApp(appId)) {
+          store.toggleLauncher(false);
+        }
+      },
+    },
+    ...pinMenuItems(store, appId),
+  ];
+  showContextMenu(event, menuItems, 'launcher-context-menu');
+}
+
+/**
+ * Actions for one window, shown in its submenu of the taskbar item menu
+ */
+function windowMenuItems(window, store) {
+  const { hwnd } = window;
   const menuItems = [];
 
   // Restore/Minimize based on current state
-  if (window.state === 'minimized') {
+  if (window.state === WINDOW_STATES.MINIMIZED) {
     menuItems.push({
       label: 'Restore',
       action: () => shellBridge.restoreWindow(hwnd)
@@ -877,9 +930,9 @@ function showTaskbarContextMenu(event, hwnd, window, store) {
   // Move window to another workspace (if any)
   const state = store.getState();
   const workspaces = state.workspaces || [];
-  const targetWorkspaces = workspaces.filter(
-    (ws) => ws.id && ws.id !== window.workspaceId,
-  );
+  const targetWorkspaces = shellBridge.supports('moveWindowToWorkspace')
+    ? workspaces.filter((ws) => ws.id && ws.id !== window.workspaceId)
+    : [];
 
   targetWorkspaces.forEach((ws) => {
     menuItems.push({
@@ -895,7 +948,105 @@ function showTaskbarContextMenu(event, hwnd, window, store) {
     disabled: false
   });
 
-  showContextMenu(event, menuItems, 'taskbar-context-menu');
+  return menuItems;
+}
+
+/**
+ * Show the menu for a taskbar item: the app's jump list (tasks and recent
+ * files), a submenu per window, then New window, pin/unpin and Close all.
+ */
+function showTaskbarItemContextMenu(event, { appId, windows }, jumpList, store, taskbar) {
+  const isLauncherApp = Boolean(appId) && store.getState().launcherApps.some((app) => app.id === appId);
+  const jumpListItems = (heading, items) =>
+    items.length === 0
+      ? []
+      : [
+          { heading },
+          ...items.map((item) => ({
+            label: item.title,
+            action: () => shellBridge.openJumpListItem(appId, item.id),
+          })),
+        ];
+
+  const sections = [
+    [...jumpListItems('Tasks', jumpList?.tasks ?? []), ...jumpListItems('Recent', jumpList?.recent ?? [])],
+    windows.map((window) => ({
+      label: window.title || window.appId || 'Untitled window',
+      submenu: windowMenuItems(window, store),
+    })),
+    [
+      ...(isLauncherApp
+        ? [{ label: windows.length > 0 ? 'New window' : 'Open', action: () => launchApp(appId) }]
+        : []),
+      ...pinMenuItems(store, appId),
+      ...(windows.length > 0
+        ? [
+            {
+              label: windows.length > 1 ? 'Close all windows' : 'Close window',
+              action: () => Promise.all(windows.map((window) => shellBridge.closeWindow(window.hwnd))),
+            },
+          ]
+        : []),
+    ],
+  ];
+
+  const menuItems = sections
+    .filter((section) => section.length > 0)
+    .flatMap((section, index) => (index > 0 ? [{ separator: true }, ...section] : section));
+  showContextMenu(event, menuItems, 'taskbar-context-menu', { taskbar });
+}
+
+/**
+ * Show the taskbar settings menu (edge, size, grouping, scope, auto-hide, monitors)
+ */
+function showTaskbarSettingsMenu(event, taskbar, store) {
+  const { taskbarSettings: settings, monitors } = store.getState();
+  const update = (changes) => () => store.setTaskbarSettings(changes);
+
+  const menuItems = TASKBAR_EDGE_LABELS.map(([edge, label]) => ({
+    label,
+    checked: settings.edge === edge,
+    action: update({ edge }),
+  }));
+  // Buttons of their own always show titles (see showsTaskbarLabels).
+  menuItems.push({
+    label: 'Show window titles',
+    checked: showsTaskbarLabels(settings),
+    disabled: settings.grouping !== TASKBAR_GROUPING_MODES.ALWAYS,
+    action: update({ collapsed: !settings.collapsed }),
+  });
+  menuItems.push({
+    label: 'Combine taskbar buttons',
+    submenu: TASKBAR_GROUPING_LABELS.map(([grouping, label]) => ({
+      label,
+      checked: settings.grouping === grouping,
+      action: update({ grouping }),
+    })),
+  });
+  const isAllWorkspaces = settings.scope === TASKBAR_SCOPES.ALL_WORKSPACES;
+  menuItems.push({
+    label: 'Show windows from all workspaces',
+    checked: isAllWorkspaces,
+    action: update({ scope: isAllWorkspaces ? TASKBAR_SCOPES.CURRENT_WORKSPACE : TASKBAR_SCOPES.ALL_WORKSPACES }),
+  });
+  menuItems.push({
+    label: 'Automatically hide the taskbar',
+    checked: settings.autoHide,
+    action: update({ autoHide: !settings.autoHide }),
+  });
+
+  if (monitors.length > 1) {
+    const isPerMonitor = settings.monitorMode === TASKBAR_MONITOR_MODES.PER_MONITOR;
+    menuItems.push({
+      label: 'Show taskbar on all displays',
+      checked: isPerMonitor,
+      action: update({
+        monitorMode: isPerMonitor ? TASKBAR_MONITOR_MODES.PRIMARY : TASKBAR_MONITOR_MODES.PER_MONITOR,
+      }),
+    });
+  }
+
+  showContextMenu(event, menuItems, 'taskbar-settings-menu', { taskbar });
 }
 
 /**
@@ -910,7 +1061,7 @@ function showDesktopContextMenu(event, desktopItem) {
       action: () => shellBridge.launchApp(desktopItem.path),
     });
 
-    if (!desktopItem.path.startsWith('shell:')) {
+    if (!desktopItem.path.startsWith('shell:') && shellBridge.supports('openItemLocation')) {
       menuItems.push({
         label: 'Open file location',
         action: () => shellBridge.openItemLocation(desktopItem.path),
@@ -925,15 +1076,15 @@ function showDesktopContextMenu(event, desktopItem) {
   showContextMenu(event, menuItems, 'desktop-context-menu');
 }
 
+let closeOpenContextMenu = null;
+
 /**
- * Generic context menu renderer used by both taskbar and desktop menus.
+ * Generic context menu renderer used by both taskbar and desktop menus. Menus
+ * opened from a `taskbar` open beside it and keep it shown while open.
  */
-function showContextMenu(event, menuItems, extraClassName) {
+function showContextMenu(event, menuItems, extraClassName, { taskbar = null } = {}) {
   // Remove any existing context menu
-  const existingMenu = document.querySelector('.taskbar-context-menu');
-  if (existingMenu) {
-    existingMenu.remove();
-  }
+  closeOpenContextMenu?.();
 
   // Create context menu
   const menu = document.createElement('div');
@@ -942,16 +1093,11 @@ function showContextMenu(event, menuItems, extraClassName) {
   menu.style.zIndex = '10000';
 
   // Create menu HTML
-  menu.innerHTML = `
+  setHtml(menu, html`
     <div class="context-menu-content">
-      ${menuItems.map(item => `
-        <button type="button" class="context-menu-item" 
-                ${item.disabled ? 'disabled' : ''}>
-          ${item.label}
-        </button>
-      `).join('')}
+      ${renderContextMenuItems(menuItems)}
     </div>
-  `;
+  `);
 
   document.body.appendChild(menu);
 
@@ -963,53 +1109,132 @@ function showContextMenu(event, menuItems, extraClassName) {
   let left = event.clientX;
   let top = event.clientY;
 
-  if (left + rect.width > viewportWidth) {
-    left = Math.max(0, viewportWidth - rect.width - 8);
-  }
-  if (top + rect.height > viewportHeight) {
-    top = Math.max(0, viewportHeight - rect.height - 8);
+  if (taskbar) {
+    ({ left, top } = placeBesideTaskbar({
+      edge: taskbarEdgeOf(taskbar),
+      taskbarRect: taskbar.getBoundingClientRect(),
+      point: { x: event.clientX, y: event.clientY },
+      size: rect,
+      viewport: { width: viewportWidth, height: viewportHeight },
+    }));
+  } else {
+    if (left + rect.width > viewportWidth) {
+      left = Math.max(0, viewportWidth - rect.width - 8);
+    }
+    if (top + rect.height > viewportHeight) {
+      top = Math.max(0, viewportHeight - rect.height - 8);
+    }
   }
 
   menu.style.left = `${left}px`;
   menu.style.top = `${top}px`;
+  // Leave room for submenus, opening them to the left near the right edge.
+  menu.classList.toggle('context-menu--submenus-left', left + rect.width * 2 > viewportWidth);
+  const releaseTaskbar = taskbar ? holdTaskbarRevealed(taskbar) : null;
+
+  const close = () => {
+    menu.remove();
+    document.removeEventListener('click', closeMenu);
+    document.removeEventListener('keydown', handleEscape);
+    releaseTaskbar?.();
+    if (closeOpenContextMenu === close) {
+      closeOpenContextMenu = null;
+    }
+  };
+  closeOpenContextMenu = close;
 
   // Add event listeners
   const buttons = menu.querySelectorAll('.context-menu-item');
+  const buttonItems = contextMenuButtonItems(menuItems);
   buttons.forEach((button, index) => {
-    const item = menuItems[index];
+    const item = buttonItems[index];
     if (!item || item.disabled) {
       return;
     }
 
+    // Submenus open on hover; clicking (or tapping) their item toggles them.
+    if (item.submenu) {
+      button.addEventListener('click', () => {
+        const isOpen = button.parentElement.classList.toggle('context-menu-submenu--open');
+        button.setAttribute('aria-expanded', String(isOpen));
+      });
+      return;
+    }
+
     button.addEventListener('click', async () => {
       try {
         await item.action();
       } catch (error) {
         console.error('Error executing context menu action:', error);
       }
-      menu.remove();
+      close();
     });
   });
 
   // Close menu when clicking outside
   const closeMenu = (e) => {
     if (!menu.contains(e.target)) {
-      menu.remove();
-      document.removeEventListener('click', closeMenu);
+      close();
     }
   };
 
   // Add close handler after a brief delay to prevent immediate closure
   setTimeout(() => {
-    document.addEventListener('click', closeMenu);
+    if (menu.isConnected) {
+      document.addEventListener('click', closeMenu);
+    }
   }, 10);
 
   // Close on escape key
   const handleEscape = (e) => {
     if (e.key === 'Escape') {
-      menu.remove();
-      document.removeEventListener('keydown', handleEscape);
+      close();
     }
   };
   document.addEventListener('keydown', handleEscape);
 }
+
+/**
+ * Markup for context menu items: buttons, `{ heading }` labels,
+ * `{ separator: true }` rules and `{ label, submenu }` nested menus.
+ */
+function renderContextMenuItems(menuItems) {
+  return menuItems.map((item) => {
+    if (item.heading) {
+      return html`<div class="context-menu-heading">${item.heading}</div>`;
+    }
+    if (item.separator) {
+      return html`<div class="context-menu-separator" role="separator"></div>`;
+    }
+
+    const className = ['context-menu-item', item.className, item.submenu && 'context-menu-item--submenu']
+      .filter(Boolean)
+      .join(' ');
+    const button = html`
+      <button type="button" class="${className}"
+              ${item.checked !== undefined && html`role="menuitemcheckbox" aria-checked="${String(item.checked)}"`}
+              ${item.submenu && html`aria-haspopup="menu" aria-expanded="false"`}
+              ${item.disabled && html`disabled`}>
+        ${item.label}
+      </button>
+    `;
+    if (!item.submenu) return button;
+
+    return html`
+      <div class="context-menu-submenu">
+        ${button}
+        <div class="context-menu-content context-menu-submenu__items">
+          ${renderContextMenuItems(item.submenu)}
+        </div>
+      </div>
+    `;
+  });
+}
+
+// The items rendered as `.context-menu-item` buttons, in document order.
+function contextMenuButtonItems(menuItems) {
+  return menuItems.flatMap((item) => {
+    if (item.heading || item.separator) return [];
+    return item.submenu ? [item, ...contextMenuButtonItems(item.submenu)] : [item];
+  });
+}
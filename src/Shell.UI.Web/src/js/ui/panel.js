@@ -0,0 +1,338 @@
+import { hasCapability } from '../state/store.js';
+import { reconcileChildren, setAttribute } from './reconcile.js';
+
+/**
+ * Top panel widgets.
+ *
+ * A widget is a plain definition:
+ *
+ *   {
+ *     id: 'cpu',
+ *     label: 'CPU usage',
+ *     requires: ['getSystemStatusJson'],   // hidden when the host lacks these
+ *     select: (state) => state.systemStatus.cpu,   // data from the store, or
+ *     subscribe: (context, update) => unsubscribe, // data from anywhere else
+ *     render(element, data, context) {},   // patch the widget's slot
+ *     flyout: {                            // optional, opened by clicking the slot
+ *       create(context) { return element; },
+ *       render(element, data, context) {},
+ *     },
+ *   }
+ *
+ * The panel mounts the widgets named in its layout (persisted, so users can
+ * add, remove and reorder them), keeps each one's subscription alive while it
+ * is mounted and re-renders it whenever its data changes.
+ */
+
+const STORAGE_KEY = 'shelled.panelWidgets.v1';
+
+export const DEFAULT_PANEL_LAYOUT = Object.freeze(['network', 'volume', 'clock']);
+
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadLayout(storage) {
+  try {
+    const parsed = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    return Array.isArray(parsed) ? parsed.filter((id) => typeof id === 'string' && id) : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveLayout(storage, layout) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(layout));
+  } catch {
+    // Best-effort persistence; ignore errors.
+  }
+}
+
+export function createWidgetRegistry(definitions = []) {
+  const widgets = new Map();
+
+  const registry = {
+    register(definition) {
+      if (!definition || typeof definition.id !== 'string' || !definition.id) {
+        throw new TypeError('A panel widget needs an id');
+      }
+      if (typeof definition.render !== 'function') {
+        throw new TypeError(`Panel widget "${definition.id}" needs a render function`);
+      }
+      widgets.set(definition.id, definition);
+      return registry;
+    },
+    get: (id) => widgets.get(id) ?? null,
+    list: () => Array.from(widgets.values()),
+  };
+
+  definitions.forEach((definition) => registry.register(definition));
+  return registry;
+}
+
+/**
+ * Mount panel widgets into `container`.
+ *
+ * - `registry`: widget definitions (see createWidgetRegistry).
+ * - `context`: extra values handed to widgets next to `store` and `bridge`
+ *   (e.g. `refreshStatus`).
+ * - `flyoutHost`: element flyouts open in; created on first use otherwise.
+ * - `scheduler`: render scheduler (scheduler.js); renders synchronously without one.
+ */
+export function createPanel({
+  container,
+  store,
+  bridge,
+  registry,
+  context = {},
+  flyoutHost = null,
+  scheduler = null,
+  storage = defaultStorage(),
+  layout: defaultLayout = DEFAULT_PANEL_LAYOUT,
+}) {
+  const doc = container.ownerDocument;
+  const mounted = new Map();
+  let layout = loadLayout(storage) ?? [...defaultLayout];
+  let flyout = null;
+
+  const widgetContext = {
+    ...context,
+    store,
+    bridge,
+    supports: (name) => hasCapability(store.getState().capabilities, name),
+    closeFlyout: () => closeFlyout(),
+  };
+
+  const run = (id, task) => {
+    try {
+      task();
+    } catch (error) {
+      console.error(`Error rendering panel widget ${id}:`, error);
+    }
+  };
+
+  const renderWidget = (entry) => {
+    const { id } = entry.definition;
+    const task = () =>
+      run(id, () => {
+        entry.definition.render(entry.slot, entry.data, widgetContext);
+        if (flyout?.id === id) {
+          entry.definition.flyout.render?.(flyout.content, entry.data, widgetContext);
+        }
+      });
+    if (scheduler) {
+      scheduler.schedule(`widget:${id}`, task);
+    } else {
+      task();
+    }
+  };
+
+  const flyoutElement = () => {
+    if (!flyoutHost) {
+      flyoutHost = doc.createElement('div');
+      flyoutHost.className = 'panel-flyout panel';
+      flyoutHost.setAttribute('aria-hidden', 'true');
+      doc.body.appendChild(flyoutHost);
+    }
+    return flyoutHost;
+  };
+
+  const closeFlyout = () => {
+    if (!flyout) {
+      return;
+    }
+    const host = flyoutElement();
+    host.classList.remove('open');
+    host.setAttribute('aria-hidden', 'true');
+    host.replaceChildren();
+    mounted.get(flyout.id)?.slot.setAttribute('aria-expanded', 'false');
+    flyout = null;
+  };
+
+  const openFlyout = (id) => {
+    const entry = mounted.get(id);
+    if (!entry?.definition.flyout) {
+      return;
+    }
+    closeFlyout();
+
+    const host = flyoutElement();
+    const content = entry.definition.flyout.create?.(widgetContext) ?? doc.createElement('div');
+    host.replaceChildren(content);
+    host.setAttribute('role', 'dialog');
+    host.setAttribute('aria-label', entry.definition.label ?? id);
+    host.dataset.widgetId = id;
+
+    // Right-align the flyout with its widget.
+    const viewportWidth = doc.defaultView?.innerWidth ?? 0;
+    const { right } = entry.slot.getBoundingClientRect();
+    host.style.right = right > 0 ? `${Math.max(8, viewportWidth - right)}px` : '';
+
+    flyout = { id, content };
+    run(id, () => entry.definition.flyout.render?.(content, entry.data, widgetContext));
+    host.classList.add('open');
+    host.setAttribute('aria-hidden', 'false');
+    entry.slot.setAttribute('aria-expanded', 'true');
+  };
+
+  const mount = (definition) => {
+    const slot = doc.createElement(definition.flyout ? 'button' : 'div');
+    slot.className = `panel-widget panel-widget--${definition.id}`;
+    if (definition.flyout) {
+      slot.type = 'button';
+      slot.setAttribute('aria-haspopup', 'dialog');
+      slot.setAttribute('aria-expanded', 'false');
+      slot.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (flyout?.id === definition.id) {
+          closeFlyout();
+        } else {
+          openFlyout(definition.id);
+        }
+      });
+    }
+
+    const entry = { definition, slot, data: undefined, unsubscribe: null };
+    mounted.set(definition.id, entry);
+
+    const update = (data) => {
+      entry.data = data;
+      renderWidget(entry);
+    };
+    try {
+      if (definition.select) {
+        entry.unsubscribe = store.select(definition.select, update);
+      } else if (definition.subscribe) {
+        entry.unsubscribe = definition.subscribe(widgetContext, update);
+      } else {
+        update(undefined);
+      }
+    } catch (error) {
+      console.error(`Error subscribing panel widget ${definition.id}:`, error);
+    }
+    return entry;
+  };
+
+  const unmount = (id) => {
+    const entry = mounted.get(id);
+    if (!entry) {
+      return;
+    }
+    if (flyout?.id === id) {
+      closeFlyout();
+    }
+    mounted.delete(id);
+    if (typeof entry.unsubscribe === 'function') {
+      entry.unsubscribe();
+    }
+    entry.slot.remove();
+  };
+
+  // Widgets that need bridge methods the host lacks stay mounted but hidden.
+  const updateVisibility = (slot, definition) => {
+    const { capabilities } = store.getState();
+    const isVisible = (definition.requires ?? []).every((name) => hasCapability(capabilities, name));
+    slot.style.display = isVisible ? '' : 'none';
+    setAttribute(slot, 'aria-hidden', isVisible ? null : 'true');
+    if (!isVisible && flyout?.id === definition.id) {
+      closeFlyout();
+    }
+  };
+
+  // Mount, unmount and order widgets to match the layout. Ids without a
+  // registered widget are kept in the layout and mount once registered.
+  const sync = () => {
+    const definitions = layout.map((id) => registry.get(id)).filter(Boolean);
+    const ids = new Set(definitions.map((definition) => definition.id));
+    Array.from(mounted.keys())
+      .filter((id) => !ids.has(id))
+      .forEach(unmount);
+
+    reconcileChildren(container, definitions, {
+      dataKey: 'widgetId',
+      getKey: (definition) => definition.id,
+      create: (definition) => (mounted.get(definition.id) ?? mount(definition)).slot,
+      update: updateVisibility,
+    });
+  };
+
+  const setLayout = (ids) => {
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string' || !id)) {
+      throw new TypeError('A panel layout is an array of widget ids');
+    }
+    layout = Array.from(new Set(ids));
+    saveLayout(storage, layout);
+    sync();
+  };
+
+  const addWidget = (id, index = layout.length) => {
+    const next = layout.filter((entry) => entry !== id);
+    next.splice(Math.max(0, Math.min(index, next.length)), 0, id);
+    setLayout(next);
+  };
+
+  const onDocumentClick = (event) => {
+    if (!flyout) {
+      return;
+    }
+    const slot = mounted.get(flyout.id)?.slot;
+    if (slot?.contains(event.target) || flyoutHost?.contains(event.target)) {
+      return;
+    }
+    closeFlyout();
+  };
+
+  const onDocumentKeyDown = (event) => {
+    if (event.key === 'Escape' && flyout) {
+      const slot = mounted.get(flyout.id)?.slot;
+      closeFlyout();
+      slot?.focus();
+    }
+  };
+
+  doc.addEventListener('click', onDocumentClick);
+  doc.addEventListener('keydown', onDocumentKeyDown);
+  const unsubscribeCapabilities = store.select(
+    ({ capabilities }) => capabilities,
+    () => mounted.forEach(({ slot, definition }) => updateVisibility(slot, definition)),
+  );
+  sync();
+
+  return {
+    getLayout: () => [...layout],
+    setLayout,
+    addWidget,
+    removeWidget(id) {
+      setLayout(layout.filter((entry) => entry !== id));
+    },
+    moveWidget(id, index) {
+      if (layout.includes(id)) {
+        addWidget(id, index);
+      }
+    },
+    /**
+     * Register (or replace) a widget definition; it mounts if the layout names it.
+     */
+    registerWidget(definition) {
+      registry.register(definition);
+      unmount(definition.id);
+      sync();
+    },
+    openFlyout,
+    closeFlyout,
+    destroy() {
+      closeFlyout();
+      Array.from(mounted.keys()).forEach(unmount);
+      unsubscribeCapabilities();
+      doc.removeEventListener('click', onDocumentClick);
+      doc.removeEventListener('keydown', onDocumentKeyDown);
+    },
+  };
+}
+
+export default createPanel;
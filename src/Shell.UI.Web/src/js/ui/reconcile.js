@@ -0,0 +1,129 @@
+import { isSafeHtml, setHtml } from '../utils/html.js';
+
+/**
+ * Keyed DOM reconciliation for the renderers.
+ *
+ * Nodes are matched to items by a data attribute (`data-hwnd`,
+ * `data-group-key`, ...) and patched in place, so focus, hover, running
+ * transitions and anchors held by interactions survive state changes.
+ */
+
+// Signatures for `patchContent`, so children are only rebuilt when what they
+// show changed.
+const contentSignatures = new WeakMap();
+
+const sameSignature = (a, b) =>
+  Boolean(a) && a.length === b.length && a.every((value, index) => Object.is(value, b[index]));
+
+/**
+ * Make `container`'s children match `items`, in order.
+ *
+ * - `dataKey`: dataset property holding the key (e.g. 'groupKey').
+ * - `getKey(item)`: the item's key.
+ * - `create(item)`: build a new node (keyed automatically).
+ * - `update(node, item)`: patch a new or reused node to show `item`.
+ *
+ * Children without the key attribute (placeholders) are removed.
+ */
+export function reconcileChildren(container, items, { dataKey, getKey, create, update }) {
+  const existing = new Map();
+  Array.from(container.children).forEach((node) => {
+    const key = node.dataset?.[dataKey];
+    if (key !== undefined && !existing.has(key)) {
+      existing.set(key, node);
+    }
+  });
+
+  const nodes = items.map((item) => {
+    const key = String(getKey(item));
+    let node = existing.get(key);
+    if (node) {
+      existing.delete(key);
+    } else {
+      node = create(item);
+      node.dataset[dataKey] = key;
+    }
+    update(node, item);
+    return node;
+  });
+
+  // Drop stale children first so the nodes that stay rarely need to move;
+  // moving a node drops its focus.
+  const kept = new Set(nodes);
+  Array.from(container.childNodes).forEach((node) => {
+    if (!kept.has(node)) {
+      node.remove();
+    }
+  });
+
+  let cursor = container.firstChild;
+  nodes.forEach((node) => {
+    if (node === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      container.insertBefore(node, cursor);
+    }
+  });
+}
+
+/**
+ * Set an attribute only when it changed; null or undefined removes it.
+ */
+export function setAttribute(element, name, value) {
+  if (value === null || value === undefined) {
+    if (element.hasAttribute(name)) {
+      element.removeAttribute(name);
+    }
+    return;
+  }
+  const text = String(value);
+  if (element.getAttribute(name) !== text) {
+    element.setAttribute(name, text);
+  }
+}
+
+/**
+ * Set a dataset entry only when it changed; null or undefined removes it.
+ */
+export function setData(element, key, value) {
+  if (value === null || value === undefined) {
+    delete element.dataset[key];
+    return;
+  }
+  const text = String(value);
+  if (element.dataset[key] !== text) {
+    element.dataset[key] = text;
+  }
+}
+
+export function setText(element, text) {
+  const value = String(text ?? '');
+  if (element.textContent !== value) {
+    element.textContent = value;
+  }
+}
+
+export function setStyle(element, property, value) {
+  const text = value ?? '';
+  if (element.style[property] !== text) {
+    element.style[property] = text;
+  }
+}
+
+/**
+ * Rebuild `element`'s children with `build()` only when `signature` (an array
+ * of the values they depend on) differs from the one they were built from.
+ * `build` returns a node, an array of nodes, text, or markup from `html`.
+ */
+export function patchContent(element, signature, build) {
+  if (sameSignature(contentSignatures.get(element), signature)) {
+    return;
+  }
+  contentSignatures.set(element, signature);
+  const content = build();
+  if (isSafeHtml(content)) {
+    setHtml(element, content);
+  } else {
+    element.replaceChildren(...[].concat(content ?? []));
+  }
+}
@@ -1,18 +1,148 @@
 export function createRenderer(selectors) {
+  const sections = createRenderSections(selectors);
   return function renderShell(state) {
-    renderStatus(state);
-    renderLoading(state);
-    renderDesktop(state);
-    renderWorkspaces(state);
-    renderTaskbarWindows(state);
-    renderTrayIcons(state);
-    renderLauncher(state);
+    sections.forEach(({ select, render }) => render(select(state)));
   };
+}
+
+/**
+ * Subscribe each UI section to the slice of state it reads, so a change only
+ * re-renders the sections that depend on it. With a `scheduler` (see
+ * scheduler.js) changed sections are rendered together on the next frame
+ * instead of immediately. Sections laid out from the space they have
+ * (`resizes`) also re-render when the window is resized. Returns an
+ * unsubscribe function.
+ */
+export function connectRenderer(store, selectors, { scheduler = null } = {}) {
+  const sections = createRenderSections(selectors);
+  const renderSection = ({ name, render }, slice) =>
+    scheduler ? scheduler.schedule(name, () => render(slice)) : render(slice);
+
+  const unsubscribers = sections.map((section) =>
+    store.select(section.select, (slice) => renderSection(section, slice), section.equals),
+  );
+
+  const view = selectors.desktop?.ownerDocument.defaultView ?? null;
+  const onResize = () =>
+    sections
+      .filter((section) => section.resizes)
+      .forEach((section) => renderSection(section, section.select(store.getState())));
+  view?.addEventListener('resize', onResize);
+
+  return () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    view?.removeEventListener('resize', onResize);
+  };
+}
+
+function countWindowsByWorkspace(windows) {
+  const counts = {};
+  windows.forEach((w) => {
+    counts[w.workspaceId] = (counts[w.workspaceId] ?? 0) + 1;
+  });
+  return counts;
+}
+
+// Taskbar items are keyed by app id or window handle; neither starts with ':'.
+const OVERFLOW_ITEM_KEY = ':overflow';
+
+function createRenderSections(selectors) {
+  return [
+    {
+      name: 'status',
+      select: ({ statusText, connectionState }) => ({ statusText, connectionState }),
+      render: renderStatus,
+    },
+    {
+      name: 'capabilities',
+      select: ({ capabilities }) => ({ capabilities }),
+      render: renderCapabilities,
+    },
+    {
+      name: 'loading',
+      select: ({ isBootstrapping, statusText }) => ({ isBootstrapping, statusText }),
+      render: renderLoading,
+    },
+    {
+      // Before the sections that render into the per-monitor surfaces.
+      name: 'monitors',
+      select: ({ monitors, taskbarSettings }) => ({
+        monitors,
+        taskbarSettings: {
+          monitorMode: taskbarSettings.monitorMode,
+          edge: taskbarSettings.edge,
+          collapsed: !showsTaskbarLabels(taskbarSettings),
+          autoHide: taskbarSettings.autoHide,
+        },
+      }),
+      equals: (a, b) => a.monitors === b.monitors && shallowEqual(a.taskbarSettings, b.taskbarSettings),
+      render: renderMonitors,
+    },
+    {
+      name: 'desktop',
+      select: ({ desktopItems, selectedDesktopPaths, monitors }) => ({
+        desktopItems,
+        selectedDesktopPaths,
+        monitors,
+      }),
+      render: renderDesktop,
+    },
+    {
+      name: 'workspaces',
+      // Window counts instead of windows, so title changes skip this section.
+      select: ({ workspaces, activeWorkspaceId, windows }) => ({
+        workspaces,
+        activeWorkspaceId,
+        windowCounts: countWindowsByWorkspace(windows),
+      }),
+      equals: (a, b) =>
+        a.workspaces === b.workspaces &&
+        a.activeWorkspaceId === b.activeWorkspaceId &&
+        shallowEqual(a.windowCounts, b.windowCounts),
+      render: renderWorkspaces,
+    },
+    {
+      name: 'taskbar',
+      select: ({
+        windows,
+        workspaces,
+        activeWorkspaceId,
+        focusedWindowHandle,
+        launcherApps,
+        monitors,
+        taskbarSettings,
+      }) => ({
+        windows,
+        workspaces,
+        activeWorkspaceId,
+        focusedWindowHandle,
+        launcherApps,
+        monitors,
+        taskbarSettings,
+      }),
+      // Items that do not fit go to the overflow menu (see taskbarOverflow.js).
+      resizes: true,
+      render: renderTaskbarWindows,
+    },
+    {
+      name: 'tray',
+      select: ({ trayIcons }) => ({ trayIcons }),
+      render: renderTrayIcons,
+    },
+    {
+      name: 'launcher',
+      select: ({ isLauncherOpen, launcherApps }) => ({ isLauncherOpen, launcherApps }),
+      render: renderLauncher,
+    },
+  ];
 
   function renderStatus(state) {
     if (!selectors.status) return;
 
     const text = state.statusText;
+    const isDegraded =
+      state.connectionState === 'disconnected' || state.connectionState === 'reconnecting';
+    selectors.status.classList.toggle('status-chip--degraded', isDegraded);
 
     // Only show status text when something interesting is happening.
     // For the normal steady state we hide the chip entirely.
@@ -28,6 +158,22 @@ export function createRenderer(selectors) {
     selectors.status.removeAttribute('aria-hidden');
   }
 
+  // Hide top panel features the connected host cannot perform (panel
+  // widgets declare their own requirements, see panel.js).
+  function renderCapabilities(state) {
+    setFeatureVisible(selectors.exitShellButton, hasCapability(state.capabilities, 'restoreExplorerShell'));
+  }
+
+  function setFeatureVisible(element, isVisible) {
+    if (!element) return;
+    element.style.display = isVisible ? '' : 'none';
+    if (isVisible) {
+      element.removeAttribute('aria-hidden');
+    } else {
+      element.setAttribute('aria-hidden', 'true');
+    }
+  }
+
   function renderLoading(state) {
     if (!selectors.loadingOverlay) return;
 
@@ -44,259 +190,451 @@ export function createRenderer(selectors) {
     }
   }
 
+  // Secondary monitors get their own surface (icon area and taskbar) next to
+  // #desktop, which stays the primary monitor's. With several monitors each
+  // surface covers its monitor's share of the page, which spans the virtual
+  // screen.
+  function renderMonitors(state) {
+    const { monitors, taskbarSettings } = state;
+    const primary = getPrimaryMonitor(monitors);
+    const layout = monitors.length > 1 ? layoutMonitors(monitors) : new Map();
+
+    if (selectors.desktop) {
+      placeSurface(selectors.desktop, layout.get(primary?.id));
+      placeTaskbar(selectors.desktop, taskbarSettings);
+      setData(selectors.desktop, 'monitorId', primary?.id);
+    }
+    if (!selectors.monitorSurfaces) return;
+
+    reconcileChildren(selectors.monitorSurfaces, monitors.filter((monitor) => monitor !== primary), {
+      dataKey: 'monitorId',
+      getKey: (monitor) => monitor.id,
+      create() {
+        const surface = document.createElement('section');
+        surface.className = 'monitor-surface';
+        setHtml(surface, html`
+          <div class="desktop-icon-area" aria-label="Desktop icons"></div>
+          <footer class="monitor-surface__taskbar glass-panel">
+            <div class="taskbar-section taskbar-windows" aria-label="Open windows"></div>
+          </footer>
+        `);
+        return surface;
+      },
+      update(surface, monitor) {
+        placeSurface(surface, layout.get(monitor.id));
+        placeTaskbar(surface, taskbarSettings);
+        setAttribute(surface, 'aria-label', monitor.name);
+        setFeatureVisible(
+          surface.querySelector('.monitor-surface__taskbar'),
+          taskbarSettings.monitorMode !== TASKBAR_MONITOR_MODES.PRIMARY,
+        );
+      },
+    });
+  }
+
+  function placeSurface(element, rect) {
+    setStyle(element, 'position', rect ? 'absolute' : '');
+    setStyle(element, 'left', rect?.left);
+    setStyle(element, 'top', rect?.top);
+    setStyle(element, 'width', rect?.width);
+    setStyle(element, 'height', rect?.height);
+  }
+
+  // The stylesheet lays out a monitor's desktop and taskbar from these.
+  function placeTaskbar(element, { edge, collapsed, autoHide }) {
+    setData(element, 'taskbarEdge', edge);
+    setData(element, 'taskbarCollapsed', collapsed);
+    setData(element, 'taskbarAutoHide', autoHide);
+  }
+
+  // The primary monitor's element plus one per secondary monitor surface.
+  function monitorTargets(monitors, primaryElement, selector) {
+    const primaryId = getPrimaryMonitor(monitors)?.id ?? null;
+    const targets = primaryElement ? [{ monitorId: primaryId, container: primaryElement }] : [];
+    Array.from(selectors.monitorSurfaces?.children ?? []).forEach((surface) => {
+      const container = surface.querySelector(selector);
+      if (container && surface.dataset.monitorId) {
+        targets.push({ monitorId: surface.dataset.monitorId, container });
+      }
+    });
+    return targets;
+  }
+
   function renderDesktop(state) {
-    const container = selectors.desktopIcons ?? selectors.desktopSpace;
-    if (!container) return;
+    const primaryContainer = selectors.desktopIcons ?? selectors.desktopSpace;
+    monitorTargets(state.monitors, primaryContainer, '.desktop-icon-area').forEach(({ monitorId, container }) =>
+      renderDesktopIcons(container, state, monitorId),
+    );
+  }
 
-    const { desktopItems } = state;
+  function renderDesktopIcons(container, state, monitorId) {
+    const { desktopItems, monitors } = state;
     if (!desktopItems || desktopItems.length === 0) {
       container.replaceChildren();
       return;
     }
 
-    const { positions } = getDesktopPositions(desktopItems, container);
+    const { positions } = getDesktopPositions(desktopItems, container, { monitorId, monitors });
     const selectedSet = new Set(state.selectedDesktopPaths || []);
 
-    const nodes = desktopItems.map((item) => {
-      const wrapper = document.createElement('button');
-      wrapper.type = 'button';
-      wrapper.className =
-        'desktop-icon' + (selectedSet.has(item.path) ? ' desktop-icon--selected' : '');
-      wrapper.dataset.desktopPath = item.path;
-      wrapper.title = item.name;
-
-      const pos = positions[item.path];
-      if (pos) {
-        wrapper.style.position = 'absolute';
-        wrapper.style.left = `${pos.left}px`;
-        wrapper.style.top = `${pos.top}px`;
-      }
-
-      const iconWrapper = document.createElement('div');
-      iconWrapper.className = 'desktop-icon-image-wrapper';
-
-      // Prefer native icon data when available so the Recycle Bin matches the
-      // host OS (Windows 11/10 etc.). Fall back to a vector glyph only when
-      // no icon data is available for the Recycle Bin.
-      if (item.iconData) {
-        const img = document.createElement('img');
-        img.src = `data:image/png;base64,${item.iconData}`;
-        img.alt = '';
-        img.className = 'desktop-icon-image';
-        iconWrapper.appendChild(img);
-      } else if (item.path === 'shell:RecycleBinFolder') {
-        const svgNS = 'http://www.w3.org/2000/svg';
-        const svg = document.createElementNS(svgNS, 'svg');
-        svg.setAttribute('viewBox', '0 0 24 24');
-        svg.setAttribute('aria-hidden', 'true');
-        svg.setAttribute('class', 'desktop-icon-image');
-
-        const body = document.createElementNS(svgNS, 'path');
-        body.setAttribute(
-          'd',
-          'M7 8h10l-1 10.5A2 2 0 0 1 14 20H10a2 2 0 0 1-2-1.5L7 8z',
+    reconcileChildren(container, desktopItems.filter((item) => positions[item.path]), {
+      dataKey: 'desktopPath',
+      getKey: (item) => item.path,
+      create() {
+        const wrapper = document.createElement('button');
+        wrapper.type = 'button';
+        wrapper.className = 'desktop-icon';
+
+        const iconWrapper = document.createElement('div');
+        iconWrapper.className = 'desktop-icon-image-wrapper';
+
+        const label = document.createElement('span');
+        label.className = 'desktop-icon-label';
+
+        wrapper.appendChild(iconWrapper);
+        wrapper.appendChild(label);
+        return wrapper;
+      },
+      update(wrapper, item) {
+        wrapper.classList.toggle('desktop-icon--selected', selectedSet.has(item.path));
+        wrapper.title = item.name;
+
+        const pos = positions[item.path];
+        setStyle(wrapper, 'position', pos ? 'absolute' : '');
+        setStyle(wrapper, 'left', pos ? `${pos.left}px` : '');
+        setStyle(wrapper, 'top', pos ? `${pos.top}px` : '');
+
+        const iconWrapper = wrapper.querySelector('.desktop-icon-image-wrapper');
+        const src = iconSource(item);
+        patchContent(iconWrapper, [src, item.path, item.name], () =>
+          createDesktopIconImage(item, src),
         );
-        body.setAttribute('fill', 'currentColor');
-
-        const rim = document.createElementNS(svgNS, 'rect');
-        rim.setAttribute('x', '6');
-        rim.setAttribute('y', '6');
-        rim.setAttribute('width', '12');
-        rim.setAttribute('height', '2');
-        rim.setAttribute('rx', '1');
-        rim.setAttribute('fill', 'currentColor');
-
-        const lid = document.createElementNS(svgNS, 'path');
-        lid.setAttribute('d', 'M9 5.5 9.8 4h4.4L15 5.5');
-        lid.setAttribute('fill', 'currentColor');
-
-        svg.appendChild(body);
-        svg.appendChild(rim);
-        svg.appendChild(lid);
-        iconWrapper.appendChild(svg);
-      } else {
-        const fallback = document.createElement('span');
-        fallback.className = 'desktop-icon-fallback';
-        fallback.textContent = item.name?.charAt(0)?.toUpperCase() ?? '•';
-        iconWrapper.appendChild(fallback);
-      }
+        setText(wrapper.querySelector('.desktop-icon-label'), item.name);
+      },
+    });
+  }
 
-      const label = document.createElement('span');
-      label.className = 'desktop-icon-label';
-      label.textContent = item.name;
+  function createDesktopIconImage(item, src) {
+    // Prefer native icon data when available so the Recycle Bin matches the
+    // host OS (Windows 11/10 etc.). Fall back to a vector glyph only when
+    // no icon data is available for the Recycle Bin.
+    if (src) {
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = '';
+      img.className = 'desktop-icon-image';
+      return img;
+    }
 
-      wrapper.appendChild(iconWrapper);
-      wrapper.appendChild(label);
-      return wrapper;
-    });
+    if (item.path === 'shell:RecycleBinFolder') {
+      const svgNS = 'http://www.w3.org/2000/svg';
+      const svg = document.createElementNS(svgNS, 'svg');
+      svg.setAttribute('viewBox', '0 0 24 24');
+      svg.setAttribute('aria-hidden', 'true');
+      svg.setAttribute('class', 'desktop-icon-image');
+
+      const body = document.createElementNS(svgNS, 'path');
+      body.setAttribute(
+        'd',
+        'M7 8h10l-1 10.5A2 2 0 0 1 14 20H10a2 2 0 0 1-2-1.5L7 8z',
+      );
+      body.setAttribute('fill', 'currentColor');
+
+      const rim = document.createElementNS(svgNS, 'rect');
+      rim.setAttribute('x', '6');
+      rim.setAttribute('y', '6');
+      rim.setAttribute('width', '12');
+      rim.setAttribute('height', '2');
+      rim.setAttribute('rx', '1');
+      rim.setAttribute('fill', 'currentColor');
+
+      const lid = document.createElementNS(svgNS, 'path');
+      lid.setAttribute('d', 'M9 5.5 9.8 4h4.4L15 5.5');
+      lid.setAttribute('fill', 'currentColor');
+
+      svg.appendChild(body);
+      svg.appendChild(rim);
+      svg.appendChild(lid);
+      return svg;
+    }
 
-    container.replaceChildren(...nodes);
+    const fallback = document.createElement('span');
+    fallback.className = 'desktop-icon-fallback';
+    fallback.textContent = item.name?.charAt(0)?.toUpperCase() ?? '•';
+    return fallback;
   }
 
   function renderWorkspaces(state) {
-    const { workspaces, activeWorkspaceId, windows } = state;
-    selectors.workspaceStrip.replaceChildren(
-      ...workspaces.map((workspace) => {
+    const { workspaces, activeWorkspaceId, windowCounts } = state;
+    reconcileChildren(selectors.workspaceStrip, workspaces, {
+      dataKey: 'workspaceId',
+      getKey: (workspace) => workspace.id,
+      create() {
         const indicator = document.createElement('button');
         indicator.type = 'button';
-        indicator.className =
-          'workspace-indicator' + (workspace.id === activeWorkspaceId ? ' active' : '');
-        indicator.dataset.workspaceId = workspace.id;
-        indicator.title = `Switch to ${workspace.name}`;
+        indicator.className = 'workspace-indicator';
+        return indicator;
+      },
+      update(indicator, workspace) {
         const isActive = workspace.id === activeWorkspaceId;
-        indicator.setAttribute('aria-pressed', String(isActive));
-        indicator.setAttribute('aria-current', isActive ? 'true' : 'false');
-        const count = windows.filter((w) => w.workspaceId === workspace.id).length;
-        indicator.innerHTML = `
+        indicator.classList.toggle('active', isActive);
+        indicator.title = `Switch to ${workspace.name}`;
+        setAttribute(indicator, 'aria-pressed', String(isActive));
+        setAttribute(indicator, 'aria-current', isActive ? 'true' : 'false');
+        const count = windowCounts[workspace.id] ?? 0;
+        patchContent(indicator, [workspace.name, count], () => html`
           <strong>${workspace.name}</strong>
           <span class="count">${count} window${count === 1 ? '' : 's'}</span>
-        `;
-        return indicator;
-      }),
-    );
+        `);
+      },
+    });
   }
 
   function renderTaskbarWindows(state) {
-    const { windows, activeWorkspaceId, focusedWindowHandle, launcherApps } = state;
-    const scopedWindows = windows.filter(
-      (w) => w.workspaceId === activeWorkspaceId && w.isVisible !== false,
+    monitorTargets(state.monitors, selectors.taskbarWindows, '.taskbar-windows').forEach(
+      ({ monitorId, container }, index) => renderMonitorTaskbar(container, state, monitorId, index === 0),
     );
-    if (scopedWindows.length === 0) {
+  }
+
+  function renderMonitorTaskbar(container, state, monitorId, isPrimary) {
+    const { edge, grouping } = state.taskbarSettings;
+    const layout = {
+      available: taskbarStripLength(container, edge),
+      showLabels: showsTaskbarLabels(state.taskbarSettings),
+      vertical: isVerticalEdge(edge),
+    };
+    let combine = grouping === TASKBAR_GROUPING_MODES.ALWAYS;
+    let groups = selectTaskbarGroups(state, monitorId, { combine });
+    if (grouping === TASKBAR_GROUPING_MODES.WHEN_FULL && !fitsTaskbarStrip(groups.length, layout)) {
+      combine = true;
+      groups = selectTaskbarGroups(state, monitorId, { combine });
+    }
+    // Read back by the taskbar's interactions to find an item's windows.
+    setData(container, 'grouping', combine ? 'combined' : 'separate');
+
+    if (groups.length === 0) {
+      setData(container, 'overflow', null);
+      if (!isPrimary) {
+        container.replaceChildren();
+        return;
+      }
       const emptyState = document.createElement('p');
       emptyState.className = 'placeholder-text';
-      emptyState.textContent = 'No windows in this workspace yet.';
-      selectors.taskbarWindows.replaceChildren(emptyState);
+      emptyState.textContent =
+        state.taskbarSettings.scope === TASKBAR_SCOPES.ALL_WORKSPACES
+          ? 'No windows open yet.'
+          : 'No windows in this workspace yet.';
+      container.replaceChildren(emptyState);
       return;
     }
 
-    const groupsByApp = new Map();
-
-    for (const windowModel of scopedWindows) {
-      const hasAppId = Boolean(windowModel.appId);
-      const key = hasAppId ? windowModel.appId : windowModel.hwnd;
-      let group = groupsByApp.get(key);
-      if (!group) {
-        const launcherMeta =
-          hasAppId && Array.isArray(launcherApps) && launcherApps.length > 0
-            ? launcherApps.find((app) => app.id === windowModel.appId)
-            : null;
-
-        group = {
-          appId: hasAppId ? windowModel.appId : null,
-          key,
-          windows: [],
-          title:
-            launcherMeta?.name ||
-            windowModel.title ||
-            windowModel.appId ||
-            windowModel.className ||
-            'Window',
-          iconData: windowModel.iconData || launcherMeta?.iconData || null,
-          isFocused: false,
-        };
-
-        groupsByApp.set(key, group);
-      }
-
-      group.windows.push(windowModel);
-      if (!group.iconData && windowModel.iconData) {
-        group.iconData = windowModel.iconData;
-      }
-      if (windowModel.hwnd === focusedWindowHandle) {
-        group.isFocused = true;
-      }
+    const plan = planTaskbarOverflow(groups.length, layout);
+    setData(container, 'overflow', !layout.showLabels || plan.showLabels ? null : 'icons');
+    const items = groups.slice(0, plan.visibleCount);
+    const overflowGroups = groups.slice(plan.visibleCount);
+    if (overflowGroups.length > 0) {
+      items.push({ key: OVERFLOW_ITEM_KEY, overflowGroups });
     }
 
-    const nodes = Array.from(groupsByApp.values()).map((group) => {
-      const button = document.createElement('button');
-      button.type = 'button';
-      const classes = ['taskbar-item'];
-      if (group.isFocused) {
-        classes.push('focused');
-      }
-      button.className = classes.join(' ');
-      if (group.appId) {
-        button.dataset.appId = group.appId;
-      }
-      button.dataset.groupKey = group.key;
-      button.dataset.groupSize = String(group.windows.length);
-      button.title = group.title;
-      const ariaLabelBase = group.title || 'Application';
-      const ariaLabel =
-        group.windows.length > 1
-          ? `${ariaLabelBase} (${group.windows.length} windows)`
-          : `Focus ${ariaLabelBase}`;
-      button.setAttribute('aria-label', ariaLabel);
-
-      const iconWrapper = document.createElement('div');
-      iconWrapper.className = 'taskbar-item__icon';
-
-      if (group.iconData) {
-        const img = document.createElement('img');
-        img.src = `data:image/png;base64,${group.iconData}`;
-        img.alt = '';
-        img.className = 'taskbar-item__icon-image';
-        iconWrapper.appendChild(img);
-      } else {
-        const fallback = document.createElement('span');
-        fallback.className = 'taskbar-item__icon-fallback';
-        const initial = group.title?.charAt(0)?.toUpperCase() ?? '?';
-        fallback.textContent = initial;
-        iconWrapper.appendChild(fallback);
-      }
-
-      button.appendChild(iconWrapper);
+    reconcileChildren(container, items, {
+      dataKey: 'groupKey',
+      getKey: (item) => item.key,
+      create(item) {
+        if (item.overflowGroups) {
+          return createOverflowButton();
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'taskbar-item';
+
+        const iconWrapper = document.createElement('div');
+        iconWrapper.className = 'taskbar-item__icon';
+        button.appendChild(iconWrapper);
+
+        // Shown when the taskbar is not collapsed to icons.
+        const label = document.createElement('span');
+        label.className = 'taskbar-item__label';
+        button.appendChild(label);
+        return button;
+      },
+      update(button, item) {
+        if (item.overflowGroups) {
+          updateOverflowButton(button, item.overflowGroups);
+          return;
+        }
+
+        const group = item;
+        const isRunning = group.windows.length > 0;
+        button.classList.toggle('focused', group.isFocused);
+        button.classList.toggle('taskbar-item--running', isRunning);
+        button.classList.toggle('taskbar-item--pinned', group.isPinned);
+        button.classList.toggle('taskbar-item--flashing', group.isFlashing);
+        setData(button, 'appId', group.appId);
+        setData(button, 'groupSize', group.windows.length);
+        setData(button, 'pinned', group.isPinned ? 'true' : null);
+        button.title = group.title;
+        const ariaLabelBase = group.title || 'Application';
+        let ariaLabel = `Focus ${ariaLabelBase}`;
+        if (!isRunning) {
+          ariaLabel = `Open ${ariaLabelBase}`;
+        } else if (group.windows.length > 1) {
+          ariaLabel = `${ariaLabelBase} (${group.windows.length} windows)`;
+        }
+        const { progress } = group;
+        if (progress) {
+          ariaLabel += progress.state === PROGRESS_STATES.INDETERMINATE ? ', in progress' : `, ${progress.value}%`;
+        }
+        if (group.isFlashing) {
+          ariaLabel += ', needs attention';
+        }
+        const workspace = otherWorkspaceOf(state, group);
+        if (workspace) {
+          ariaLabel += `, on ${workspace.name}`;
+        }
+        setAttribute(button, 'aria-label', ariaLabel);
+        button.classList.toggle('taskbar-item--other-workspace', Boolean(workspace));
+        renderWorkspaceBadge(button, workspace, state.workspaces);
+
+        const iconSrc =
+          iconSource(group.windows[0]) || iconSource(group.app) || group.windows.map(iconSource).find(Boolean);
+        const iconWrapper = button.querySelector('.taskbar-item__icon');
+        patchContent(iconWrapper, [iconSrc, group.title], () => {
+          if (iconSrc) {
+            const img = document.createElement('img');
+            img.src = iconSrc;
+            img.alt = '';
+            img.className = 'taskbar-item__icon-image';
+            return img;
+          }
+          const fallback = document.createElement('span');
+          fallback.className = 'taskbar-item__icon-fallback';
+          fallback.textContent = group.title?.charAt(0)?.toUpperCase() ?? '?';
+          return fallback;
+        });
+        setText(button.querySelector('.taskbar-item__label'), group.title);
+
+        let count = button.querySelector('.taskbar-item__count');
+        if (group.windows.length > 1) {
+          if (!count) {
+            count = document.createElement('span');
+            count.className = 'taskbar-item__count';
+            button.appendChild(count);
+          }
+          setText(count, group.windows.length);
+        } else {
+          count?.remove();
+        }
+
+        renderTaskbarProgress(button, group.progress);
+      },
+    });
+  }
 
-      if (group.windows.length > 1) {
-        const count = document.createElement('span');
-        count.className = 'taskbar-item__count';
-        count.textContent = String(group.windows.length);
-        button.appendChild(count);
-      }
+  // The workspace a taskbar item would switch to, when not the active one.
+  function otherWorkspaceOf(state, group) {
+    const target = selectTaskbarTarget(state, group.windows);
+    if (!target?.workspaceId || target.workspaceId === state.activeWorkspaceId) {
+      return null;
+    }
+    return state.workspaces.find((workspace) => workspace.id === target.workspaceId) ?? null;
+  }
 
-      return button;
-    });
-    selectors.taskbarWindows.replaceChildren(...nodes);
+  // Numbered like the Ctrl+1-9 workspace shortcuts.
+  function renderWorkspaceBadge(button, workspace, workspaces) {
+    let badge = button.querySelector('.taskbar-item__workspace');
+    if (!workspace) {
+      badge?.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'taskbar-item__workspace';
+      badge.setAttribute('aria-hidden', 'true');
+      button.appendChild(badge);
+    }
+    setText(badge, workspaces.indexOf(workspace) + 1);
+    setAttribute(badge, 'title', workspace.name);
   }
 
-  function renderTrayIcons(state) {
-    if (state.trayIcons.length === 0) {
-      selectors.trayIcons.replaceChildren();
+  // Progress the group's windows report, as a bar along the button.
+  function renderTaskbarProgress(button, progress) {
+    let bar = button.querySelector('.taskbar-item__progress');
+    if (!progress) {
+      bar?.remove();
       return;
     }
+    if (!bar) {
+      bar = document.createElement('span');
+      bar.className = 'taskbar-item__progress';
+      bar.setAttribute('aria-hidden', 'true');
+      bar.appendChild(document.createElement('span')).className = 'taskbar-item__progress-fill';
+      button.appendChild(bar);
+    }
+    const isIndeterminate = progress.state === PROGRESS_STATES.INDETERMINATE;
+    setData(bar, 'progressState', progress.state);
+    setStyle(bar.firstElementChild, 'width', isIndeterminate ? '' : `${progress.value}%`);
+  }
 
-    const nodes = state.trayIcons.map((icon) => {
-      const button = document.createElement('button');
-      button.type = 'button';
-      button.className = 'tray-button btn-circle btn-icon';
-      button.dataset.trayId = icon.id;
-      button.title = icon.tooltip ?? icon.title ?? icon.id;
-      button.setAttribute('aria-label', icon.tooltip ?? icon.title ?? icon.id);
-      
-      // Handle different icon types
-      if (icon.iconData) {
-        // If we have icon data (base64), create an image
-        const img = document.createElement('img');
-        img.src = `data:image/png;base64,${icon.iconData}`;
-        img.alt = icon.tooltip ?? icon.title ?? icon.id;
-        img.className = 'tray-icon-image';
-        button.appendChild(img);
-      } else if (icon.emoji) {
-        // Use emoji if available
-        button.textContent = icon.emoji;
-      } else {
-        // Fallback to first letter or generic icon
-        button.textContent = icon.title?.charAt(0)?.toUpperCase() ?? '•';
-      }
-      
-      // Add visual state indicators
-      if (!icon.isVisible) {
-        button.classList.add('hidden-tray-icon');
-      }
-      
-      return button;
+  // Opens the menu of the items that do not fit (see interactions.js).
+  function createOverflowButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'taskbar-overflow';
+    button.setAttribute('aria-haspopup', 'menu');
+    return button;
+  }
+
+  function updateOverflowButton(button, overflowGroups) {
+    const count = overflowGroups.length;
+    button.classList.toggle('taskbar-overflow--attention', overflowGroups.some((group) => group.isFlashing));
+    button.title = `${count} more`;
+    setAttribute(button, 'aria-label', `Show ${count} more taskbar item${count === 1 ? '' : 's'}`);
+    patchContent(button, [count], () => html`
+      <span class="taskbar-overflow__chevron" aria-hidden="true">»</span>
+      <span class="taskbar-overflow__count">${count}</span>
+    `);
+  }
+
+  function renderTrayIcons(state) {
+    reconcileChildren(selectors.trayIcons, state.trayIcons, {
+      dataKey: 'trayId',
+      getKey: (icon) => icon.id,
+      create() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tray-button btn-circle btn-icon';
+        return button;
+      },
+      update(button, icon) {
+        const label = icon.tooltip || icon.id;
+        setAttribute(button, 'aria-label', label);
+
+        const src = iconSource(icon);
+        patchContent(button, [src, icon.emoji, label], () => {
+          if (src) {
+            // If we have an icon image, show it
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = label;
+            img.className = 'tray-icon-image';
+            return img;
+          }
+          // Use emoji if available, else the first letter
+          return document.createTextNode(icon.emoji || label?.charAt(0)?.toUpperCase() || '•');
+        });
+
+        // Add visual state indicators
+        button.classList.toggle('hidden-tray-icon', !icon.isVisible);
+
+        // Pending balloon notification: flag the icon and show the text on hover.
+        const { balloon } = icon;
+        const message = balloon ? [balloon.title, balloon.text].filter(Boolean).join(' – ') : '';
+        button.classList.toggle('has-tray-balloon', Boolean(balloon));
+        setData(button, 'balloonIcon', balloon?.icon);
+        button.title = message ? `${label}\n${message}` : label;
+      },
     });
-    selectors.trayIcons.replaceChildren(...nodes);
   }
 
   function renderLauncher(state) {
@@ -308,30 +646,59 @@ export function createRenderer(selectors) {
       return;
     }
 
-    const cards = state.launcherApps.map((app) => {
-      const card = document.createElement('button');
-      card.type = 'button';
-      card.className = 'launcher-card card card--app';
-      card.dataset.appId = app.id;
-      card.setAttribute('aria-label', `Launch ${app.name}`);
-
-      const initial = app.name?.charAt(0)?.toUpperCase() ?? '?';
-      const iconHtml = app.iconData
-        ? `<img class="launcher-card__icon-image" src="data:image/png;base64,${app.iconData}" alt="">`
-        : `<span class="launcher-card__icon-fallback">${initial}</span>`;
-
-      card.innerHTML = `
-        <div class="launcher-card__icon">
-          ${iconHtml}
-        </div>
-        <div class="launcher-card__title">
-          <strong>${app.name}</strong>
-          <p>${app.description ?? ''}</p>
-        </div>
-      `;
-      return card;
+    reconcileChildren(selectors.launcherGrid, state.launcherApps, {
+      dataKey: 'appId',
+      getKey: (app) => app.id,
+      create() {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'launcher-card card card--app';
+        return card;
+      },
+      update(card, app) {
+        setAttribute(card, 'aria-label', `Launch ${app.name}`);
+
+        const src = iconSource(app);
+        patchContent(card, [src, app.name, app.description], () => {
+          const initial = app.name?.charAt(0)?.toUpperCase() ?? '?';
+          const iconHtml = src
+            ? html`<img class="launcher-card__icon-image" src="${src}" alt="">`
+            : html`<span class="launcher-card__icon-fallback">${initial}</span>`;
+
+          return html`
+            <div class="launcher-card__icon">
+              ${iconHtml}
+            </div>
+            <div class="launcher-card__title">
+              <strong>${app.name}</strong>
+              <p>${app.description ?? ''}</p>
+            </div>
+          `;
+        });
+      },
     });
-    selectors.launcherGrid.replaceChildren(...cards);
   }
 }
+import { PROGRESS_STATES } from '../bridge/schema.js';
 import { getDesktopPositions } from '../utils/desktopLayout.js';
+import { html, setHtml } from '../utils/html.js';
+import { iconSource } from '../utils/icons.js';
+import { hasCapability, shallowEqual } from '../state/store.js';
+import { getPrimaryMonitor, layoutMonitors } from '../state/monitors.js';
+import { selectTaskbarGroups, selectTaskbarTarget } from '../state/taskbarItems.js';
+import {
+  TASKBAR_GROUPING_MODES,
+  TASKBAR_MONITOR_MODES,
+  TASKBAR_SCOPES,
+  isVerticalEdge,
+  showsTaskbarLabels,
+} from '../state/taskbarSettings.js';
+import { fitsTaskbarStrip, planTaskbarOverflow, taskbarStripLength } from './taskbarOverflow.js';
+import {
+  patchContent,
+  reconcileChildren,
+  setAttribute,
+  setData,
+  setStyle,
+  setText,
+} from './reconcile.js';
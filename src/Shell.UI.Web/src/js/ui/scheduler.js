@@ -0,0 +1,60 @@
+/**
+ * Batches section renders into one pass per animation frame.
+ *
+ * Sections are marked dirty with `schedule(key, task)`; only the latest task
+ * per section runs, once, on the next frame. `flush()` runs pending renders
+ * synchronously (tests, or code that needs the DOM up to date right now).
+ */
+export function createRenderScheduler({
+  requestFrame = globalThis.requestAnimationFrame?.bind(globalThis),
+  cancelFrame = globalThis.cancelAnimationFrame?.bind(globalThis),
+} = {}) {
+  const requestTick = requestFrame ?? ((callback) => setTimeout(callback, 16));
+  const cancelTick = requestFrame ? cancelFrame : clearTimeout;
+
+  let dirty = new Map();
+  let frameId = null;
+
+  const flush = () => {
+    if (frameId !== null) {
+      cancelTick?.(frameId);
+      frameId = null;
+    }
+    // Renders may schedule further work; that waits for the next frame.
+    const tasks = dirty;
+    dirty = new Map();
+    tasks.forEach((task, key) => {
+      try {
+        task();
+      } catch (error) {
+        console.error(`Error rendering ${key}:`, error);
+      }
+    });
+  };
+
+  return {
+    schedule(key, task) {
+      dirty.set(key, task);
+      if (frameId === null) {
+        frameId = requestTick(() => {
+          frameId = null;
+          flush();
+        });
+      }
+    },
+    flush,
+    /**
+     * Drop pending renders without running them.
+     */
+    cancel() {
+      if (frameId !== null) {
+        cancelTick?.(frameId);
+        frameId = null;
+      }
+      dirty.clear();
+    },
+    hasPending: () => dirty.size > 0,
+  };
+}
+
+export default createRenderScheduler;
@@ -0,0 +1,54 @@
+import { isVerticalEdge } from '../state/taskbarSettings.js';
+
+/**
+ * Taskbar overflow: when the buttons do not fit, labels are dropped first,
+ * then the strip scrolls, and past that the remaining items move into the
+ * overflow (chevron) menu.
+ */
+
+// Room one button takes along the strip, gap included (see _taskbar.scss).
+const ITEM_EXTENT = 44 + 8;
+const LABELLED_ITEM_EXTENT = 200 + 8;
+const STRIP_PADDING = 16;
+
+// How many strip lengths of buttons scroll before the rest overflow.
+const SCROLL_PAGES = 2;
+
+/**
+ * Room for buttons along the taskbar strip `container` on `edge`; 0 while it
+ * has not been laid out.
+ */
+export function taskbarStripLength(container, edge) {
+  const length = isVerticalEdge(edge) ? container.clientHeight : container.clientWidth;
+  return Math.max(0, length - STRIP_PADDING);
+}
+
+/**
+ * Whether `count` taskbar items fit in `available` pixels as they are, with
+ * their labels (when `showLabels`) and without scrolling. True while the strip
+ * has not been measured.
+ */
+export function fitsTaskbarStrip(count, { available, showLabels = false, vertical = false }) {
+  const extent = showLabels && !vertical ? LABELLED_ITEM_EXTENT : ITEM_EXTENT;
+  return !(available > 0) || count * extent <= available;
+}
+
+/**
+ * How `count` taskbar items fit in `available` pixels: whether they keep
+ * their labels (when `showLabels`) and how many stay on the strip, the rest
+ * going to the overflow menu. Vertical taskbars stack labelled buttons, so
+ * they keep their labels. Without a measurement everything is shown.
+ */
+export function planTaskbarOverflow(count, { available, showLabels = false, vertical = false }) {
+  if (!(available > 0) || (showLabels && !vertical && count * LABELLED_ITEM_EXTENT <= available)) {
+    return { showLabels, visibleCount: count };
+  }
+
+  const keepsLabels = showLabels && vertical;
+  const perPage = Math.max(1, Math.floor(available / ITEM_EXTENT));
+  if (count <= perPage * SCROLL_PAGES) {
+    return { showLabels: keepsLabels, visibleCount: count };
+  }
+  // Leave a slot for the overflow button.
+  return { showLabels: keepsLabels, visibleCount: perPage * SCROLL_PAGES - 1 };
+}
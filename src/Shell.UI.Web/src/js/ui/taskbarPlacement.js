@@ -0,0 +1,95 @@
+import { TASKBAR_EDGES, isVerticalEdge, showsTaskbarLabels } from '../state/taskbarSettings.js';
+
+/**
+ * Taskbar placement helpers: where popups opened from a taskbar go for each
+ * edge, keeping an auto-hiding taskbar shown while they are open, and telling
+ * the host which screen edge to keep clear.
+ */
+
+const POPUP_MARGIN = 8;
+
+/**
+ * The edge the taskbar containing `element` sits on (see renderMonitors).
+ */
+export function taskbarEdgeOf(element) {
+  return element?.closest('[data-taskbar-edge]')?.dataset.taskbarEdge ?? TASKBAR_EDGES.BOTTOM;
+}
+
+/**
+ * Top-left corner, within the viewport, for a popup of `size` opened from the
+ * taskbar on `edge` whose box is `taskbarRect`: just off the taskbar on the
+ * desktop side and, along the taskbar, starting at `point` (or centred on it
+ * with `align: 'center'`).
+ */
+export function placeBesideTaskbar({ edge, taskbarRect, point, size, viewport, align = 'start' }) {
+  const clamp = (value, extent, limit) => Math.max(POPUP_MARGIN, Math.min(value, limit - extent - POPUP_MARGIN));
+  const along = (position, extent) => (align === 'center' ? position - extent / 2 : position);
+
+  if (isVerticalEdge(edge)) {
+    const left =
+      edge === TASKBAR_EDGES.LEFT
+        ? taskbarRect.right + POPUP_MARGIN
+        : taskbarRect.left - size.width - POPUP_MARGIN;
+    return {
+      left: clamp(left, size.width, viewport.width),
+      top: clamp(along(point.y, size.height), size.height, viewport.height),
+    };
+  }
+
+  const top =
+    edge === TASKBAR_EDGES.TOP
+      ? taskbarRect.bottom + POPUP_MARGIN
+      : taskbarRect.top - size.height - POPUP_MARGIN;
+  return {
+    left: clamp(along(point.x, size.width), size.width, viewport.width),
+    top: clamp(top, size.height, viewport.height),
+  };
+}
+
+const revealHolds = new WeakMap();
+
+/**
+ * Keep an auto-hiding taskbar shown (e.g. while one of its menus is open, which
+ * takes the pointer off it) until the returned function is called.
+ */
+export function holdTaskbarRevealed(taskbar) {
+  revealHolds.set(taskbar, (revealHolds.get(taskbar) ?? 0) + 1);
+  taskbar.classList.add('taskbar--revealed');
+
+  let isHeld = true;
+  return () => {
+    if (!isHeld) return;
+    isHeld = false;
+    const holds = revealHolds.get(taskbar) - 1;
+    revealHolds.set(taskbar, holds);
+    taskbar.classList.toggle('taskbar--revealed', holds > 0);
+  };
+}
+
+/**
+ * Tell the host which edge of the primary monitor the taskbar covers and how
+ * thick it is in device pixels (0 while it auto-hides), so maximized windows
+ * leave it clear. Returns an unsubscribe function.
+ */
+export function reportTaskbarPlacement(store, bridge, taskbar, { scheduler = null } = {}) {
+  const report = ({ edge, autoHide }) => {
+    if (!taskbar || !bridge.supports('setTaskbarPlacement')) return;
+
+    const rect = taskbar.getBoundingClientRect();
+    const thickness = autoHide ? 0 : (isVerticalEdge(edge) ? rect.width : rect.height);
+    const scale = taskbar.ownerDocument.defaultView?.devicePixelRatio || 1;
+    bridge.setTaskbarPlacement(edge, Math.round(thickness * scale));
+  };
+
+  return store.select(
+    ({ taskbarSettings, capabilities }) => ({
+      edge: taskbarSettings.edge,
+      collapsed: !showsTaskbarLabels(taskbarSettings),
+      autoHide: taskbarSettings.autoHide,
+      capabilities,
+    }),
+    // Measure once the taskbar has been laid out for the new settings.
+    (placement) =>
+      scheduler ? scheduler.schedule('taskbarPlacement', () => report(placement)) : report(placement),
+  );
+}
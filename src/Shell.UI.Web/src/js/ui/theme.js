@@ -0,0 +1,255 @@
+/**
+ * Theme packs: named JSON files (src/themes/<name>.json) whose tokens are
+ * applied as CSS custom properties on the document root, switchable live.
+ *
+ * A theme file looks like
+ *   { "name": "Contoso", "extends": "dark", "colorScheme": "dark",
+ *     "tokens": { "accent": "#e4002b", "panel": "rgba(20, 0, 4, 0.7)" } }
+ * where `extends` inherits every token the theme does not set. The theme
+ * name 'system' follows the host's dark-mode and high-contrast flags, and
+ * `followAccent` replaces the theme's accent with the Windows accent colour.
+ */
+
+const STORAGE_KEY = 'shelled.theme.v1';
+
+export const SYSTEM_THEME = 'system';
+
+const DEFAULT_PREFERENCE = { theme: 'dark', followAccent: false };
+const THEME_NAME = /^[a-z0-9][a-z0-9-]*$/i;
+const TOKEN_NAME = /^[a-z][a-z0-9-]*$/;
+
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+function loadPreference(storage) {
+  try {
+    const parsed = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    if (!parsed || typeof parsed !== 'object') return {};
+    const preference = {};
+    if (typeof parsed.theme === 'string' && THEME_NAME.test(parsed.theme)) {
+      preference.theme = parsed.theme;
+    }
+    if (typeof parsed.followAccent === 'boolean') {
+      preference.followAccent = parsed.followAccent;
+    }
+    return preference;
+  } catch {
+    return {};
+  }
+}
+
+function savePreference(storage, preference) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(preference));
+  } catch {
+    // Best-effort persistence; ignore errors.
+  }
+}
+
+/**
+ * Fetch `themes/<name>.json` relative to the page.
+ */
+export async function fetchThemeFile(name) {
+  const response = await fetch(`themes/${encodeURIComponent(name)}.json`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Validate a theme definition; unknown or malformed tokens are dropped.
+ */
+export function normalizeTheme(raw, name) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return null;
+  }
+
+  const tokens = {};
+  Object.entries(raw.tokens ?? {}).forEach(([token, value]) => {
+    if (TOKEN_NAME.test(token) && typeof value === 'string' && value.trim()) {
+      tokens[token] = value.trim();
+    } else {
+      console.warn(`Theme "${name}": ignoring token ${JSON.stringify(token)}`);
+    }
+  });
+
+  return {
+    name: typeof raw.name === 'string' && raw.name ? raw.name : name,
+    extends: typeof raw.extends === 'string' && THEME_NAME.test(raw.extends) ? raw.extends : null,
+    colorScheme: raw.colorScheme === 'light' || raw.colorScheme === 'dark' ? raw.colorScheme : null,
+    tokens,
+  };
+}
+
+export function createThemeManager({
+  root = globalThis.document?.documentElement,
+  loadTheme = fetchThemeFile,
+  storage = defaultStorage(),
+} = {}) {
+  const themes = new Map();
+  let preference = { ...DEFAULT_PREFERENCE, ...loadPreference(storage) };
+  let hostTheme = null;
+  let appliedTokens = [];
+  let activeTheme = null;
+  let applyCount = 0;
+
+  const resolveName = () => {
+    if (preference.theme !== SYSTEM_THEME) {
+      return preference.theme;
+    }
+    if (hostTheme?.isHighContrast) {
+      return 'high-contrast';
+    }
+    return hostTheme?.isDarkMode === false ? 'light' : 'dark';
+  };
+
+  // Theme files are loaded once; failed loads are retried next time.
+  const loadDefinition = (name) => {
+    if (!themes.has(name)) {
+      const pending = Promise.resolve()
+        .then(() => loadTheme(name))
+        .then((raw) => {
+          const theme = normalizeTheme(raw, name);
+          if (!theme) {
+            throw new Error('theme file is not an object');
+          }
+          return theme;
+        });
+      pending.catch(() => themes.delete(name));
+      themes.set(name, pending);
+    }
+    return themes.get(name);
+  };
+
+  const resolveTheme = async (name, chain = []) => {
+    if (chain.includes(name)) {
+      throw new Error(`circular extends: ${[...chain, name].join(' -> ')}`);
+    }
+    const theme = await loadDefinition(name);
+    if (!theme.extends) {
+      return theme;
+    }
+    const base = await resolveTheme(theme.extends, [...chain, name]);
+    return {
+      ...theme,
+      colorScheme: theme.colorScheme ?? base.colorScheme,
+      tokens: { ...base.tokens, ...theme.tokens },
+    };
+  };
+
+  const paint = (name, theme) => {
+    const tokens = { ...theme.tokens };
+    // High contrast keeps its own accent; the Windows accent may not be legible.
+    if (preference.followAccent && hostTheme?.accentColor && name !== 'high-contrast') {
+      tokens.accent = hostTheme.accentColor;
+    }
+
+    appliedTokens
+      .filter((token) => !(token in tokens))
+      .forEach((token) => root.style.removeProperty(`--${token}`));
+    Object.entries(tokens).forEach(([token, value]) => {
+      if (root.style.getPropertyValue(`--${token}`) !== value) {
+        root.style.setProperty(`--${token}`, value);
+      }
+    });
+    appliedTokens = Object.keys(tokens);
+
+    if (theme.colorScheme) {
+      root.style.setProperty('color-scheme', theme.colorScheme);
+    } else {
+      root.style.removeProperty('color-scheme');
+    }
+    root.dataset.theme = name;
+  };
+
+  /**
+   * Load and paint the theme the current preference resolves to. Resolves
+   * with its name, or null when it failed to load (the old theme stays).
+   */
+  const apply = async () => {
+    const applyId = (applyCount += 1);
+    const name = resolveName();
+    try {
+      const theme = await resolveTheme(name);
+      // A later switch won the race; leave the root to it.
+      if (applyId !== applyCount) {
+        return name;
+      }
+      if (root) {
+        paint(name, theme);
+      }
+      activeTheme = name;
+      return name;
+    } catch (error) {
+      console.error(`Failed to load theme "${name}":`, error);
+      return null;
+    }
+  };
+
+  const updatePreference = (update) => {
+    preference = { ...preference, ...update };
+    savePreference(storage, preference);
+    return apply();
+  };
+
+  return {
+    apply,
+    /**
+     * Switch to a theme by name ('dark', 'light', 'high-contrast', 'system'
+     * or a user theme file); the choice is persisted.
+     */
+    setTheme(name) {
+      if (typeof name !== 'string' || !THEME_NAME.test(name)) {
+        throw new TypeError(`Invalid theme name: ${JSON.stringify(name)}`);
+      }
+      return updatePreference({ theme: name });
+    },
+    setFollowAccent(followAccent) {
+      return updatePreference({ followAccent: Boolean(followAccent) });
+    },
+    /**
+     * Host accent colour and dark-mode / high-contrast flags (see the
+     * `themeChanged` bridge event).
+     */
+    setHostTheme(nextHostTheme) {
+      hostTheme = nextHostTheme ? { ...nextHostTheme } : null;
+      return apply();
+    },
+    /**
+     * Register a theme definition without a file (overrides a file of the same name).
+     */
+    register(name, definition) {
+      const theme = normalizeTheme(definition, name);
+      if (!THEME_NAME.test(name) || !theme) {
+        throw new TypeError(`Invalid theme definition for ${JSON.stringify(name)}`);
+      }
+      themes.set(name, Promise.resolve(theme));
+      return resolveName() === name ? apply() : Promise.resolve(activeTheme);
+    },
+    getPreference: () => ({ ...preference }),
+    getActiveTheme: () => activeTheme,
+  };
+}
+
+/**
+ * Feed the host theme from the store (`hostTheme`, set from the bridge) into
+ * a theme manager. Returns an unsubscribe function.
+ */
+export function followHostTheme(store, themeManager) {
+  return store.select(
+    (state) => state.hostTheme,
+    (hostTheme) => {
+      if (hostTheme) {
+        themeManager.setHostTheme(hostTheme);
+      }
+    },
+  );
+}
+
+export default createThemeManager;
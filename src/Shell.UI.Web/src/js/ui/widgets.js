@@ -0,0 +1,237 @@
+import { hasCapability } from '../state/store.js';
+import { subscribeToClock } from '../utils/clock.js';
+import { html } from '../utils/html.js';
+import { patchContent, reconcileChildren, setAttribute, setText } from './reconcile.js';
+
+/**
+ * Built-in top panel widgets (see panel.js for the widget contract).
+ */
+
+const NETWORK_ICON = html`<svg class="icon icon--network" viewBox="0 0 24 24" aria-hidden="true">
+  <rect x="4" y="14" width="3" height="4" rx="1.5" />
+  <rect x="8" y="12" width="3" height="6" rx="1.5" />
+  <rect x="12" y="10" width="3" height="8" rx="1.5" />
+  <rect x="16" y="8" width="3" height="10" rx="1.5" />
+</svg>`;
+
+const VOLUME_ICON = html`<svg class="icon icon--volume" viewBox="0 0 24 24" aria-hidden="true">
+  <path d="M4 9h3l3-3v12l-3-3H4z" />
+  <path d="M15 9a3 3 0 0 1 0 6" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+  <path d="M17 7a5 5 0 0 1 0 10" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" />
+</svg>`;
+
+// Swap the `${base}-*` modifier class for `${base}-${variant}`.
+function setModifier(element, base, variant) {
+  Array.from(element.classList)
+    .filter((className) => className.startsWith(`${base}-`) && className !== `${base}-${variant}`)
+    .forEach((className) => element.classList.remove(className));
+  if (variant) {
+    element.classList.add(`${base}-${variant}`);
+  }
+}
+
+function setLabel(element, label) {
+  setAttribute(element, 'aria-label', label);
+  setAttribute(element, 'title', label);
+}
+
+const clampPercent = (value) =>
+  typeof value === 'number' && !Number.isNaN(value) ? Math.max(0, Math.min(100, value)) : 0;
+
+export const clockWidget = {
+  id: 'clock',
+  label: 'Clock',
+  subscribe: (_context, update) => subscribeToClock(update),
+  render(element, now) {
+    patchContent(element, ['clock'], () => html`<time class="panel-clock" aria-live="polite"></time>`);
+    const time = element.firstElementChild;
+    setText(time, now ? now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--');
+  },
+};
+
+function networkLabel(network, connectedVia = 'connected') {
+  if (!network) {
+    return 'Network status';
+  }
+  if (!network.isConnected) {
+    return 'No network connection';
+  }
+  if (network.kind === 'wifi') {
+    return connectedVia === 'connected' ? 'Wi-Fi connected' : 'Connected via Wi-Fi';
+  }
+  if (network.kind === 'ethernet') {
+    return connectedVia === 'connected' ? 'Ethernet connected' : 'Connected via Ethernet';
+  }
+  return 'Network status';
+}
+
+function networkActions(network, context) {
+  const actions = [];
+  const canPreferNetwork = context.supports('preferNetwork');
+  if (canPreferNetwork && network?.hasWifiAdapter && network.kind !== 'wifi') {
+    actions.push({ id: 'wifi', label: 'Switch to Wi-Fi', run: (bridge) => bridge.preferNetwork('wifi') });
+  }
+  if (canPreferNetwork && network?.hasEthernetAdapter && network.kind !== 'ethernet') {
+    actions.push({ id: 'ethernet', label: 'Switch to Ethernet', run: (bridge) => bridge.preferNetwork('ethernet') });
+  }
+  if (context.supports('openNetworkSettings')) {
+    actions.push({ id: 'settings', label: 'Open Network settings', run: (bridge) => bridge.openNetworkSettings() });
+  }
+  return actions;
+}
+
+export const networkWidget = {
+  id: 'network',
+  label: 'Network',
+  requires: ['getSystemStatusJson'],
+  select: ({ systemStatus }) => systemStatus.network ?? null,
+  render(element, network) {
+    patchContent(element, ['network'], () => NETWORK_ICON);
+    element.classList.add('system-indicator', 'system-indicator--network');
+    setModifier(element, 'system-indicator--network', network?.kind ?? null);
+    setLabel(element, networkLabel(network));
+  },
+  flyout: {
+    create(context) {
+      const element = document.createElement('div');
+      element.className = 'network-flyout';
+      patchContent(
+        element,
+        ['network-flyout'],
+        () => html`<p class="network-flyout__status"></p><div class="network-flyout__actions"></div>`,
+      );
+      element.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-network-action]');
+        if (!button) return;
+        const { network } = context.store.getState().systemStatus;
+        const action = networkActions(network, context).find((entry) => entry.id === button.dataset.networkAction);
+        if (!action) return;
+
+        context.closeFlyout();
+        try {
+          await action.run(context.bridge);
+          await context.refreshStatus?.();
+        } catch (error) {
+          console.error(`Error running network action ${action.id}:`, error);
+        }
+      });
+      // Show fresh status rather than up to one poll interval old.
+      context.refreshStatus?.();
+      return element;
+    },
+    render(element, network, context) {
+      setText(element.querySelector('.network-flyout__status'), networkLabel(network, 'via'));
+      reconcileChildren(element.querySelector('.network-flyout__actions'), networkActions(network, context), {
+        dataKey: 'networkAction',
+        getKey: (action) => action.id,
+        create: () => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'context-menu-item';
+          return button;
+        },
+        update: (button, action) => setText(button, action.label),
+      });
+    },
+  },
+};
+
+export const volumeWidget = {
+  id: 'volume',
+  label: 'System volume',
+  requires: ['getSystemStatusJson'],
+  select: ({ systemStatus, capabilities }) => ({ volume: systemStatus.volume ?? null, capabilities }),
+  render(element, { volume, capabilities }) {
+    patchContent(element, ['volume'], () => VOLUME_ICON);
+    element.classList.add('system-indicator', 'system-indicator--volume');
+    if (!volume) {
+      setModifier(element, 'system-indicator--volume', null);
+      setLabel(element, 'Volume');
+    } else {
+      const level = clampPercent(volume.levelPercent);
+      setModifier(element, 'system-indicator--volume', volume.isMuted ? 'muted' : 'unmuted');
+      setLabel(element, volume.isMuted ? 'Volume muted' : `Volume ${level}%`);
+    }
+    element.disabled =
+      !hasCapability(capabilities, 'setSystemVolume') && !hasCapability(capabilities, 'toggleSystemMute');
+  },
+  flyout: {
+    create(context) {
+      const element = document.createElement('div');
+      element.className = 'volume-flyout__row';
+      patchContent(
+        element,
+        ['volume-flyout'],
+        () => html`
+          <button class="btn-circle volume-flyout__mute" type="button" aria-label="Mute or unmute volume">
+            ${VOLUME_ICON}
+          </button>
+          <input class="volume-flyout__slider" type="range" min="0" max="100" step="1" value="0"
+            aria-label="System volume slider" />
+          <span class="volume-flyout__percent">0%</span>`,
+      );
+
+      const slider = element.querySelector('.volume-flyout__slider');
+      slider.addEventListener('input', () => {
+        const value = Number(slider.value);
+        if (Number.isNaN(value)) return;
+
+        const clamped = clampPercent(value);
+        setText(element.querySelector('.volume-flyout__percent'), `${clamped}%`);
+        context.bridge
+          .setSystemVolume(clamped)
+          .catch((error) => console.error('Error setting system volume from slider:', error));
+      });
+
+      element.querySelector('.volume-flyout__mute').addEventListener('click', async (event) => {
+        event.preventDefault();
+        try {
+          if (await context.bridge.toggleSystemMute()) {
+            await context.refreshStatus?.();
+          }
+        } catch (error) {
+          console.error('Error toggling system mute from volume flyout:', error);
+        }
+      });
+      return element;
+    },
+    render(element, { volume, capabilities }) {
+      const slider = element.querySelector('.volume-flyout__slider');
+      const mute = element.querySelector('.volume-flyout__mute');
+      slider.disabled = !hasCapability(capabilities, 'setSystemVolume');
+      mute.disabled = !hasCapability(capabilities, 'toggleSystemMute');
+      if (!volume) return;
+
+      const level = clampPercent(volume.levelPercent);
+      // Leave the slider alone while the user drags it.
+      if (element.ownerDocument.activeElement !== slider) {
+        slider.value = String(level);
+        setText(element.querySelector('.volume-flyout__percent'), `${level}%`);
+      }
+      mute.classList.toggle('volume-flyout__mute--muted', Boolean(volume.isMuted));
+    },
+  },
+};
+
+export const cpuWidget = {
+  id: 'cpu',
+  label: 'CPU usage',
+  requires: ['getSystemStatusJson'],
+  select: ({ systemStatus }) => systemStatus.cpu ?? null,
+  render(element, cpu) {
+    patchContent(
+      element,
+      ['cpu'],
+      () => html`<span class="cpu-meter" aria-hidden="true"><span class="cpu-meter__bar"></span></span>
+        <span class="cpu-meter__value"></span>`,
+    );
+    const usage = cpu ? clampPercent(cpu.usagePercent) : null;
+    element.querySelector('.cpu-meter__bar').style.height = `${usage ?? 0}%`;
+    setText(element.querySelector('.cpu-meter__value'), usage === null ? '--' : `${usage}%`);
+    setAttribute(element, 'role', 'meter');
+    setLabel(element, usage === null ? 'CPU usage' : `CPU ${usage}%`);
+    setAttribute(element, 'aria-valuenow', usage);
+  },
+};
+
+export const BUILT_IN_WIDGETS = Object.freeze([clockWidget, networkWidget, volumeWidget, cpuWidget]);
@@ -1,32 +1,39 @@
-export function bootstrapClock(element) {
-  if (!element) return;
-
+/**
+ * Call `listener` with the current time now and at every whole second while
+ * the page is visible. Returns an unsubscribe function.
+ */
+export function subscribeToClock(listener) {
   let timeoutId = null;
 
   const tick = () => {
     const now = new Date();
-    element.textContent = now.toLocaleTimeString([], {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+    listener(now);
 
     const msToNextSecond = 1000 - now.getMilliseconds();
     timeoutId = window.setTimeout(tick, msToNextSecond);
   };
 
-  tick();
+  const stopTicking = () => {
+    if (timeoutId !== null) {
+      window.clearTimeout(timeoutId);
+      timeoutId = null;
+    }
+  };
 
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      if (timeoutId !== null) {
-        clearTimeout(timeoutId);
-        timeoutId = null;
-      }
-      return;
+  const onVisibilityChange = () => {
+    stopTicking();
+    if (!document.hidden) {
+      // When returning to the desktop, resync the clock to the
+      // current system time and re-align to the next whole second.
+      tick();
     }
+  };
+
+  tick();
+  document.addEventListener('visibilitychange', onVisibilityChange);
 
-    // When returning to the desktop, resync the clock to the
-    // current system time and re-align to the next whole second.
-    tick();
-  });
+  return () => {
+    stopTicking();
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
 }
@@ -1,4 +1,8 @@
-const STORAGE_KEY = 'shelled.desktopLayout.v2';
+import { resolveMonitorId } from '../state/monitors.js';
+
+const STORAGE_KEY = 'shelled.desktopLayout.v3';
+// v2 layouts predate multi-monitor support: every icon sits on the primary monitor.
+const LEGACY_STORAGE_KEY = 'shelled.desktopLayout.v2';
 
 // Base grid metrics. These roughly match the desktop icon card size + spacing.
 const BASE_CELL_WIDTH = 96;
@@ -14,23 +18,33 @@ function canUseStorage() {
   }
 }
 
+// A saved cell: grid position plus the monitor it is on (null: the primary).
+function toCell(cell) {
+  if (!cell || typeof cell !== 'object') return null;
+  const col = Number(cell.col);
+  const row = Number(cell.row);
+  if (!Number.isFinite(col) || !Number.isFinite(row)) return null;
+  const monitorId = typeof cell.monitorId === 'string' && cell.monitorId ? cell.monitorId : null;
+  return { col, row, monitorId };
+}
+
 function loadRawLayout() {
   if (!canUseStorage()) {
     return {};
   }
 
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const raw =
+      window.localStorage.getItem(STORAGE_KEY) ?? window.localStorage.getItem(LEGACY_STORAGE_KEY);
     if (!raw) return {};
     const parsed = JSON.parse(raw);
     if (!parsed || typeof parsed !== 'object') return {};
     const layout = {};
-    for (const [path, cell] of Object.entries(parsed)) {
-      if (!cell || typeof cell !== 'object') continue;
-      const col = Number(cell.col);
-      const row = Number(cell.row);
-      if (!Number.isFinite(col) || !Number.isFinite(row)) continue;
-      layout[path] = { col, row };
+    for (const [path, entry] of Object.entries(parsed)) {
+      const cell = toCell(entry);
+      if (cell) {
+        layout[path] = cell;
+      }
     }
     return layout;
   } catch {
@@ -46,12 +60,11 @@ function saveRawLayout(layout) {
   try {
     const payload = {};
     if (layout && typeof layout === 'object') {
-      for (const [path, cell] of Object.entries(layout)) {
-        if (!cell || typeof cell !== 'object') continue;
-        const col = Number(cell.col);
-        const row = Number(cell.row);
-        if (!Number.isFinite(col) || !Number.isFinite(row)) continue;
-        payload[path] = { col, row };
+      for (const [path, entry] of Object.entries(layout)) {
+        const cell = toCell(entry);
+        if (cell) {
+          payload[path] = cell;
+        }
       }
     }
     window.localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
@@ -86,12 +99,38 @@ function keyForCell(col, row) {
   return `${col},${row}`;
 }
 
-function ensureLayout(desktopItems, container) {
+function createCellAllocator(occupied, metrics) {
+  return function nextFreeCell() {
+    let row = 0;
+    let col = 0;
+
+    while (true) {
+      const key = keyForCell(col, row);
+      if (!occupied.has(key)) {
+        occupied.add(key);
+        return { col, row };
+      }
+      col += 1;
+      if (col >= metrics.columns) {
+        col = 0;
+        row += 1;
+      }
+    }
+  };
+}
+
+// Load the saved layout, drop items that no longer exist and place new ones
+// on the primary monitor. Returns the saved layout plus `cells`: where the
+// items on `monitorId` are shown. Icons saved on a disconnected monitor are
+// shown on the primary one, in a free cell when theirs is taken, without
+// losing their saved place.
+function ensureLayout(desktopItems, container, { monitorId = null, monitors = [] } = {}) {
   const metrics = getGridMetrics(container);
   const layout = loadRawLayout();
+  const cells = {};
 
   if (!Array.isArray(desktopItems) || desktopItems.length === 0) {
-    return { layout: {}, metrics };
+    return { layout: {}, metrics, cells };
   }
 
   const paths = new Set();
@@ -108,62 +147,84 @@ function ensureLayout(desktopItems, container) {
     }
   }
 
+  const target = resolveMonitorId(monitors, monitorId);
+  const isPrimary = target === resolveMonitorId(monitors, null);
+  // Icons saved on this monitor claim their cells before visiting ones.
+  const isHome = (cell) => cell.monitorId === target || (isPrimary && cell.monitorId === null);
+  const entries = Object.entries(layout)
+    .filter(([, cell]) => resolveMonitorId(monitors, cell.monitorId) === target)
+    .sort(([, a], [, b]) => Number(isHome(b)) - Number(isHome(a)));
+
   const occupied = new Set();
-  for (const cell of Object.values(layout)) {
-    if (!cell || typeof cell !== 'object') continue;
-    const col = Number(cell.col);
-    const row = Number(cell.row);
-    if (!Number.isFinite(col) || !Number.isFinite(row)) continue;
-    occupied.add(keyForCell(col, row));
+  const displaced = [];
+  for (const [path, cell] of entries) {
+    const key = keyForCell(cell.col, cell.row);
+    if (occupied.has(key)) {
+      displaced.push(path);
+      continue;
+    }
+    occupied.add(key);
+    cells[path] = cell;
   }
 
-  function nextFreeCell() {
-    let row = 0;
-    let col = 0;
+  const nextFreeCell = createCellAllocator(occupied, metrics);
 
-    while (true) {
-      const key = keyForCell(col, row);
-      if (!occupied.has(key)) {
-        occupied.add(key);
-        return { col, row };
-      }
-      col += 1;
-      if (col >= metrics.columns) {
-        col = 0;
-        row += 1;
+  if (isPrimary) {
+    for (const item of desktopItems) {
+      const path = item && item.path;
+      if (typeof path !== 'string') continue;
+      if (!layout[path]) {
+        layout[path] = { ...nextFreeCell(), monitorId: target };
+        cells[path] = layout[path];
       }
     }
   }
 
-  for (const item of desktopItems) {
-    const path = item && item.path;
-    if (typeof path !== 'string') continue;
-    if (!layout[path]) {
-      layout[path] = nextFreeCell();
-    }
+  for (const path of displaced) {
+    cells[path] = { ...nextFreeCell(), monitorId: layout[path].monitorId };
   }
 
   saveRawLayout(layout);
-  return { layout, metrics };
+  return { layout, metrics, cells };
 }
 
-export function getDesktopPositions(desktopItems, container) {
-  const { layout, metrics } = ensureLayout(desktopItems, container);
+/**
+ * Pixel positions of the desktop items shown in `container`, the icon area of
+ * monitor `monitorId` (the primary one by default). `layout` is the layout as
+ * shown there, for moveDesktopSelection.
+ */
+export function getDesktopPositions(desktopItems, container, { monitorId = null, monitors = [] } = {}) {
+  const { layout, metrics, cells } = ensureLayout(desktopItems, container, { monitorId, monitors });
 
   const positions = {};
   for (const item of desktopItems || []) {
     if (!item || typeof item.path !== 'string') continue;
-    const cell = layout[item.path];
+    const cell = cells[item.path];
     if (!cell) continue;
     const left = metrics.originLeft + cell.col * metrics.cellWidth;
     const top = metrics.originTop + cell.row * metrics.cellHeight;
     positions[item.path] = { left, top };
   }
 
-  return { layout, metrics, positions };
+  return { layout: { ...layout, ...cells }, metrics, positions };
 }
 
-export function moveDesktopSelection(desktopItems, draggedPaths, deltaX, deltaY, container, baseLayout, baseMetrics) {
+/**
+ * Move the dragged items by a pixel offset onto monitor `monitorId`'s grid
+ * (the primary one by default), pushing each down past occupied cells.
+ * For a drop on another monitor the offset is relative to the origin of
+ * the source monitor's icon area expressed in the target's.
+ */
+export function moveDesktopSelection(
+  desktopItems,
+  draggedPaths,
+  deltaX,
+  deltaY,
+  container,
+  baseLayout,
+  baseMetrics,
+  { monitorId = null, monitors = [] } = {},
+) {
   if (!Array.isArray(desktopItems) || desktopItems.length === 0) {
     return null;
   }
@@ -178,21 +239,27 @@ export function moveDesktopSelection(desktopItems, draggedPaths, deltaX, deltaY,
   const { layout: initialLayout, metrics } =
     baseLayout && baseMetrics
       ? { layout: { ...baseLayout }, metrics: baseMetrics }
-      : ensureLayout(desktopItems, container);
+      : getDesktopPositions(desktopItems, container, { monitorId, monitors });
 
+  const target = resolveMonitorId(monitors, monitorId);
   const colOffset = Math.round(deltaX / metrics.cellWidth);
   const rowOffset = Math.round(deltaY / metrics.cellHeight);
+  const changesMonitor = Object.entries(initialLayout).some(
+    ([path, cell]) => draggedSet.has(path) && resolveMonitorId(monitors, cell.monitorId) !== target,
+  );
 
-  if (colOffset === 0 && rowOffset === 0) {
+  if (colOffset === 0 && rowOffset === 0 && !changesMonitor) {
     return { layout: initialLayout, metrics };
   }
 
-  const newLayout = { ...initialLayout };
+  // Only the dragged items change; the rest keep their saved cells.
+  const newLayout = loadRawLayout();
 
   const occupied = new Set();
   for (const [path, cell] of Object.entries(initialLayout)) {
     if (!cell || typeof cell !== 'object') continue;
     if (draggedSet.has(path)) continue;
+    if (resolveMonitorId(monitors, cell.monitorId) !== target) continue;
     const col = Number(cell.col);
     const row = Number(cell.row);
     if (!Number.isFinite(col) || !Number.isFinite(row)) continue;
@@ -225,7 +292,7 @@ export function moveDesktopSelection(desktopItems, draggedPaths, deltaX, deltaY,
       key = keyForCell(targetCol, targetRow);
     }
 
-    newLayout[entry.path] = { col: targetCol, row: targetRow };
+    newLayout[entry.path] = { col: targetCol, row: targetRow, monitorId: target };
     occupied.add(key);
   }
 
@@ -241,9 +308,12 @@ export function sortItemsByLayout(desktopItems) {
   const layout = loadRawLayout();
 
   return [...desktopItems].sort((a, b) => {
-    const cellA = layout[a.path] || { col: 0, row: 0 };
-    const cellB = layout[b.path] || { col: 0, row: 0 };
+    const cellA = layout[a.path] || { col: 0, row: 0, monitorId: null };
+    const cellB = layout[b.path] || { col: 0, row: 0, monitorId: null };
 
+    if (cellA.monitorId !== cellB.monitorId) {
+      return String(cellA.monitorId ?? '').localeCompare(String(cellB.monitorId ?? ''));
+    }
     if (cellA.row !== cellB.row) return cellA.row - cellB.row;
     if (cellA.col !== cellB.col) return cellA.col - cellB.col;
 
@@ -0,0 +1,73 @@
+/**
+ * Escaping templates for markup that includes bridge strings.
+ *
+ * Window titles, workspace names, app names and tray tooltips come from other
+ * programs. Anything written to `innerHTML` must be built with `html` so those
+ * strings end up as text, never as markup.
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, (char) => ESCAPES[char]);
+}
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+export function isSafeHtml(value) {
+  return value instanceof SafeHtml;
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (isSafeHtml(value)) {
+    return value.markup;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: interpolated values are escaped unless they are themselves
+ * `html` fragments (or arrays of them). `null`, `undefined` and `false`
+ * render as nothing.
+ *
+ *   html`<strong>${workspace.name}</strong>`
+ */
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+/**
+ * Replace an element's content with markup built by `html`. Plain strings are
+ * rejected so unescaped markup cannot slip through.
+ */
+export function setHtml(element, markup) {
+  if (!isSafeHtml(markup)) {
+    throw new TypeError('setHtml expects markup built with html``');
+  }
+  element.innerHTML = markup.markup;
+}
@@ -0,0 +1,170 @@
+/**
+ * Shared icon cache.
+ *
+ * Hosts send icons as base64 PNG (`iconData`) on windows, tray icons, launcher
+ * apps and desktop items. The bridge normalizers register each one here and
+ * keep only its id (`iconId`), so the store, history and renderers pass short
+ * ids around and every distinct icon is decoded into a single Blob URL.
+ */
+
+// FNV-1a over the base64 text plus its length. Only a short key: the registry
+// compares the text itself, since different icons can share a hash.
+function hashIconData(data) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < data.length; index += 1) {
+    hash ^= data.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `icon-${(hash >>> 0).toString(36)}-${data.length.toString(36)}`;
+}
+
+function decodeToUrl(data, type, urlApi) {
+  if (typeof Blob === 'undefined' || typeof urlApi?.createObjectURL !== 'function') {
+    return `data:${type};base64,${data}`;
+  }
+  try {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index += 1) {
+      bytes[index] = binary.charCodeAt(index);
+    }
+    return urlApi.createObjectURL(new Blob([bytes], { type }));
+  } catch (error) {
+    console.warn('Could not decode icon data:', error);
+    return `data:${type};base64,${data}`;
+  }
+}
+
+/**
+ * Reference-counted registry of icon Blob URLs.
+ *
+ * Entries nobody retains (icons that were registered but never stored, or
+ * whose last reference was released) are revoked after `graceMs`.
+ */
+export function createIconRegistry({ graceMs = 30000, urlApi = globalThis.URL, hash = hashIconData } = {}) {
+  const entries = new Map();
+
+  const collect = (id) => {
+    const entry = entries.get(id);
+    if (!entry || entry.refs > 0) {
+      return;
+    }
+    if (entry.url.startsWith('blob:')) {
+      urlApi.revokeObjectURL(entry.url);
+    }
+    entries.delete(id);
+  };
+
+  const scheduleCollect = (id) => {
+    const timer = setTimeout(() => collect(id), graceMs);
+    timer.unref?.();
+  };
+
+  return {
+    /**
+     * Register base64 icon data; returns its id (the same id for the same
+     * content), or null when there is no data.
+     */
+    register(data, type = 'image/png') {
+      if (typeof data !== 'string' || !data) {
+        return null;
+      }
+      const key = hash(data);
+      let id = key;
+      // A different icon with the same hash gets the next free suffix.
+      for (let suffix = 1; entries.has(id); suffix += 1) {
+        const entry = entries.get(id);
+        if (entry.data === data && entry.type === type) {
+          return id;
+        }
+        id = `${key}-${suffix}`;
+      }
+      entries.set(id, { data, type, url: decodeToUrl(data, type, urlApi), refs: 0 });
+      scheduleCollect(id);
+      return id;
+    },
+    getUrl: (id) => entries.get(id)?.url ?? null,
+    retain(id) {
+      const entry = entries.get(id);
+      if (entry) {
+        entry.refs += 1;
+      }
+    },
+    release(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.refs === 0) {
+        return;
+      }
+      entry.refs -= 1;
+      if (entry.refs === 0) {
+        scheduleCollect(id);
+      }
+    },
+    /**
+     * Ids and reference counts, for debugging.
+     */
+    stats: () => Array.from(entries, ([id, entry]) => ({ id, refs: entry.refs })),
+  };
+}
+
+export const iconRegistry = createIconRegistry();
+
+function countIconIds(state) {
+  const counts = new Map();
+  [state.windows, state.trayIcons, state.launcherApps, state.desktopItems].forEach((items) => {
+    (items ?? []).forEach((item) => {
+      if (item.iconId) {
+        counts.set(item.iconId, (counts.get(item.iconId) ?? 0) + 1);
+      }
+    });
+  });
+  return counts;
+}
+
+/**
+ * Retain every icon the store references and release icons it drops.
+ * Returns a function that stops tracking and releases everything.
+ */
+export function trackIconReferences(store, registry = iconRegistry) {
+  let previous = new Map();
+
+  const apply = (next) => {
+    next.forEach((count, id) => {
+      for (let index = previous.get(id) ?? 0; index < count; index += 1) {
+        registry.retain(id);
+      }
+    });
+    previous.forEach((count, id) => {
+      for (let index = next.get(id) ?? 0; index < count; index += 1) {
+        registry.release(id);
+      }
+    });
+    previous = next;
+  };
+
+  const unsubscribe = store.select(
+    ({ windows, trayIcons, launcherApps, desktopItems }) => ({
+      windows,
+      trayIcons,
+      launcherApps,
+      desktopItems,
+    }),
+    (lists) => apply(countIconIds(lists)),
+  );
+
+  return () => {
+    unsubscribe();
+    apply(new Map());
+  };
+}
+
+/**
+ * Image source for a model's icon: the cached URL for `iconId`, or a data
+ * URL for raw `iconData` (models that did not come through the bridge).
+ */
+export function iconSource(model, registry = iconRegistry) {
+  if (model?.iconId) {
+    return registry.getUrl(model.iconId);
+  }
+  return model?.iconData ? `data:image/png;base64,${model.iconData}` : null;
+}
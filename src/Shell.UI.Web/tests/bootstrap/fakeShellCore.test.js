@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeShellCore } from '../../src/js/bootstrap/fakeShellCore.js';
+
+function delay() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function createCore() {
+  const events = [];
+  const core = createFakeShellCore({
+    workspaces: [
+      { id: 'ws-1', name: 'One', isActive: true },
+      { id: 'ws-2', name: 'Two' },
+    ],
+    launcherApps: [{ id: 'notepad', name: 'Notepad', description: 'Text' }],
+    emit: (type, data) => events.push({ type, data }),
+  });
+  return { core, events };
+}
+
+test('launchApp creates a focused window and emits windowCreated', async () => {
+  const { core, events } = createCore();
+
+  assert.equal(await core.launchApp('notepad'), true);
+  await delay();
+
+  const windows = JSON.parse(core.listWindowsJson());
+  assert.equal(windows.length, 1);
+  assert.equal(windows[0].appId, 'notepad');
+  assert.equal(windows[0].workspaceId, 'ws-1');
+  assert.deepEqual(
+    events.map((e) => e.type),
+    ['windowCreated', 'windowFocusChanged'],
+  );
+  assert.equal(events[1].data.currentHwnd, windows[0].hwnd);
+  assert.equal(JSON.parse(core.getShellStateJson()).focusedWindowHandle, windows[0].hwnd);
+
+  assert.equal(await core.launchApp('missing'), false);
+});
+
+test('window and workspace operations keep state and emit matching events', async () => {
+  const { core, events } = createCore();
+  await core.launchApp('notepad');
+  const [{ hwnd }] = JSON.parse(core.listWindowsJson());
+
+  assert.equal(core.minimizeWindow(hwnd), true);
+  assert.equal(JSON.parse(core.listWindowsJson())[0].state, 'Minimized');
+
+  assert.equal(core.moveWindowToWorkspace(hwnd, 'ws-2'), true);
+  assert.equal(core.switchWorkspace('ws-2'), true);
+  assert.equal(core.createWorkspace('ws-3', 'Three'), true);
+  assert.equal(core.createWorkspace('ws-3', 'Again'), false);
+  assert.equal(core.closeWindow(hwnd), true);
+  await delay();
+
+  const types = events.map((e) => e.type);
+  assert.ok(types.includes('windowStateChanged'));
+  assert.ok(types.includes('windowMovedToWorkspace'));
+  assert.ok(types.includes('workspaceSwitched'));
+  assert.ok(types.includes('workspaceCreated'));
+  assert.ok(types.includes('windowDestroyed'));
+
+  const switched = events.find((e) => e.type === 'workspaceSwitched');
+  assert.deepEqual(switched.data, { previousWorkspaceId: 'ws-1', currentWorkspaceId: 'ws-2' });
+
+  const workspaces = JSON.parse(core.listWorkspacesJson());
+  assert.deepEqual(workspaces.map((ws) => ws.id), ['ws-1', 'ws-2', 'ws-3']);
+  assert.equal(workspaces.find((ws) => ws.isActive).id, 'ws-2');
+  assert.equal(JSON.parse(core.listWindowsJson()).length, 0);
+});
+
+test('system volume and mute are reflected in getSystemStatusJson', () => {
+  const { core } = createCore();
+
+  core.setSystemVolume(150);
+  core.toggleSystemMute();
+
+  const status = JSON.parse(core.getSystemStatusJson());
+  assert.equal(status.volume.levelPercent, 100);
+  assert.equal(status.volume.isMuted, true);
+
+  assert.equal(core.preferNetwork('wifi'), true);
+  assert.equal(JSON.parse(core.getSystemStatusJson()).network.kind, 'wifi');
+});
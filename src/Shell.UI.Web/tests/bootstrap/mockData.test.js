@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createShellStateStore } from '../../src/js/state/store.js';
+
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    FakeWebSocket.instances.push(this);
+  }
+
+  send() {}
+
+  drop() {
+    this.onclose?.({ code: 1006 });
+  }
+
+  close() {
+    this.drop();
+  }
+}
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('falling back to mock data drops an unreachable WebSocket transport', async (t) => {
+  global.window = {
+    location: { protocol: 'http:', host: 'localhost', search: '?transport=websocket' },
+    WebSocket: FakeWebSocket,
+  };
+  t.after(() => {
+    delete global.window;
+  });
+
+  // The page bridge picks its transport from the window when first imported.
+  const { shellBridge, RPC_MODES } = await import('../../src/js/bridge/api.js');
+  const { bootstrapMockDataIfNeeded } = await import('../../src/js/bootstrap/mockData.js');
+  shellBridge.reconnectPolicy = { initialDelayMs: 5, maxDelayMs: 5, factor: 1 };
+  assert.equal(shellBridge.rpcMode, RPC_MODES.MESSAGE);
+
+  // No dev core server: the socket closes and a retry is scheduled.
+  FakeWebSocket.instances[0].drop();
+  assert.ok(shellBridge.reconnectTimeoutId);
+
+  const fakeCore = bootstrapMockDataIfNeeded(createShellStateStore());
+  assert.ok(fakeCore);
+  assert.equal(shellBridge.transport, null);
+  assert.equal(shellBridge.rpcMode, RPC_MODES.HOST_OBJECTS);
+
+  // Calls reach the fake core, and the dead socket is not retried.
+  const windows = await shellBridge.listWindows();
+  assert.deepEqual(
+    windows.map((w) => w.hwnd),
+    JSON.parse(fakeCore.listWindowsJson()).map((w) => w.hwnd),
+  );
+  await delay(20);
+  assert.equal(FakeWebSocket.instances.length, 1);
+});
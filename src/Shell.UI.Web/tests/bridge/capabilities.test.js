@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { createShellStateStore, hasCapability } from '../../src/js/state/store.js';
+import { createPanel, createWidgetRegistry } from '../../src/js/ui/panel.js';
+import { createRenderer } from '../../src/js/ui/renderers.js';
+import { BUILT_IN_WIDGETS } from '../../src/js/ui/widgets.js';
+
+test('connected handshake drives supports() and rejects unsupported calls', async (t) => {
+  global.window = { shell: { focusWindow: async () => true, preferNetwork: async () => true } };
+  t.after(() => {
+    delete global.window;
+  });
+
+  const bridge = new ShellBridge();
+  assert.equal(bridge.supports('preferNetwork'), true, 'legacy hosts support everything');
+
+  let announced = null;
+  bridge.on('capabilitiesChanged', (capabilities) => {
+    announced = capabilities;
+  });
+
+  bridge.handleMessage({
+    type: 'connected',
+    data: { protocolVersion: 1, methods: ['focusWindow'], events: ['windowCreated'] },
+  });
+
+  assert.equal(bridge.protocolVersion, 1);
+  assert.equal(bridge.supports('focusWindow'), true);
+  assert.equal(bridge.supports('windowCreated'), true);
+  assert.equal(bridge.supports('preferNetwork'), false);
+  assert.deepEqual(announced, { protocolVersion: 1, methods: ['focusWindow'], events: ['windowCreated'] });
+
+  assert.equal(await bridge.callBridgeMethod('focusWindow', '1'), true);
+  await assert.rejects(
+    bridge.callBridgeMethod('preferNetwork', 'wifi'),
+    (error) => error.code === 'not_supported',
+  );
+});
+
+test('a handshake without a methods list leaves every method callable', async (t) => {
+  global.window = { shell: { focusWindow: async () => true } };
+  t.after(() => {
+    delete global.window;
+  });
+
+  const bridge = new ShellBridge();
+  bridge.handleMessage({
+    type: 'connected',
+    data: { protocolVersion: 1, events: ['windowCreated'] },
+  });
+
+  assert.equal(bridge.supports('focusWindow'), true);
+  assert.equal(bridge.supports('windowCreated'), true);
+  assert.deepEqual(bridge.getCapabilities(), { protocolVersion: 1, methods: null, events: ['windowCreated'] });
+  assert.equal(await bridge.callBridgeMethod('focusWindow', '1'), true);
+
+  const store = createShellStateStore();
+  store.setCapabilities(bridge.getCapabilities());
+  assert.equal(hasCapability(store.getState().capabilities, 'restoreExplorerShell'), true);
+});
+
+test('a handshake with only a methods list still rules out unlisted methods', async (t) => {
+  global.window = { shell: { focusWindow: async () => true, getJumpListJson: async () => '{}' } };
+  t.after(() => {
+    delete global.window;
+  });
+
+  const bridge = new ShellBridge();
+  bridge.handleMessage({
+    type: 'connected',
+    data: { protocolVersion: 1, methods: ['focusWindow'] },
+  });
+
+  assert.equal(bridge.supports('focusWindow'), true);
+  assert.equal(bridge.supports('windowCreated'), true, 'events were not announced');
+  assert.equal(bridge.supports('getJumpListJson'), false);
+  await assert.rejects(
+    bridge.callBridgeMethod('getJumpListJson', 'notes'),
+    (error) => error.code === 'not_supported',
+  );
+
+  const store = createShellStateStore();
+  store.setCapabilities(bridge.getCapabilities());
+  const { capabilities } = store.getState();
+  assert.equal(hasCapability(capabilities, 'focusWindow'), true);
+  assert.equal(hasCapability(capabilities, 'restoreExplorerShell'), false);
+  assert.equal(hasCapability(capabilities, 'themeChanged'), true);
+});
+
+test('renderer hides top panel features the host cannot perform', (t) => {
+  const dom = new JSDOM(`<!DOCTYPE html><body>
+    <button id="exit"></button>
+    <div id="panel-widgets"></div>
+    <div id="launcher-overlay"></div>
+    <button id="launcher-toggle"></button>
+    <div id="launcher-grid"></div>
+    <div id="workspace-strip"></div>
+    <div id="taskbar-windows"></div>
+    <div id="tray-icons"></div>
+  </body>`);
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+
+  const byId = (id) => document.getElementById(id);
+  const selectors = {
+    exitShellButton: byId('exit'),
+    launcherOverlay: byId('launcher-overlay'),
+    launcherToggle: byId('launcher-toggle'),
+    launcherGrid: byId('launcher-grid'),
+    workspaceStrip: byId('workspace-strip'),
+    taskbarWindows: byId('taskbar-windows'),
+    trayIcons: byId('tray-icons'),
+  };
+
+  const store = createShellStateStore();
+  store.subscribe(createRenderer(selectors));
+  const panel = createPanel({
+    container: byId('panel-widgets'),
+    store,
+    bridge: {},
+    registry: createWidgetRegistry(BUILT_IN_WIDGETS),
+    storage: null,
+  });
+  const widget = (id) => document.querySelector(`[data-widget-id="${id}"]`);
+
+  assert.equal(selectors.exitShellButton.style.display, '');
+
+  store.setCapabilities({
+    protocolVersion: 1,
+    methods: ['getSystemStatusJson', 'toggleSystemMute'],
+    events: [],
+  });
+  store.flush();
+
+  assert.equal(selectors.exitShellButton.style.display, 'none');
+  assert.equal(widget('network').style.display, '');
+  assert.equal(widget('volume').disabled, false);
+
+  panel.openFlyout('volume');
+  assert.equal(document.querySelector('.volume-flyout__slider').disabled, true);
+  assert.equal(document.querySelector('.volume-flyout__mute').disabled, false);
+
+  store.setCapabilities({ protocolVersion: 1, methods: [], events: [] });
+  store.flush();
+  assert.equal(widget('network').style.display, 'none');
+  assert.equal(document.querySelector('.panel-flyout.open'), null, 'flyouts of hidden widgets close');
+  panel.destroy();
+});
@@ -0,0 +1,179 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { ShellEventHandler } from '../../src/js/bridge/events.js';
+import { ShellSync } from '../../src/js/bridge/sync.js';
+import { createFakeShellCore, createFakeCoreHandshake } from '../../src/js/bootstrap/fakeShellCore.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Host object that fails the test if the handlers refetch anything.
+function createStrictHost(calls) {
+  return new Proxy({}, {
+    get: (_target, method) => (...args) => {
+      calls.push(method);
+      throw new Error(`unexpected host call ${String(method)}(${args.join(', ')})`);
+    },
+  });
+}
+
+test('tray and workspace events are applied as deltas without refetching', () => {
+  const calls = [];
+  const bridge = new ShellBridge({ transport: null, hostObject: createStrictHost(calls) });
+  const store = createShellStateStore();
+  new ShellEventHandler(store, bridge).startListening();
+
+  bridge.handleMessage({ type: 'trayIconAdded', data: { id: 'net', tooltip: 'Network', processId: 4 } });
+  bridge.handleMessage({ type: 'trayIconAdded', data: { id: 'vol', tooltip: 'Volume' } });
+  bridge.handleMessage({ type: 'trayIconUpdated', data: { id: 'net', tooltip: 'Network – 2 bars' } });
+  bridge.handleMessage({ type: 'trayIconRemoved', data: { id: 'vol' } });
+
+  bridge.handleMessage({ type: 'workspaceCreated', data: { id: 'ws-1', name: 'Main', isActive: true } });
+  bridge.handleMessage({ type: 'workspaceCreated', data: { id: 'ws-2', name: 'Focus' } });
+  bridge.handleMessage({ type: 'workspaceUpdated', data: { id: 'ws-2', name: 'Deep work' } });
+  bridge.handleMessage({ type: 'workspaceRemoved', data: { id: 'ws-1' } });
+
+  bridge.handleMessage({ type: 'windowCreated', data: { hwnd: '9', title: 'Notes', state: 'Normal' } });
+  bridge.handleMessage({ type: 'windowStateChanged', data: { hwnd: '9', previousState: 'Normal', state: 'Maximized' } });
+
+  const state = store.getState();
+  assert.deepEqual(calls, []);
+  assert.deepEqual(state.trayIcons, [
+    { id: 'net', tooltip: 'Network – 2 bars', processId: 4, iconId: null, isVisible: true },
+  ]);
+  assert.deepEqual(
+    state.workspaces.map(({ id, name }) => ({ id, name })),
+    [{ id: 'ws-2', name: 'Deep work' }],
+  );
+  assert.equal(state.activeWorkspaceId, 'ws-2', 'removing the active workspace falls back to another');
+  assert.equal(state.windows[0].state, 'maximized');
+  assert.equal(state.windows[0].title, 'Notes');
+});
+
+test('tray balloons are shown until clicked or timed out', async () => {
+  const bridge = new ShellBridge({ transport: null, hostObject: {} });
+  const store = createShellStateStore({ trayIcons: [{ id: 'mail', tooltip: 'Mail' }] });
+  const eventHandler = new ShellEventHandler(store, bridge);
+  eventHandler.startListening();
+
+  bridge.handleMessage({
+    type: 'trayBalloonShown',
+    data: { id: 'mail', balloon: { title: 'New message', text: 'Hi', icon: 'Info', timeoutMs: 5 } },
+  });
+  assert.deepEqual(store.getState().trayIcons[0].balloon, {
+    title: 'New message',
+    text: 'Hi',
+    icon: 'info',
+    timeoutMs: 5,
+  });
+
+  await delay(20);
+  assert.equal(store.getState().trayIcons[0].balloon, null);
+
+  bridge.handleMessage({ type: 'trayBalloonShown', data: { id: 'mail', balloon: { text: 'Again' } } });
+  bridge.handleMessage({ type: 'trayBalloonClicked', data: { id: 'mail' } });
+  assert.equal(store.getState().trayIcons[0].balloon, null);
+  eventHandler.stopListening();
+});
+
+test('reconciliation restores drifted lists from the host', async () => {
+  let bridge = null;
+  const core = createFakeShellCore({
+    workspaces: [{ id: 'ws-1', name: 'Main', isActive: true }],
+    windows: [
+      { hwnd: '1', title: 'Editor', workspaceId: 'ws-1' },
+      { hwnd: '2', title: 'Terminal', workspaceId: 'ws-1' },
+    ],
+    trayIcons: [{ id: 'net', tooltip: 'Network' }],
+    emit: (type, data) => bridge.handleMessage({ type, data }),
+  });
+  bridge = new ShellBridge({ transport: null, hostObject: core });
+  const store = createShellStateStore();
+  const sync = new ShellSync(store, bridge);
+
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+  await sync.initialize();
+  assert.deepEqual(await sync.reconcile(), []);
+
+  // A missed windowDestroyed and a lost tray update.
+  store.removeWindow('2');
+  store.upsertTrayIcon({ id: 'net', tooltip: 'Stale' });
+
+  assert.deepEqual(await sync.reconcile(), ['windows', 'trayIcons']);
+  const state = store.getState();
+  assert.deepEqual(state.windows.map((window) => window.hwnd), ['1', '2']);
+  assert.equal(state.trayIcons[0].tooltip, 'Network');
+  assert.deepEqual(await sync.reconcile(), []);
+});
+
+test('switching workspace and opening a window do not look like drift', async () => {
+  let bridge = null;
+  const core = createFakeShellCore({
+    workspaces: [
+      { id: 'ws-1', name: 'Main', isActive: true },
+      { id: 'ws-2', name: 'Other' },
+    ],
+    windows: [{ hwnd: '1', title: 'Editor', workspaceId: 'ws-1' }],
+    launcherApps: [{ id: 'notes', name: 'Notes' }],
+    emit: (type, data) => bridge.handleMessage({ type, data }),
+  });
+  bridge = new ShellBridge({ transport: null, hostObject: core });
+  const store = createShellStateStore();
+  const sync = new ShellSync(store, bridge);
+  new ShellEventHandler(store, bridge).startListening();
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+  await sync.initialize();
+
+  await bridge.switchWorkspace('ws-2');
+  await bridge.launchApp('notes');
+  await delay(10);
+  assert.equal(store.getState().activeWorkspaceId, 'ws-2');
+  assert.equal(store.getState().windows.length, 2);
+
+  assert.deepEqual(await sync.reconcile(), []);
+});
+
+test('attention and progress events flag windows until they are focused', async () => {
+  let bridge = null;
+  const core = createFakeShellCore({
+    workspaces: [{ id: 'ws-1', name: 'Main', isActive: true }],
+    windows: [
+      { hwnd: '1', title: 'Editor', workspaceId: 'ws-1' },
+      { hwnd: '2', title: 'Downloads', workspaceId: 'ws-1' },
+    ],
+    emit: (type, data) => bridge.handleMessage({ type, data }),
+  });
+  bridge = new ShellBridge({ transport: null, hostObject: core });
+  const store = createShellStateStore();
+  const sync = new ShellSync(store, bridge);
+  new ShellEventHandler(store, bridge).startListening();
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+  await sync.initialize();
+
+  const windowFor = (hwnd) => store.getState().windows.find((w) => w.hwnd === hwnd);
+  core.simulateWindowAttention('2');
+  core.simulateWindowProgress('2', 'Normal', 42.4);
+  bridge.handleMessage({ type: 'windowProgressChanged', data: { hwnd: '1', progressState: 4, progressValue: 250 } });
+  bridge.handleMessage({ type: 'windowAttentionRequested', data: { hwnd: '99' } });
+  bridge.handleMessage({ type: 'windowProgressChanged', data: { hwnd: '1', progressState: 'spinning' } });
+  await delay(10);
+
+  assert.equal(windowFor('2').isFlashing, true);
+  assert.equal(windowFor('2').progressState, 'normal');
+  assert.equal(windowFor('2').progressValue, 42);
+  assert.equal(windowFor('1').progressState, 'error');
+  assert.equal(windowFor('1').progressValue, 100);
+  assert.equal(windowFor('99'), undefined, 'windows the shell does not track are ignored');
+
+  // The host's window list does not carry them, so reconciliation keeps them.
+  assert.deepEqual(await sync.reconcile(), []);
+  assert.equal(windowFor('2').isFlashing, true);
+
+  await bridge.focusWindow('2');
+  await delay(10);
+  assert.equal(windowFor('2').isFlashing, false);
+  assert.equal(windowFor('2').progressState, 'normal');
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge, CONNECTION_STATES } from '../../src/js/bridge/api.js';
+
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    FakeWebSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen?.();
+    this.onmessage?.({ data: JSON.stringify({ type: 'connected', data: {} }) });
+  }
+
+  send() {}
+
+  drop() {
+    this.readyState = 3;
+    this.onclose?.({ code: 1006 });
+  }
+
+  close() {
+    this.drop();
+  }
+}
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function setupBridge() {
+  FakeWebSocket.instances = [];
+  global.window = {
+    location: { protocol: 'http:', host: 'localhost', search: '?transport=websocket' },
+    WebSocket: FakeWebSocket,
+  };
+
+  const bridge = new ShellBridge();
+  bridge.reconnectPolicy = { initialDelayMs: 5, maxDelayMs: 20, factor: 2 };
+  return {
+    bridge,
+    cleanup() {
+      delete global.window;
+    },
+  };
+}
+
+test('dropped WebSocket reconnects with backoff and emits reconnected', async (t) => {
+  const { bridge, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  const states = [];
+  let reconnected = 0;
+  bridge.on('connectionStateChanged', (data) => states.push(data));
+  bridge.on('reconnected', () => {
+    reconnected += 1;
+  });
+
+  FakeWebSocket.instances[0].open();
+  assert.equal(bridge.connectionState, CONNECTION_STATES.CONNECTED);
+
+  FakeWebSocket.instances[0].drop();
+  assert.equal(bridge.isConnected, false);
+  assert.equal(bridge.connectionState, CONNECTION_STATES.RECONNECTING);
+
+  // First retry also fails, so the delay doubles.
+  await delay(10);
+  assert.equal(FakeWebSocket.instances.length, 2);
+  FakeWebSocket.instances[1].drop();
+  const reconnecting = states.filter((s) => s.state === CONNECTION_STATES.RECONNECTING);
+  assert.deepEqual(
+    reconnecting.map((s) => s.delayMs),
+    [5, 10],
+  );
+
+  await delay(20);
+  assert.equal(FakeWebSocket.instances.length, 3);
+  FakeWebSocket.instances[2].open();
+
+  assert.equal(bridge.connectionState, CONNECTION_STATES.CONNECTED);
+  assert.equal(reconnected, 1);
+  assert.equal(bridge.reconnectAttempt, 0);
+});
+
+test('calls are rejected as offline while disconnected', async (t) => {
+  const { bridge, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  FakeWebSocket.instances[0].open();
+  FakeWebSocket.instances[0].drop();
+
+  await assert.rejects(bridge.callBridgeMethod('focusWindow', '1'), (error) => error.code === 'offline');
+  bridge.useTransport(null);
+});
+
+test('waitForConnection does not cache a timed-out connection attempt', async (t) => {
+  const { bridge, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  await assert.rejects(bridge.waitForConnection(5), /timeout/);
+  assert.equal(bridge.connectionPromise, null);
+
+  const waiting = bridge.waitForConnection(100);
+  FakeWebSocket.instances[0].open();
+  await waiting;
+  assert.equal(bridge.isConnected, true);
+});
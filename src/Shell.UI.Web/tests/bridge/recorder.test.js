@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { ShellEventHandler } from '../../src/js/bridge/events.js';
+import { ShellSync } from '../../src/js/bridge/sync.js';
+import { createBridgeRecorder, replayRecording } from '../../src/js/bridge/recorder.js';
+import { createFakeShellCore, createFakeCoreHandshake } from '../../src/js/bootstrap/fakeShellCore.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('recorder keeps only the most recent entries', () => {
+  const recorder = createBridgeRecorder({ capacity: 2 });
+  recorder.recordInbound({ type: 'ignored' });
+  recorder.start();
+  recorder.recordInbound({ type: 'a' });
+  recorder.recordCall({ method: 'focusWindow', args: ['1'], result: true, durationMs: 1 });
+  recorder.recordCall({ method: 'closeWindow', args: ['1'], error: new Error('boom'), durationMs: 2 });
+
+  const { version, entries } = recorder.export();
+  assert.equal(version, 1);
+  assert.deepEqual(entries.map((entry) => entry.method), ['focusWindow', 'closeWindow']);
+  assert.equal(entries[0].result, true);
+  assert.deepEqual(entries[1].error, { code: 'error', message: 'boom' });
+});
+
+test('a recorded session replays into the same store state', async () => {
+  let bridge = null;
+  const core = createFakeShellCore({
+    workspaces: [{ id: 'ws-1', name: 'Workspace 1', isActive: true }],
+    windows: [{ hwnd: '1', title: 'Editor', state: 'Normal', workspaceId: 'ws-1' }],
+    emit: (type, data) => bridge.handleMessage({ type, data }),
+  });
+  bridge = new ShellBridge({ transport: null, hostObject: core });
+
+  const recorder = createBridgeRecorder();
+  recorder.start();
+  bridge.recorder = recorder;
+
+  const liveStore = createShellStateStore();
+  new ShellEventHandler(liveStore, bridge).startListening();
+  const sync = new ShellSync(liveStore, bridge);
+
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+  await sync.initialize();
+
+  core.simulateWindowCreated({ hwnd: '2', title: 'Ghost', workspaceId: 'ws-1' });
+  await delay();
+  await bridge.callBridgeMethod('closeWindow', '1');
+  await bridge.callBridgeMethod('focusWindow', '2');
+  await delay(10);
+
+  const recording = JSON.parse(JSON.stringify(recorder.export()));
+  assert.ok(recording.entries.some((entry) => entry.kind === 'call' && entry.method === 'listWindowsJson'));
+
+  const { store: replayedStore } = await replayRecording(recording, createShellStateStore());
+  const live = liveStore.getState();
+  const replayed = replayedStore.getState();
+
+  assert.deepEqual(replayed.windows, live.windows);
+  assert.deepEqual(replayed.workspaces, live.workspaces);
+  assert.equal(replayed.focusedWindowHandle, live.focusedWindowHandle);
+  assert.deepEqual(replayed.windows.map((window) => window.hwnd), ['2']);
+});
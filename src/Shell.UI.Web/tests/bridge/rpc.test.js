@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge, BridgeError, RPC_MODES } from '../../src/js/bridge/api.js';
+
+function setupBridge() {
+  const posted = [];
+  global.window = {
+    chrome: {
+      webview: {
+        addEventListener() {},
+        postMessage(json) {
+          posted.push(JSON.parse(json));
+        },
+      },
+    },
+  };
+
+  const bridge = new ShellBridge();
+  bridge.isConnected = true;
+  bridge.configure({ rpcMode: RPC_MODES.MESSAGE, callTimeoutMs: 50 });
+
+  return {
+    bridge,
+    posted,
+    cleanup() {
+      delete global.window;
+    },
+  };
+}
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('message RPC resolves with the result of the matching response', async (t) => {
+  const { bridge, posted, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  const first = bridge.callBridgeMethod('focusWindow', '100');
+  const second = bridge.callBridgeMethod('closeWindow', '200');
+  await delay();
+
+  assert.equal(posted.length, 2);
+  assert.deepEqual(posted[0], { type: 'request', id: posted[0].id, method: 'focusWindow', args: ['100'] });
+
+  // Answer out of order to prove correlation by id.
+  bridge.handleMessage({ type: 'response', id: posted[1].id, result: 'closed' });
+  bridge.handleMessage({ type: 'response', id: posted[0].id, result: 'focused' });
+
+  assert.equal(await first, 'focused');
+  assert.equal(await second, 'closed');
+  assert.equal(bridge.pendingRequests.size, 0);
+});
+
+test('message RPC rejects with structured errors on remote failure and timeout', async (t) => {
+  const { bridge, posted, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  const failing = bridge.callBridgeMethod('launchApp', 'nope');
+  await delay();
+  bridge.handleMessage({
+    type: 'response',
+    id: posted[0].id,
+    error: { code: 'not_found', message: 'App not found' },
+  });
+
+  await assert.rejects(failing, (error) => {
+    assert.ok(error instanceof BridgeError);
+    assert.equal(error.code, 'remote_error');
+    assert.equal(error.method, 'launchApp');
+    assert.equal(error.remote.code, 'not_found');
+    return true;
+  });
+
+  const hung = bridge.invoke('listWindowsJson', [], { timeoutMs: 10 });
+  await assert.rejects(hung, (error) => error.code === 'timeout');
+  assert.equal(posted.at(-1).type, 'cancel');
+  assert.equal(bridge.pendingRequests.size, 0);
+});
+
+test('message RPC calls can be cancelled with an AbortSignal', async (t) => {
+  const { bridge, posted, cleanup } = setupBridge();
+  t.after(cleanup);
+
+  const controller = new AbortController();
+  const call = bridge.invoke('getSystemStatusJson', [], { signal: controller.signal });
+  await delay();
+  controller.abort();
+
+  await assert.rejects(call, (error) => error.code === 'cancelled');
+  assert.deepEqual(posted.at(-1), { type: 'cancel', id: posted[0].id });
+
+  // A late response for the cancelled call is ignored.
+  bridge.handleMessage({ type: 'response', id: posted[0].id, result: '{}' });
+  assert.equal(bridge.pendingRequests.size, 0);
+});
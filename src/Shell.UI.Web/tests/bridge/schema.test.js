@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { ShellEventHandler } from '../../src/js/bridge/events.js';
+import {
+  bridgeDiagnostics,
+  normalizeList,
+  normalizeTrayIcon,
+  normalizeWindow,
+  normalizeSystemStatus,
+} from '../../src/js/bridge/schema.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+
+test('window payloads are normalized to canonical models', () => {
+  assert.equal(normalizeWindow({ hwnd: 1001, state: 'Maximized' }).state, 'maximized');
+  assert.equal(normalizeWindow({ hwnd: '1', state: 1 }).state, 'minimized');
+  assert.deepEqual(normalizeWindow({ hwnd: '7', title: 'Editor' }), {
+    hwnd: '7',
+    title: 'Editor',
+    processId: null,
+    workspaceId: null,
+    state: 'normal',
+    isVisible: true,
+    appId: '',
+    className: '',
+    iconId: null,
+  });
+  assert.deepEqual(normalizeWindow({ hwnd: '7', title: 'Renamed' }, { partial: true }), {
+    hwnd: '7',
+    title: 'Renamed',
+  });
+});
+
+test('tray icons and system status get defaults', () => {
+  assert.equal(normalizeTrayIcon({ id: 'net', title: 'Network' }).tooltip, 'Network');
+  assert.equal(normalizeTrayIcon({ id: 'net' }).tooltip, 'net');
+
+  const status = normalizeSystemStatus({ volume: { levelPercent: 140 }, network: { kind: 'WiFi' } });
+  assert.deepEqual(status.volume, { levelPercent: 100, isMuted: false });
+  assert.equal(status.network.kind, 'wifi');
+});
+
+test('malformed payloads are dropped and reported', () => {
+  bridgeDiagnostics.clear();
+
+  const windows = normalizeList([{ hwnd: '1' }, { title: 'no handle' }, null], normalizeWindow, 'listWindowsJson');
+  assert.deepEqual(windows.map((window) => window.hwnd), ['1']);
+  assert.deepEqual(normalizeList({}, normalizeWindow, 'listWindowsJson'), []);
+
+  const sources = bridgeDiagnostics.getEntries().map((entry) => entry.source);
+  assert.deepEqual(sources, ['listWindowsJson', 'listWindowsJson', 'listWindowsJson']);
+});
+
+test('windowUpdated merges into the existing window without dropping fields', () => {
+  const bridge = new ShellBridge({ transport: null, hostObject: {} });
+  const store = createShellStateStore();
+  new ShellEventHandler(store, bridge).startListening();
+
+  bridge.handleMessage({
+    type: 'windowCreated',
+    data: { hwnd: '5', title: 'Docs', state: 'Normal', appId: 'browser', iconData: 'AAAA' },
+  });
+  bridge.handleMessage({ type: 'windowUpdated', data: { hwnd: '5', title: 'Docs – page 2', state: 'Minimized' } });
+  bridge.handleMessage({ type: 'windowUpdated', data: { title: 'missing hwnd' } });
+
+  const [window] = store.getState().windows;
+  assert.equal(store.getState().windows.length, 1);
+  assert.equal(window.title, 'Docs – page 2');
+  assert.equal(window.state, 'minimized');
+  assert.equal(window.appId, 'browser');
+  assert.match(window.iconId, /^icon-/);
+  assert.equal('iconData' in window, false, 'raw icon data stays out of the store');
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ShellBridge, RPC_MODES } from '../../src/js/bridge/api.js';
+import {
+  TRANSPORTS,
+  createTransportForPage,
+  resolveTransportConfig,
+} from '../../src/js/bridge/transports.js';
+
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  send(json) {
+    this.sent.push(JSON.parse(json));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.({ code: 1000 });
+  }
+}
+
+function createWindow(search, extra = {}) {
+  return {
+    location: { protocol: 'http:', host: 'localhost:9000', search },
+    WebSocket: FakeWebSocket,
+    ...extra,
+  };
+}
+
+test('transport selection honours URL parameters, config and WebView2 defaults', () => {
+  assert.deepEqual(resolveTransportConfig(createWindow('?transport=websocket')), {
+    transport: TRANSPORTS.WEBSOCKET,
+    url: 'ws://localhost:9000/bridge',
+  });
+
+  assert.deepEqual(
+    resolveTransportConfig(
+      createWindow('', { shellBridgeConfig: { transport: 'websocket', url: 'ws://core:1/x' } }),
+    ),
+    { transport: TRANSPORTS.WEBSOCKET, url: 'ws://core:1/x' },
+  );
+
+  const webview = { addEventListener() {} };
+  assert.equal(createTransportForPage(createWindow('', { chrome: { webview } })).name, TRANSPORTS.WEBVIEW);
+  assert.equal(createTransportForPage(createWindow('')), null);
+});
+
+test('WebSocket transport carries events and message RPC calls', async (t) => {
+  FakeWebSocket.instances = [];
+  global.window = createWindow('?transport=websocket&bridgeUrl=ws://dev:8787/bridge');
+  t.after(() => {
+    delete global.window;
+  });
+
+  const bridge = new ShellBridge();
+  assert.equal(bridge.transport.name, TRANSPORTS.WEBSOCKET);
+  assert.equal(bridge.rpcMode, RPC_MODES.MESSAGE);
+
+  const [socket] = FakeWebSocket.instances;
+  assert.equal(socket.url, 'ws://dev:8787/bridge');
+  socket.open();
+
+  const created = [];
+  bridge.on('windowCreated', (data) => created.push(data));
+
+  socket.receive({ type: 'connected', data: { status: 'ok' } });
+  socket.receive({ type: 'windowCreated', data: { hwnd: '42', title: 'Remote' } });
+  assert.equal(bridge.isConnected, true);
+  assert.deepEqual(created.map(({ hwnd, title }) => ({ hwnd, title })), [{ hwnd: '42', title: 'Remote' }]);
+
+  const call = bridge.callBridgeMethod('focusWindow', '42');
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  const [request] = socket.sent;
+  assert.equal(request.type, 'request');
+  assert.equal(request.method, 'focusWindow');
+  assert.deepEqual(request.args, ['42']);
+
+  socket.receive({ type: 'response', id: request.id, result: true });
+  assert.equal(await call, true);
+});
@@ -35,7 +35,12 @@ const waitFor = async (predicate, { timeout = 2000, interval = 10 } = {}) => {
   });
 };
 
-const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+// Let pending bridge work settle, then render synchronously instead of
+// waiting for the next animation frame.
+const nextTick = async () => {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  global.window?.shellDebug?.flush();
+};
 
 const createShellStub = (launchCalls) => ({
   async listWindowsJson() {
@@ -151,7 +156,8 @@ test('TEST-E2E-01: launcher opens Notepad and taskbar reflects the new window',
 
   await import('../../src/js/main.js');
 
-  await waitFor(() => dom.window.document.getElementById('status-text').textContent === 'Connected');
+  await waitFor(() => dom.window.shellDebug?.store.getState().statusText === 'Connected');
+  await nextTick();
 
   const launcherToggle = dom.window.document.getElementById('launcher-toggle');
   launcherToggle.dispatchEvent(new dom.window.MouseEvent('click', { bubbles: true }));
@@ -183,7 +189,7 @@ test('TEST-E2E-01: launcher opens Notepad and taskbar reflects the new window',
 
   const taskbarItems = dom.window.document.querySelectorAll('#taskbar-windows .taskbar-item');
   assert.equal(taskbarItems.length, 1);
-  assert.match(taskbarItems[0].textContent, /Notepad/);
+  assert.match(taskbarItems[0].getAttribute('aria-label'), /Notepad/);
 
   shellBridge.emit('windowFocusChanged', { previousHwnd: '0', currentHwnd: '200' });
   await nextTick();
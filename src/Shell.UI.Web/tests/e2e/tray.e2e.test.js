@@ -9,7 +9,12 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const uiRoot = path.resolve(__dirname, '..', '..');
 const htmlPath = path.join(uiRoot, 'src', 'index.html');
 
-const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+// Let pending bridge work settle, then render synchronously instead of
+// waiting for the next animation frame.
+const nextTick = async () => {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  global.window?.shellDebug?.flush();
+};
 
 const waitFor = async (predicate, { timeout = 2000, interval = 10 } = {}) => {
   const start = Date.now();
@@ -156,9 +161,8 @@ test('TEST-E2E-03: tray icon is rendered and click forwards to shellApi', async
 
   await import('../../src/js/main.js');
 
-  await waitFor(
-    () => dom.window.document.getElementById('status-text').textContent === 'Connected'
-  );
+  await waitFor(() => dom.window.shellDebug?.store.getState().statusText === 'Connected');
+  await nextTick();
 
   const trayContainer = dom.window.document.getElementById('tray-icons');
   await waitFor(() => trayContainer.querySelectorAll('[data-tray-id]').length > 0);
@@ -9,7 +9,12 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const uiRoot = path.resolve(__dirname, '..', '..');
 const htmlPath = path.join(uiRoot, 'src', 'index.html');
 
-const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+// Let pending bridge work settle, then render synchronously instead of
+// waiting for the next animation frame.
+const nextTick = async () => {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  global.window?.shellDebug?.flush();
+};
 
 const waitFor = async (predicate, { timeout = 2000, interval = 10 } = {}) => {
   const start = Date.now();
@@ -149,9 +154,8 @@ test('TEST-E2E-02: workspace strip switches active workspace and highlights sele
 
   await import('../../src/js/main.js');
 
-  await waitFor(
-    () => dom.window.document.getElementById('status-text').textContent === 'Connected'
-  );
+  await waitFor(() => dom.window.shellDebug?.store.getState().statusText === 'Connected');
+  await nextTick();
 
   const workspaceStrip = dom.window.document.getElementById('workspace-strip');
   const workspaceButtons = workspaceStrip.querySelectorAll('[data-workspace-id]');
@@ -177,7 +181,7 @@ test('TEST-E2E-02: workspace strip switches active workspace and highlights sele
   const { shellBridge: bridgeApi } = await import('../../src/js/bridge/api.js');
   bridgeApi.emit('workspaceSwitched', {
     previousWorkspaceId: 'default',
-    newWorkspaceId: 'dev'
+    currentWorkspaceId: 'dev'
   });
   await nextTick();
 
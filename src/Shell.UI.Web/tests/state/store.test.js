@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { createShellStateStore } from '../../src/js/state/store.js';
+import { ACTIONS, createShellStateStore } from '../../src/js/state/store.js';
+import { createStateHistory } from '../../src/js/state/middleware.js';
 
 test('upsertWindow adds and updates windows while notifying subscribers', () => {
   const store = createShellStateStore();
@@ -10,6 +11,7 @@ test('upsertWindow adds and updates windows while notifying subscribers', () =>
   });
 
   store.upsertWindow({ hwnd: 100, title: 'Alpha', workspaceId: 'ws-1' });
+  store.flush();
   assert.equal(lastState.windows.length, 1);
   assert.deepEqual(lastState.windows[0], {
     hwnd: 100,
@@ -18,6 +20,7 @@ test('upsertWindow adds and updates windows while notifying subscribers', () =>
   });
 
   store.upsertWindow({ hwnd: 100, title: 'Alpha Updated' });
+  store.flush();
   assert.equal(lastState.windows.length, 1);
   assert.equal(lastState.windows[0].title, 'Alpha Updated');
 });
@@ -32,6 +35,7 @@ test('removeWindow deletes a window and leaves others intact', () => {
   store.upsertWindow({ hwnd: 100, title: 'Alpha' });
   store.upsertWindow({ hwnd: 200, title: 'Beta' });
   store.removeWindow(100);
+  store.flush();
 
   assert.equal(lastState.windows.length, 1);
   assert.equal(lastState.windows[0].hwnd, 200);
@@ -48,10 +52,12 @@ test('workspaces and active workspace are managed consistently', () => {
     { id: 'ws-1', name: 'Main' },
     { id: 'ws-2', name: 'Focus' },
   ]);
+  store.flush();
   assert.equal(lastState.workspaces.length, 2);
   assert.equal(lastState.activeWorkspaceId, 'ws-1');
 
   store.setActiveWorkspace('ws-2');
+  store.flush();
   assert.equal(lastState.activeWorkspaceId, 'ws-2');
 });
 
@@ -64,6 +70,7 @@ test('tray icons and focus updates clone state safely', () => {
 
   store.setTrayIcons([{ id: 'net', title: 'Network' }]);
   store.setFocusedWindow(1234);
+  store.flush();
 
   const latest = snapshots.at(-1);
   assert.equal(latest.trayIcons.length, 1);
@@ -83,3 +90,171 @@ test('toggleLauncher flips the flag or respects forced state', () => {
   store.toggleLauncher(false);
   assert.equal(store.getState().isLauncherOpen, false);
 });
+
+test('select only notifies when the selected slice changes', () => {
+  const store = createShellStateStore();
+  const focused = [];
+  const windowLists = [];
+  store.select((state) => state.focusedWindowHandle, (hwnd) => focused.push(hwnd));
+  store.select((state) => ({ windows: state.windows }), ({ windows }) => windowLists.push(windows));
+
+  store.upsertWindow({ hwnd: 1, title: 'Alpha' });
+  store.setStatusText('Busy');
+  store.setFocusedWindow(1);
+  store.setFocusedWindow(1);
+  store.flush();
+
+  assert.deepEqual(focused, [null, 1]);
+  assert.equal(windowLists.length, 2);
+
+  const before = windowLists[1];
+  store.upsertWindow({ hwnd: 1, title: 'Alpha 2' });
+  store.flush();
+  assert.equal(windowLists.length, 3);
+  assert.notEqual(windowLists[2], before, 'updates produce a new array');
+  assert.equal(before[0].title, 'Alpha', 'previous slices are never mutated');
+});
+
+test('select unsubscribe stops notifications', () => {
+  const store = createShellStateStore();
+  const calls = [];
+  const unsubscribe = store.select((state) => state.statusText, (text) => calls.push(text));
+  unsubscribe();
+  store.setStatusText('Ignored');
+  store.flush();
+  assert.deepEqual(calls, ['Disconnected']);
+});
+
+test('updates in one tick are coalesced into a single notification', async () => {
+  const store = createShellStateStore();
+  const snapshots = [];
+  store.subscribe((snapshot) => snapshots.push(snapshot));
+
+  store.setStatusText('Syncing...');
+  store.setWindows([{ hwnd: 1, workspaceId: 'ws-1' }]);
+  store.setActiveWorkspace('ws-1');
+  assert.equal(snapshots.length, 1, 'nothing is delivered synchronously');
+
+  await Promise.resolve();
+  assert.equal(snapshots.length, 2);
+  assert.equal(snapshots[1].activeWorkspaceId, 'ws-1');
+  assert.equal(snapshots[1].windows.length, 1);
+});
+
+test('batch delivers one notification when the transaction ends', async () => {
+  const store = createShellStateStore();
+  const snapshots = [];
+  store.subscribe((snapshot) => snapshots.push(snapshot));
+
+  const result = store.batch(() => {
+    store.setWorkspaces([{ id: 'ws-1', name: 'Main' }]);
+    store.batch(() => store.setFocusedWindow(7));
+    assert.equal(snapshots.length, 1, 'nested batches wait for the outer one');
+    return 'done';
+  });
+  assert.equal(result, 'done');
+  assert.equal(snapshots.length, 2);
+  assert.equal(snapshots[1].focusedWindowHandle, 7);
+
+  await store.batch(async () => {
+    store.setStatusText('Loading');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    store.setStatusText('Connected');
+  });
+  assert.equal(snapshots.length, 3);
+  assert.equal(snapshots[2].statusText, 'Connected');
+});
+
+test('middleware sees named actions tagged with their cause', () => {
+  const store = createShellStateStore();
+  const seen = [];
+  const remove = store.use(() => (next) => (action) => {
+    seen.push([action.type, action.cause?.event ?? null]);
+    return next(action);
+  });
+
+  store.setStatusText('Busy');
+  store.runWithCause({ source: 'bridge', event: 'windowCreated' }, () => {
+    store.upsertWindow({ hwnd: 1 });
+  });
+  store.dispatch({ type: ACTIONS.FOCUS_WINDOW, payload: 1 });
+  remove();
+  store.setStatusText('Idle');
+
+  assert.deepEqual(seen, [
+    ['status/setText', null],
+    ['windows/upsert', 'windowCreated'],
+    ['windows/focus', null],
+  ]);
+  assert.equal(store.getState().focusedWindowHandle, 1);
+  assert.throws(() => store.dispatch({ type: 'nope' }), /Unknown store action/);
+});
+
+test('state history steps backwards and forwards through changes', () => {
+  const store = createShellStateStore();
+  const history = createStateHistory({ limit: 10 });
+  store.use(history.middleware);
+
+  store.upsertWindow({ hwnd: 1, title: 'Alpha' });
+  store.upsertWindow({ hwnd: 1, title: 'Beta' });
+  store.removeWindow(1);
+
+  assert.deepEqual(history.list().map((entry) => entry.type), [
+    '@@init',
+    'windows/upsert',
+    'windows/upsert',
+    'windows/remove',
+  ]);
+
+  history.back();
+  assert.equal(store.getState().windows[0].title, 'Beta');
+  history.back();
+  assert.equal(store.getState().windows[0].title, 'Alpha');
+  history.forward();
+  history.forward();
+  assert.equal(store.getState().windows.length, 0);
+  assert.equal(history.forward(), false);
+  assert.equal(history.list().length, 4, 'time travel is not recorded');
+});
+
+test('state history installed idle records nothing until started', () => {
+  const store = createShellStateStore();
+  const history = createStateHistory({ recording: false });
+  store.use(history.middleware);
+
+  store.upsertWindow({ hwnd: 1, title: 'Alpha' });
+  assert.deepEqual(history.list(), []);
+  assert.equal(history.isRecording(), false);
+
+  history.start();
+  store.upsertWindow({ hwnd: 1, title: 'Beta' });
+  assert.deepEqual(history.list().map((entry) => entry.type), ['@@init', 'windows/upsert']);
+
+  history.back();
+  assert.equal(store.getState().windows[0].title, 'Alpha');
+});
+
+test('state history drops the undone entries when a new action follows back()', () => {
+  const store = createShellStateStore();
+  const history = createStateHistory();
+  store.use(history.middleware);
+
+  store.setStatusText('A');
+  store.setStatusText('B');
+  store.setStatusText('C');
+  history.back();
+  history.back();
+  store.setStatusText('D');
+
+  assert.deepEqual(
+    history.list().map((entry) => [entry.type, entry.isCurrent]),
+    [
+      ['@@init', false],
+      ['status/setText', false],
+      ['status/setText', true],
+    ],
+  );
+  assert.equal(history.forward(), false);
+  history.back();
+  assert.equal(store.getState().statusText, 'A');
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { escapeHtml, html, setHtml } from '../../src/js/utils/html.js';
+
+const HOSTILE = '<img src=x onerror="window.pwned=1"><script>window.pwned=2</script>';
+
+function setupDom(t) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>
+    <button id="launcher-toggle"></button>
+    <button id="launcher-close"></button>
+    <div id="launcher-overlay"></div>
+    <div id="launcher-grid"></div>
+    <div id="workspace-strip"></div>
+    <div id="taskbar-windows"></div>
+    <div id="tray-icons"></div>
+    <div id="desktop-icons"></div>
+  </body>`, { url: 'http://localhost' });
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+
+  const byId = (id) => document.getElementById(id);
+  return {
+    launcherToggle: byId('launcher-toggle'),
+    launcherClose: byId('launcher-close'),
+    launcherOverlay: byId('launcher-overlay'),
+    launcherGrid: byId('launcher-grid'),
+    workspaceStrip: byId('workspace-strip'),
+    taskbarWindows: byId('taskbar-windows'),
+    trayIcons: byId('tray-icons'),
+    desktopIcons: byId('desktop-icons'),
+  };
+}
+
+function assertNoInjectedMarkup(root) {
+  assert.equal(root.querySelector('[onerror], script'), null, 'hostile markup was parsed');
+  assert.equal(root.ownerDocument.defaultView.pwned, undefined);
+}
+
+test('html escapes interpolated values but keeps nested fragments', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;');
+  const items = ['<b>', 'ok'].map((label) => html`<li>${label}</li>`);
+  assert.equal(String(html`<ul>${items}${null}${false && html`x`}</ul>`), '<ul><li>&lt;b&gt;</li><li>ok</li></ul>');
+  assert.throws(() => setHtml({}, '<b>raw</b>'), TypeError);
+});
+
+test('hostile bridge strings render as text in every section', (t) => {
+  const selectors = setupDom(t);
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: HOSTILE }, { id: 'ws-2', name: 'Other' }],
+    activeWorkspaceId: 'ws-1',
+    windows: [
+      { hwnd: '1', title: HOSTILE, appId: 'evil', workspaceId: 'ws-1' },
+      { hwnd: '2', title: HOSTILE, appId: 'evil', workspaceId: 'ws-1' },
+    ],
+    trayIcons: [{ id: 'tray', tooltip: HOSTILE }],
+    desktopItems: [{ name: HOSTILE, path: 'C:\\evil.lnk' }],
+    launcherApps: [{ id: 'evil', name: HOSTILE, description: HOSTILE, iconData: '" onerror="window.pwned=3' }],
+    isLauncherOpen: true,
+  });
+  connectRenderer(store, selectors);
+
+  assertNoInjectedMarkup(document.body);
+  assert.equal(selectors.workspaceStrip.querySelector('strong').textContent, HOSTILE);
+  assert.equal(selectors.launcherGrid.querySelector('strong').textContent, HOSTILE);
+  assert.equal(selectors.launcherGrid.querySelector('p').textContent, HOSTILE);
+  assert.equal(selectors.trayIcons.firstElementChild.title, HOSTILE);
+  assert.equal(selectors.desktopIcons.querySelector('.desktop-icon-label').textContent, HOSTILE);
+});
+
+test('taskbar previews and context menus escape titles and labels', async (t) => {
+  const selectors = setupDom(t);
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }, { id: 'ws-2', name: HOSTILE }],
+    activeWorkspaceId: 'ws-1',
+    windows: [
+      { hwnd: '1', title: HOSTILE, appId: 'evil', workspaceId: 'ws-1' },
+      { hwnd: '2', title: HOSTILE, appId: 'evil', workspaceId: 'ws-1' },
+    ],
+  });
+  connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+
+  const button = selectors.taskbarWindows.querySelector('.taskbar-item');
+  button.dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+  const preview = document.querySelector('.taskbar-preview-menu');
+  assert.ok(preview, 'preview menu should open for a group');
+  assert.equal(preview.querySelector('.taskbar-preview-item__title').textContent, HOSTILE);
+
+  button.dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+  const labels = Array.from(document.querySelectorAll('.context-menu-item')).map((item) =>
+    item.textContent.trim(),
+  );
+  assert.ok(labels.includes(`Move to ${HOSTILE}`), 'workspace name shows as text');
+
+  assertNoInjectedMarkup(document.body);
+
+  // Let the menu install its outside-click handler before the DOM goes away.
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { createIconRegistry, iconSource, trackIconReferences } from '../../src/js/utils/icons.js';
+
+const PNG_A = Buffer.from('icon-a').toString('base64');
+const PNG_B = Buffer.from('icon-b').toString('base64');
+
+function delay(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createFakeUrlApi() {
+  const created = [];
+  const revoked = [];
+  return {
+    created,
+    revoked,
+    createObjectURL(blob) {
+      const url = `blob:test/${created.length}`;
+      created.push({ url, type: blob.type });
+      return url;
+    },
+    revokeObjectURL: (url) => revoked.push(url),
+  };
+}
+
+test('identical icon data is decoded once into a shared blob URL', () => {
+  const urlApi = createFakeUrlApi();
+  const registry = createIconRegistry({ urlApi });
+
+  const first = registry.register(PNG_A);
+  const second = registry.register(PNG_A);
+  const other = registry.register(PNG_B);
+
+  assert.equal(first, second);
+  assert.notEqual(first, other);
+  assert.deepEqual(urlApi.created.map((entry) => entry.type), ['image/png', 'image/png']);
+  assert.equal(registry.getUrl(first), 'blob:test/0');
+  assert.equal(registry.register(''), null);
+  assert.equal(iconSource({ iconId: first }, registry), 'blob:test/0');
+  assert.equal(iconSource({ iconData: 'QUJD' }, registry), 'data:image/png;base64,QUJD');
+});
+
+test('different icons whose hashes collide keep their own blob URLs', () => {
+  const urlApi = createFakeUrlApi();
+  const registry = createIconRegistry({ urlApi, hash: () => 'icon-same' });
+
+  const first = registry.register(PNG_A);
+  const second = registry.register(PNG_B);
+
+  assert.notEqual(first, second);
+  assert.equal(registry.register(PNG_A), first);
+  assert.equal(registry.register(PNG_B), second);
+  assert.equal(registry.getUrl(first), 'blob:test/0');
+  assert.equal(registry.getUrl(second), 'blob:test/1');
+});
+
+test('icons are revoked once the store no longer references them', async () => {
+  const urlApi = createFakeUrlApi();
+  const registry = createIconRegistry({ urlApi, graceMs: 5 });
+  const iconA = registry.register(PNG_A);
+  const iconB = registry.register(PNG_B);
+
+  const store = createShellStateStore({
+    windows: [
+      { hwnd: '1', iconId: iconA },
+      { hwnd: '2', iconId: iconA },
+    ],
+    trayIcons: [{ id: 'net', iconId: iconB }],
+  });
+  const stopTracking = trackIconReferences(store, registry);
+  assert.deepEqual(registry.stats(), [
+    { id: iconA, refs: 2 },
+    { id: iconB, refs: 1 },
+  ]);
+
+  store.removeWindow('1');
+  store.removeTrayIcon('net');
+  store.flush();
+  await delay(20);
+
+  assert.deepEqual(urlApi.revoked, ['blob:test/1']);
+  assert.deepEqual(registry.stats(), [{ id: iconA, refs: 1 }]);
+
+  stopTracking();
+  await delay(20);
+  assert.deepEqual(urlApi.revoked, ['blob:test/1', 'blob:test/0']);
+  assert.deepEqual(registry.stats(), []);
+});
@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import shellBridge from '../../src/js/bridge/api.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { setupDom } from './taskbarDom.js';
+
+test('a taskbar item menu offers the app jump list, a submenu per window and app actions', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  const store = createShellStateStore({
+    workspaces: [
+      { id: 'ws-1', name: 'Main' },
+      { id: 'ws-2', name: 'Other' },
+    ],
+    activeWorkspaceId: 'ws-1',
+    launcherApps: [{ id: 'editor', name: 'Editor' }],
+  });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+  store.upsertWindow({ hwnd: '1', appId: 'editor', title: 'Notes', workspaceId: 'ws-1' });
+  store.upsertWindow({ hwnd: '2', appId: 'editor', title: 'Draft', workspaceId: 'ws-1' });
+  store.flush();
+
+  const calls = [];
+  const stubs = {
+    isConnected: true,
+    getJumpList: async (appId) => {
+      calls.push(['getJumpList', appId]);
+      return {
+        tasks: [{ id: 'new-file', title: 'New file', path: null }],
+        recent: [{ id: 'readme', title: 'README.md', path: 'C:/docs/README.md' }],
+      };
+    },
+    openJumpListItem: async (appId, itemId) => calls.push(['openJumpListItem', appId, itemId]),
+    launchApp: async (appId) => calls.push(['launchApp', appId]),
+    minimizeWindow: async (hwnd) => calls.push(['minimizeWindow', hwnd]),
+    closeWindow: async (hwnd) => calls.push(['closeWindow', hwnd]),
+  };
+  const originals = Object.fromEntries(Object.keys(stubs).map((key) => [key, shellBridge[key]]));
+  Object.assign(shellBridge, stubs);
+  t.after(() => Object.assign(shellBridge, originals));
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+  const openMenu = async () => {
+    selectors.taskbarWindows
+      .querySelector('.taskbar-item')
+      .dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    await settle();
+    return document.querySelector('.taskbar-context-menu');
+  };
+  const labels = (nodes) => Array.from(nodes, (node) => node.textContent.trim());
+  const choose = async (menu, label) => {
+    Array.from(menu.querySelectorAll('.context-menu-item'))
+      .find((item) => item.textContent.trim() === label)
+      .click();
+    await settle();
+  };
+
+  let menu = await openMenu();
+  assert.deepEqual(calls, [['getJumpList', 'editor']]);
+  assert.deepEqual(labels(menu.querySelectorAll('.context-menu-heading')), ['Tasks', 'Recent']);
+  const topLevel = menu.querySelectorAll(
+    ':scope > .context-menu-content > .context-menu-item, :scope > .context-menu-content > .context-menu-submenu > .context-menu-item',
+  );
+  assert.deepEqual(labels(topLevel), [
+    'New file',
+    'README.md',
+    'Notes',
+    'Draft',
+    'New window',
+    'Pin to taskbar',
+    'Close all windows',
+  ]);
+
+  // Each window's actions sit in its submenu, which clicking opens without closing the menu.
+  const draft = Array.from(menu.querySelectorAll('.context-menu-submenu')).find(
+    (submenu) => submenu.firstElementChild.textContent.trim() === 'Draft',
+  );
+  assert.deepEqual(labels(draft.querySelectorAll('.context-menu-submenu__items .context-menu-item')), [
+    'Minimize',
+    'Focus',
+    'Move to Other',
+    'Close',
+  ]);
+  draft.firstElementChild.click();
+  assert.ok(draft.classList.contains('context-menu-submenu--open'));
+  assert.equal(draft.firstElementChild.getAttribute('aria-expanded'), 'true');
+  assert.ok(menu.isConnected);
+
+  draft.querySelector('.context-menu-submenu__items .context-menu-item').click();
+  await settle();
+  assert.deepEqual(calls.at(-1), ['minimizeWindow', '2']);
+  assert.equal(document.querySelector('.taskbar-context-menu'), null);
+
+  await choose(await openMenu(), 'README.md');
+  assert.deepEqual(calls.at(-1), ['openJumpListItem', 'editor', 'readme']);
+
+  await choose(await openMenu(), 'New window');
+  assert.deepEqual(calls.at(-1), ['launchApp', 'editor']);
+
+  await choose(await openMenu(), 'Close all windows');
+  assert.deepEqual(calls.slice(-2), [
+    ['closeWindow', '1'],
+    ['closeWindow', '2'],
+  ]);
+
+  // Without a connected host the menu opens at once, without a jump list.
+  shellBridge.isConnected = false;
+  calls.length = 0;
+  selectors.taskbarWindows
+    .querySelector('.taskbar-item')
+    .dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+  menu = document.querySelector('.taskbar-context-menu');
+  assert.equal(menu.querySelector('.context-menu-heading'), null);
+  assert.deepEqual(calls, []);
+
+  disconnect();
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import ShellEventHandler from '../../src/js/bridge/events.js';
+import ShellSync from '../../src/js/bridge/sync.js';
+import { createFakeCoreHandshake, createFakeShellCore } from '../../src/js/bootstrap/fakeShellCore.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { moveDesktopSelection } from '../../src/js/utils/desktopLayout.js';
+
+function setupDom(t) {
+  const dom = new JSDOM(
+    `<!DOCTYPE html><body>
+      <div id="desktop">
+        <div id="desktop-icons" class="desktop-icon-area"></div>
+        <div id="taskbar-windows" class="taskbar-windows"></div>
+      </div>
+      <div id="monitor-surfaces"></div>
+      <div id="workspace-strip"></div>
+      <div id="tray-icons"></div>
+      <button id="launcher-toggle"></button>
+      <div id="launcher-overlay"><div id="launcher-grid"></div></div>
+    </body>`,
+    { url: 'http://localhost' },
+  );
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+  return {
+    desktop: document.getElementById('desktop'),
+    desktopIcons: document.getElementById('desktop-icons'),
+    taskbarWindows: document.getElementById('taskbar-windows'),
+    monitorSurfaces: document.getElementById('monitor-surfaces'),
+    workspaceStrip: document.getElementById('workspace-strip'),
+    trayIcons: document.getElementById('tray-icons'),
+    launcherToggle: document.getElementById('launcher-toggle'),
+    launcherOverlay: document.getElementById('launcher-overlay'),
+    launcherGrid: document.getElementById('launcher-grid'),
+  };
+}
+
+// A fake core with `monitors` displays, synced into a store that renders into `selectors`.
+async function startShell(selectors, coreOptions) {
+  let bridge = null;
+  const core = createFakeShellCore({
+    ...coreOptions,
+    emit: (type, data) => bridge.handleMessage({ type, data }),
+  });
+  bridge = new ShellBridge({ transport: null, hostObject: core });
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+
+  const store = createShellStateStore();
+  const events = new ShellEventHandler(store, bridge);
+  events.startListening();
+  await new ShellSync(store, bridge).initialize();
+  const disconnect = connectRenderer(store, selectors);
+  store.flush();
+
+  return {
+    core,
+    store,
+    settle: async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      store.flush();
+    },
+    stop: () => {
+      disconnect();
+      events.stopListening();
+    },
+  };
+}
+
+const taskbarLabels = (container) =>
+  Array.from(container.querySelectorAll('.taskbar-item')).map((button) => button.title);
+
+const surfaceFor = (selectors, monitorId) =>
+  Array.from(selectors.monitorSurfaces.children).find((surface) => surface.dataset.monitorId === monitorId);
+
+test('each monitor gets a taskbar with the windows on it', async (t) => {
+  const selectors = setupDom(t);
+  const shell = await startShell(selectors, {
+    monitors: 3,
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    windows: [
+      { hwnd: '1', title: 'Editor', monitorId: 'DISPLAY1' },
+      { hwnd: '2', title: 'Browser', monitorId: 'DISPLAY2' },
+      { hwnd: '3', title: 'Chat', monitorId: 'DISPLAY3' },
+    ],
+  });
+
+  assert.deepEqual(
+    shell.store.getState().monitors.map((monitor) => [monitor.id, monitor.isPrimary]),
+    [['DISPLAY1', true], ['DISPLAY2', false], ['DISPLAY3', false]],
+  );
+  assert.equal(selectors.desktop.dataset.monitorId, 'DISPLAY1');
+  assert.equal(selectors.desktop.style.position, 'absolute');
+  assert.equal(selectors.monitorSurfaces.children.length, 2);
+  assert.equal(surfaceFor(selectors, 'DISPLAY3').style.left, '66.6667%');
+
+  assert.deepEqual(taskbarLabels(selectors.taskbarWindows), ['Editor']);
+  assert.deepEqual(taskbarLabels(surfaceFor(selectors, 'DISPLAY2')), ['Browser']);
+  assert.deepEqual(taskbarLabels(surfaceFor(selectors, 'DISPLAY3')), ['Chat']);
+
+  shell.core.simulateWindowMovedToMonitor('3', 'DISPLAY2');
+  await shell.settle();
+  assert.deepEqual(taskbarLabels(surfaceFor(selectors, 'DISPLAY2')), ['Browser', 'Chat']);
+  assert.deepEqual(taskbarLabels(surfaceFor(selectors, 'DISPLAY3')), []);
+
+  // Option: one taskbar, on the primary monitor, with every window.
+  shell.store.setTaskbarSettings({ monitorMode: 'primary' });
+  shell.store.flush();
+  assert.deepEqual(taskbarLabels(selectors.taskbarWindows), ['Editor', 'Browser', 'Chat']);
+  assert.equal(surfaceFor(selectors, 'DISPLAY2').querySelector('.monitor-surface__taskbar').style.display, 'none');
+  shell.store.setTaskbarSettings({ monitorMode: 'perMonitor' });
+
+  // Unplugging displays moves their windows to the primary one.
+  shell.core.simulateMonitorsChanged(1);
+  await shell.settle();
+  assert.equal(selectors.monitorSurfaces.children.length, 0);
+  assert.equal(selectors.desktop.style.position, '');
+  assert.deepEqual(taskbarLabels(selectors.taskbarWindows), ['Editor', 'Browser', 'Chat']);
+
+  shell.stop();
+});
+
+test('desktop icon positions are kept per monitor', async (t) => {
+  const selectors = setupDom(t);
+  // A layout saved before multi-monitor support.
+  window.localStorage.setItem(
+    'shelled.desktopLayout.v2',
+    JSON.stringify({ 'C:\\Notes.txt': { col: 0, row: 0 }, 'C:\\Projects': { col: 0, row: 1 } }),
+  );
+  const shell = await startShell(selectors, {
+    monitors: 2,
+    desktopItems: [
+      { name: 'Notes', path: 'C:\\Notes.txt' },
+      { name: 'Projects', path: 'C:\\Projects' },
+    ],
+  });
+
+  const iconPaths = (area) => Array.from(area.querySelectorAll('.desktop-icon')).map((icon) => icon.dataset.desktopPath);
+  const secondaryArea = surfaceFor(selectors, 'DISPLAY2').querySelector('.desktop-icon-area');
+  assert.deepEqual(iconPaths(selectors.desktopIcons), ['C:\\Notes.txt', 'C:\\Projects']);
+  assert.deepEqual(iconPaths(secondaryArea), []);
+
+  // Drag Projects onto the second monitor's top-left cell.
+  const { desktopItems, monitors } = shell.store.getState();
+  moveDesktopSelection(desktopItems, ['C:\\Projects'], 0, -126, secondaryArea, null, null, {
+    monitorId: 'DISPLAY2',
+    monitors,
+  });
+  shell.store.setDesktopItems(desktopItems);
+  shell.store.flush();
+  assert.deepEqual(iconPaths(selectors.desktopIcons), ['C:\\Notes.txt']);
+  assert.deepEqual(iconPaths(secondaryArea), ['C:\\Projects']);
+  assert.equal(secondaryArea.querySelector('.desktop-icon').style.top, '8px');
+
+  // Without the second monitor the icon is shown on the primary one, in a free
+  // cell, and returns to its place when the monitor comes back.
+  shell.core.simulateMonitorsChanged(1);
+  await shell.settle();
+  assert.deepEqual(iconPaths(selectors.desktopIcons), ['C:\\Notes.txt', 'C:\\Projects']);
+  assert.equal(selectors.desktopIcons.querySelector('[data-desktop-path="C:\\\\Projects"]').style.left, '120px');
+
+  shell.core.simulateMonitorsChanged(2);
+  await shell.settle();
+  const restoredArea = surfaceFor(selectors, 'DISPLAY2').querySelector('.desktop-icon-area');
+  assert.deepEqual(iconPaths(restoredArea), ['C:\\Projects']);
+  assert.equal(JSON.parse(window.localStorage.getItem('shelled.desktopLayout.v3'))['C:\\Projects'].monitorId, 'DISPLAY2');
+
+  shell.stop();
+});
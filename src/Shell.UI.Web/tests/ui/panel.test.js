@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { createFakeCoreHandshake, createFakeShellCore } from '../../src/js/bootstrap/fakeShellCore.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { createPanel, createWidgetRegistry } from '../../src/js/ui/panel.js';
+import { BUILT_IN_WIDGETS } from '../../src/js/ui/widgets.js';
+import { startSystemStatusPolling } from '../../src/js/utils/systemStatus.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+function setupDom(t) {
+  const dom = new JSDOM('<!DOCTYPE html><body><div id="panel-widgets"></div><p id="outside"></p></body>');
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+  return document.getElementById('panel-widgets');
+}
+
+const widgetIds = (container) => Array.from(container.children).map((slot) => slot.dataset.widgetId);
+
+test('widgets are added, removed and reordered through a persisted layout', (t) => {
+  const container = setupDom(t);
+  const storage = createMemoryStorage();
+  const store = createShellStateStore();
+  const registry = createWidgetRegistry(BUILT_IN_WIDGETS);
+  const panel = createPanel({ container, store, bridge: {}, registry, storage });
+
+  assert.deepEqual(widgetIds(container), ['network', 'volume', 'clock']);
+  assert.match(container.querySelector('.panel-clock').textContent, /\d/);
+  const clockSlot = container.querySelector('[data-widget-id="clock"]');
+
+  // A custom widget fed by its own subscription.
+  const subscriptions = [];
+  panel.setLayout(['clock', 'weather', 'volume']);
+  assert.deepEqual(widgetIds(container), ['clock', 'volume'], 'unregistered ids wait for their widget');
+  panel.registerWidget({
+    id: 'weather',
+    label: 'Weather',
+    subscribe(_context, update) {
+      const subscription = { active: true, update };
+      subscriptions.push(subscription);
+      update('21°');
+      return () => {
+        subscription.active = false;
+      };
+    },
+    render(element, temperature) {
+      element.textContent = temperature;
+    },
+  });
+  assert.deepEqual(widgetIds(container), ['clock', 'weather', 'volume']);
+  assert.equal(container.querySelector('[data-widget-id="clock"]'), clockSlot, 'slots are reused');
+
+  subscriptions[0].update('23°');
+  assert.equal(container.querySelector('[data-widget-id="weather"]').textContent, '23°');
+
+  panel.moveWidget('weather', 0);
+  panel.removeWidget('volume');
+  panel.addWidget('cpu');
+  assert.deepEqual(widgetIds(container), ['weather', 'clock', 'cpu']);
+  assert.equal(container.querySelector('.cpu-meter__value').textContent, '--');
+
+  panel.removeWidget('weather');
+  assert.equal(subscriptions[0].active, false, 'removed widgets unsubscribe');
+
+  const reloaded = createPanel({ container: document.createElement('div'), store, bridge: {}, registry, storage });
+  assert.deepEqual(reloaded.getLayout(), ['clock', 'cpu']);
+  reloaded.destroy();
+  panel.destroy();
+});
+
+test('status widgets render polled host data and act through their flyouts', async (t) => {
+  const container = setupDom(t);
+  const core = createFakeShellCore({ systemStatus: { volume: { levelPercent: 40 }, cpu: { usagePercent: 73 } } });
+  const bridge = new ShellBridge({ transport: null, hostObject: core });
+  bridge.handleMessage({ type: 'connected', data: createFakeCoreHandshake(core) });
+  const store = createShellStateStore();
+  const poller = startSystemStatusPolling(store, bridge, { intervalMs: 60000 });
+  await poller.refresh();
+
+  const panel = createPanel({
+    container,
+    store,
+    bridge,
+    registry: createWidgetRegistry(BUILT_IN_WIDGETS),
+    context: { refreshStatus: poller.refresh },
+    storage: null,
+    layout: ['cpu', 'volume'],
+  });
+  store.flush();
+
+  const cpu = container.querySelector('[data-widget-id="cpu"]');
+  const volume = container.querySelector('[data-widget-id="volume"]');
+  assert.equal(cpu.getAttribute('aria-label'), 'CPU 73%');
+  assert.equal(volume.getAttribute('aria-label'), 'Volume 40%');
+
+  volume.click();
+  const flyout = document.querySelector('.panel-flyout');
+  assert.equal(flyout.classList.contains('open'), true);
+  assert.equal(volume.getAttribute('aria-expanded'), 'true');
+  assert.equal(flyout.querySelector('.volume-flyout__slider').value, '40');
+
+  flyout.querySelector('.volume-flyout__mute').click();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  store.flush();
+  assert.equal(volume.getAttribute('aria-label'), 'Volume muted');
+  assert.equal(flyout.querySelector('.volume-flyout__mute').classList.contains('volume-flyout__mute--muted'), true);
+
+  document.getElementById('outside').click();
+  assert.equal(flyout.classList.contains('open'), false, 'clicking elsewhere closes the flyout');
+  assert.equal(volume.getAttribute('aria-expanded'), 'false');
+
+  poller.stop();
+  panel.destroy();
+});
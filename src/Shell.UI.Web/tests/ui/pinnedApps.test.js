@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import shellBridge from '../../src/js/bridge/api.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { persistTaskbarSettings } from '../../src/js/state/taskbarSettings.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { setupDom } from './taskbarDom.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+const LAUNCHER_APPS = [
+  { id: 'browser', name: 'Browser' },
+  { id: 'terminal', name: 'Terminal' },
+];
+
+test('pinned apps stay on the taskbar, merge with their windows and keep their dragged order', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  const storage = createMemoryStorage();
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+    launcherApps: LAUNCHER_APPS,
+  });
+  const stopPersisting = persistTaskbarSettings(store, { storage });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+
+  const launched = [];
+  const originalLaunch = shellBridge.launchApp;
+  shellBridge.launchApp = async (appId) => {
+    launched.push(appId);
+    return true;
+  };
+  const settle = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    store.flush();
+  };
+  const items = () => Array.from(selectors.taskbarWindows.querySelectorAll('.taskbar-item'));
+  const itemFor = (appId) => items().find((item) => item.dataset.appId === appId);
+  const dispatch = (target, type, init = {}) =>
+    target.dispatchEvent(new dom.window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, ...init }));
+  const chooseMenuItem = async (label) => {
+    const item = Array.from(document.querySelectorAll('.context-menu-item')).find(
+      (node) => node.textContent.trim() === label,
+    );
+    assert.ok(item, `menu item "${label}"`);
+    item.click();
+    await settle();
+  };
+
+  // Pin from the launcher: the app shows on the taskbar without a window.
+  store.toggleLauncher(true);
+  store.flush();
+  dispatch(selectors.launcherGrid.querySelector('[data-app-id="terminal"]'), 'contextmenu');
+  await chooseMenuItem('Pin to taskbar');
+  const terminal = itemFor('terminal');
+  assert.equal(terminal.getAttribute('aria-label'), 'Open Terminal');
+  assert.ok(!terminal.classList.contains('taskbar-item--running'));
+
+  dispatch(terminal, 'click');
+  await settle();
+  assert.deepEqual(launched, ['terminal']);
+
+  // Its window joins the pinned item rather than adding another.
+  store.upsertWindow({ hwnd: '10', appId: 'terminal', title: 'bash', workspaceId: 'ws-1' });
+  store.upsertWindow({ hwnd: '11', appId: 'browser', title: 'Docs', workspaceId: 'ws-1' });
+  store.flush();
+  assert.equal(itemFor('terminal'), terminal);
+  assert.equal(terminal.getAttribute('aria-label'), 'Focus Terminal');
+  assert.deepEqual(items().map((item) => item.dataset.appId), ['terminal', 'browser']);
+
+  // Pin a running app from its taskbar menu.
+  dispatch(itemFor('browser'), 'contextmenu');
+  await chooseMenuItem('Pin to taskbar');
+  assert.deepEqual(store.getState().taskbarSettings.pinnedAppIds, ['terminal', 'browser']);
+
+  // Drag Browser in front of Terminal.
+  items().forEach((item, index) => {
+    item.getBoundingClientRect = () => ({ left: index * 52, width: 44, top: 0, height: 44 });
+  });
+  const browser = itemFor('browser');
+  dispatch(browser, 'pointerdown', { clientX: 74, clientY: 20 });
+  dispatch(browser, 'pointermove', { clientX: 10, clientY: 20 });
+  dispatch(browser, 'pointerup', { clientX: 10, clientY: 20 });
+  dispatch(browser, 'click');
+  store.flush();
+  assert.deepEqual(items().map((item) => item.dataset.appId), ['browser', 'terminal']);
+  assert.deepEqual(launched, ['terminal'], 'the drop is not a click');
+
+  // Closing a pinned app's window leaves the pinned item; unpinning it then removes it.
+  store.removeWindow('10');
+  store.flush();
+  assert.equal(itemFor('terminal').getAttribute('aria-label'), 'Open Terminal');
+  dispatch(itemFor('terminal'), 'contextmenu');
+  await chooseMenuItem('Unpin from taskbar');
+  assert.deepEqual(items().map((item) => item.dataset.appId), ['browser']);
+
+  // Pins and order survive a restart.
+  const restarted = createShellStateStore();
+  persistTaskbarSettings(restarted, { storage });
+  assert.deepEqual(restarted.getState().taskbarSettings.pinnedAppIds, ['browser']);
+  assert.deepEqual(restarted.getState().taskbarSettings.order.slice(0, 1), ['browser']);
+
+  shellBridge.launchApp = originalLaunch;
+  disconnect();
+  stopPersisting();
+});
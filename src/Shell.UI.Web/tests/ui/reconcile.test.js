@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { reconcileChildren } from '../../src/js/ui/reconcile.js';
+
+function setupDom(t, body) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${body}</body>`);
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+  return dom.window.document;
+}
+
+test('reconcileChildren reuses, reorders and removes keyed nodes', (t) => {
+  const doc = setupDom(t, '<ul id="list"><li class="placeholder">Empty</li></ul>');
+  const list = doc.getElementById('list');
+  const render = (items) =>
+    reconcileChildren(list, items, {
+      dataKey: 'itemId',
+      getKey: (item) => item.id,
+      create: () => doc.createElement('li'),
+      update: (node, item) => {
+        node.textContent = item.label;
+      },
+    });
+
+  render([{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }, { id: 'c', label: 'C' }]);
+  const [a, b, c] = list.children;
+  assert.equal(list.querySelector('.placeholder'), null);
+
+  render([{ id: 'c', label: 'C!' }, { id: 'a', label: 'A' }]);
+  assert.deepEqual(Array.from(list.children), [c, a]);
+  assert.equal(c.textContent, 'C!');
+  assert.equal(b.isConnected, false);
+});
+
+test('keyboard focus and node identity survive taskbar and tray updates', (t) => {
+  const doc = setupDom(t, `
+    <div id="launcher-overlay"></div>
+    <button id="launcher-toggle"></button>
+    <div id="launcher-grid"></div>
+    <div id="workspace-strip"></div>
+    <div id="taskbar-windows"></div>
+    <div id="tray-icons"></div>
+  `);
+  const byId = (id) => doc.getElementById(id);
+  const selectors = {
+    launcherOverlay: byId('launcher-overlay'),
+    launcherToggle: byId('launcher-toggle'),
+    launcherGrid: byId('launcher-grid'),
+    workspaceStrip: byId('workspace-strip'),
+    taskbarWindows: byId('taskbar-windows'),
+    trayIcons: byId('tray-icons'),
+  };
+
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+    windows: [
+      { hwnd: '1', title: 'Editor', workspaceId: 'ws-1' },
+      { hwnd: '2', title: 'Terminal', workspaceId: 'ws-1' },
+    ],
+    trayIcons: [{ id: 'net', tooltip: 'Network' }],
+  });
+  connectRenderer(store, selectors);
+
+  const terminalButton = selectors.taskbarWindows.querySelector('[data-group-key="2"]');
+  const trayButton = selectors.trayIcons.querySelector('[data-tray-id="net"]');
+  terminalButton.focus();
+
+  store.upsertWindow({ hwnd: '2', title: 'Terminal – npm test' });
+  store.setFocusedWindow('2');
+  store.upsertWindow({ hwnd: '3', title: 'Browser', workspaceId: 'ws-1' });
+  store.upsertTrayIcon({ id: 'net', tooltip: 'Network – connected' });
+  store.flush();
+
+  assert.equal(doc.activeElement, terminalButton);
+  assert.equal(terminalButton.title, 'Terminal – npm test');
+  assert.ok(terminalButton.classList.contains('focused'));
+  assert.equal(selectors.taskbarWindows.children.length, 3);
+  assert.equal(selectors.trayIcons.querySelector('[data-tray-id="net"]'), trayButton);
+  assert.equal(trayButton.title, 'Network – connected');
+
+  store.removeWindow('1');
+  store.flush();
+  assert.equal(doc.activeElement, terminalButton);
+  assert.deepEqual(
+    Array.from(selectors.taskbarWindows.children).map((node) => node.dataset.groupKey),
+    ['2', '3'],
+  );
+});
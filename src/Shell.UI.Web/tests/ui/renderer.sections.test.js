@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+
+test('title changes re-render the taskbar but not desktop icons or workspaces', (t) => {
+  const dom = new JSDOM(`<!DOCTYPE html><body>
+    <div id="desktop-icons"></div>
+    <div id="launcher-overlay"></div>
+    <button id="launcher-toggle"></button>
+    <div id="launcher-grid"></div>
+    <div id="workspace-strip"></div>
+    <div id="taskbar-windows"></div>
+    <div id="tray-icons"></div>
+  </body>`);
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+
+  const byId = (id) => document.getElementById(id);
+  const selectors = {
+    desktopIcons: byId('desktop-icons'),
+    launcherOverlay: byId('launcher-overlay'),
+    launcherToggle: byId('launcher-toggle'),
+    launcherGrid: byId('launcher-grid'),
+    workspaceStrip: byId('workspace-strip'),
+    taskbarWindows: byId('taskbar-windows'),
+    trayIcons: byId('tray-icons'),
+  };
+
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+    desktopItems: [{ name: 'Notes', path: 'C:\\Notes.txt' }],
+  });
+  const disconnect = connectRenderer(store, selectors);
+  store.upsertWindow({ hwnd: '1', title: 'Terminal', workspaceId: 'ws-1' });
+  store.flush();
+
+  const desktopIcon = selectors.desktopIcons.firstElementChild;
+  const workspaceIndicator = selectors.workspaceStrip.firstElementChild;
+  const workspaceLabel = workspaceIndicator.querySelector('strong');
+  assert.ok(desktopIcon);
+
+  for (let i = 0; i < 5; i += 1) {
+    store.upsertWindow({ hwnd: '1', title: `Terminal – build ${i}` });
+    store.flush();
+  }
+
+  assert.equal(selectors.desktopIcons.firstElementChild, desktopIcon);
+  assert.equal(workspaceIndicator.querySelector('strong'), workspaceLabel);
+  assert.equal(selectors.taskbarWindows.querySelector('.taskbar-item').title, 'Terminal – build 4');
+
+  store.upsertWindow({ hwnd: '2', title: 'Second', workspaceId: 'ws-1' });
+  store.flush();
+  assert.equal(selectors.workspaceStrip.firstElementChild, workspaceIndicator, 'nodes are reused');
+  assert.notEqual(workspaceIndicator.querySelector('strong'), workspaceLabel);
+  assert.match(selectors.workspaceStrip.textContent, /2 windows/);
+
+  disconnect();
+  store.setDesktopItems([]);
+  store.flush();
+  assert.equal(selectors.desktopIcons.firstElementChild, desktopIcon);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { createRenderScheduler } from '../../src/js/ui/scheduler.js';
+
+function createManualFrames() {
+  const callbacks = new Map();
+  let nextId = 1;
+  return {
+    requestFrame(callback) {
+      callbacks.set(nextId, callback);
+      return nextId++;
+    },
+    cancelFrame: (id) => callbacks.delete(id),
+    runFrame() {
+      const pending = Array.from(callbacks.values());
+      callbacks.clear();
+      pending.forEach((callback) => callback());
+    },
+    get pending() {
+      return callbacks.size;
+    },
+  };
+}
+
+test('dirty sections render once per frame with their latest state', () => {
+  const frames = createManualFrames();
+  const scheduler = createRenderScheduler(frames);
+  const rendered = [];
+
+  scheduler.schedule('taskbar', () => rendered.push('taskbar 1'));
+  scheduler.schedule('tray', () => rendered.push('tray'));
+  scheduler.schedule('taskbar', () => rendered.push('taskbar 2'));
+  assert.equal(frames.pending, 1, 'one frame is requested');
+  assert.deepEqual(rendered, []);
+
+  frames.runFrame();
+  assert.deepEqual(rendered, ['taskbar 2', 'tray']);
+
+  scheduler.schedule('tray', () => rendered.push('tray again'));
+  scheduler.flush();
+  assert.deepEqual(rendered, ['taskbar 2', 'tray', 'tray again']);
+  assert.equal(frames.pending, 0, 'flush cancels the requested frame');
+  assert.equal(scheduler.hasPending(), false);
+});
+
+test('a scheduled renderer touches the DOM only when the frame runs', (t) => {
+  const dom = new JSDOM(`<!DOCTYPE html><body>
+    <div id="launcher-overlay"></div>
+    <button id="launcher-toggle"></button>
+    <div id="launcher-grid"></div>
+    <div id="workspace-strip"></div>
+    <div id="taskbar-windows"></div>
+    <div id="tray-icons"></div>
+  </body>`);
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+
+  const byId = (id) => document.getElementById(id);
+  const selectors = {
+    launcherOverlay: byId('launcher-overlay'),
+    launcherToggle: byId('launcher-toggle'),
+    launcherGrid: byId('launcher-grid'),
+    workspaceStrip: byId('workspace-strip'),
+    taskbarWindows: byId('taskbar-windows'),
+    trayIcons: byId('tray-icons'),
+  };
+
+  const frames = createManualFrames();
+  const scheduler = createRenderScheduler(frames);
+  const store = createShellStateStore({ workspaces: [{ id: 'ws-1', name: 'Main' }], activeWorkspaceId: 'ws-1' });
+  connectRenderer(store, selectors, { scheduler });
+  frames.runFrame();
+
+  for (let i = 0; i < 20; i += 1) {
+    store.upsertWindow({ hwnd: '1', title: `Build ${i}`, workspaceId: 'ws-1' });
+    store.flush();
+  }
+  assert.equal(selectors.taskbarWindows.querySelector('.taskbar-item'), null);
+
+  scheduler.flush();
+  assert.equal(selectors.taskbarWindows.querySelector('.taskbar-item').title, 'Build 19');
+});
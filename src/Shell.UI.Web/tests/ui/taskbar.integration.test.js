@@ -84,6 +84,7 @@ test('rendering two windows produces two taskbar items', (t) => {
 
   store.upsertWindow({ hwnd: 'hwnd-1', title: 'Alpha', workspaceId: 'ws-main' });
   store.upsertWindow({ hwnd: 'hwnd-2', title: 'Beta', workspaceId: 'ws-main' });
+  store.flush();
 
   const items = selectors.taskbarWindows.querySelectorAll('.taskbar-item');
   assert.equal(items.length, 2, 'expected two taskbar items');
@@ -99,6 +100,7 @@ test('clicking a taskbar item delegates to shellBridge.focusWindow', async (t) =
   wireInteractions(selectors, store);
 
   store.upsertWindow({ hwnd: 'hwnd-201', title: 'Docs', workspaceId: 'ws-main', state: 'normal' });
+  store.flush();
 
   const button = selectors.taskbarWindows.querySelector('.taskbar-item');
   assert.ok(button, 'taskbar item should be rendered');
@@ -122,3 +124,37 @@ test('clicking a taskbar item delegates to shellBridge.focusWindow', async (t) =
 
   assert.deepEqual(focusCalls, ['hwnd-201']);
 });
+
+test('taskbar items combine the attention and progress of their windows', (t) => {
+  const { selectors, cleanup } = setupDom();
+  t.after(cleanup);
+
+  const store = createStoreWithRenderer(selectors);
+  store.upsertWindow({ hwnd: 'a', appId: 'builds', title: 'Build 1', workspaceId: 'ws-main', progressState: 'normal', progressValue: 20 });
+  store.upsertWindow({ hwnd: 'b', appId: 'builds', title: 'Build 2', workspaceId: 'ws-main', progressState: 'normal', progressValue: 60 });
+  store.upsertWindow({ hwnd: 'c', appId: 'chat', title: 'Chat', workspaceId: 'ws-main', isFlashing: true });
+  store.flush();
+
+  const [builds, chat] = selectors.taskbarWindows.querySelectorAll('.taskbar-item');
+  const bar = builds.querySelector('.taskbar-item__progress');
+  assert.equal(bar.dataset.progressState, 'normal');
+  assert.equal(bar.firstElementChild.style.width, '40%');
+  assert.equal(builds.getAttribute('aria-label'), 'Build 1 (2 windows), 40%');
+  assert.ok(chat.classList.contains('taskbar-item--flashing'));
+  assert.equal(chat.getAttribute('aria-label'), 'Focus Chat, needs attention');
+  assert.equal(chat.querySelector('.taskbar-item__progress'), null);
+
+  // A failing window marks the whole group; the bar goes once none report progress.
+  store.upsertWindow({ hwnd: 'b', progressState: 'error' });
+  store.flush();
+  assert.equal(bar.dataset.progressState, 'error');
+  store.upsertWindow({ hwnd: 'a', progressState: 'none' });
+  store.upsertWindow({ hwnd: 'b', progressState: 'none' });
+  store.flush();
+  assert.equal(builds.querySelector('.taskbar-item__progress'), null);
+
+  // Focusing the window clears its request for attention.
+  store.setFocusedWindow('c');
+  store.flush();
+  assert.ok(!chat.classList.contains('taskbar-item--flashing'));
+});
@@ -0,0 +1,47 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Desktop and taskbar markup shared by the taskbar tests. Installs the JSDOM
+ * window as the global window/document until the test ends.
+ */
+export function setupDom(t) {
+  const dom = new JSDOM(
+    `<!DOCTYPE html><body>
+      <div id="desktop">
+        <div id="desktop-icons" class="desktop-icon-area"></div>
+        <div id="workspace-strip"></div>
+        <footer id="taskbar">
+          <button id="launcher-toggle"></button>
+          <div id="taskbar-windows" class="taskbar-windows"></div>
+          <div id="tray-icons"></div>
+        </footer>
+      </div>
+      <div id="monitor-surfaces"></div>
+      <div id="launcher-overlay"><div id="launcher-grid"></div><button id="launcher-close"></button></div>
+    </body>`,
+    { url: 'http://localhost' },
+  );
+  global.window = dom.window;
+  global.document = dom.window.document;
+  t.after(() => {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+  });
+  return {
+    dom,
+    selectors: {
+      desktop: document.getElementById('desktop'),
+      desktopIcons: document.getElementById('desktop-icons'),
+      taskbar: document.getElementById('taskbar'),
+      taskbarWindows: document.getElementById('taskbar-windows'),
+      monitorSurfaces: document.getElementById('monitor-surfaces'),
+      workspaceStrip: document.getElementById('workspace-strip'),
+      trayIcons: document.getElementById('tray-icons'),
+      launcherToggle: document.getElementById('launcher-toggle'),
+      launcherClose: document.getElementById('launcher-close'),
+      launcherOverlay: document.getElementById('launcher-overlay'),
+      launcherGrid: document.getElementById('launcher-grid'),
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import shellBridge from '../../src/js/bridge/api.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { setupDom } from './taskbarDom.js';
+
+test('taskbar buttons combine always, when the taskbar is full or never', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  let stripWidth = 1016;
+  Object.defineProperty(selectors.taskbarWindows, 'clientWidth', { get: () => stripWidth });
+
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+    launcherApps: [{ id: 'editor', name: 'Editor' }],
+  });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+
+  const focused = [];
+  const originalFocus = shellBridge.focusWindow;
+  shellBridge.focusWindow = async (hwnd) => {
+    focused.push(hwnd);
+    return true;
+  };
+  t.after(() => {
+    shellBridge.focusWindow = originalFocus;
+  });
+
+  const add = (hwnd, fields) => store.upsertWindow({ hwnd, workspaceId: 'ws-1', ...fields });
+  add('1', { appId: 'editor', title: 'Notes' });
+  add('2', { appId: 'editor', title: 'Draft' });
+  // Without an app id: grouped by executable, else by window class.
+  add('3', { title: 'Server A', executablePath: 'C:\\Tools\\putty.exe' });
+  add('4', { title: 'Server B', executablePath: 'D:/portable/PuTTY.EXE' });
+  add('5', { title: 'Console 1', className: 'ConsoleWindowClass' });
+  add('6', { title: 'Console 2', className: 'ConsoleWindowClass' });
+  add('7', { title: 'Loose' });
+  store.flush();
+
+  const items = () => Array.from(selectors.taskbarWindows.querySelectorAll('.taskbar-item'));
+  const keys = () => items().map((item) => item.dataset.groupKey);
+  const titles = () => items().map((item) => item.title);
+  const menuItem = (label) =>
+    Array.from(document.querySelectorAll('.context-menu-item')).find((item) => item.textContent.trim() === label);
+  const setGrouping = async (label) => {
+    selectors.taskbar.dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    menuItem(label).click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    store.flush();
+  };
+
+  assert.deepEqual(keys(), ['editor', 'exe:putty.exe', 'class:ConsoleWindowClass', '7']);
+  assert.deepEqual(items().map((item) => item.dataset.groupSize), ['2', '2', '2', '1']);
+  assert.equal(selectors.desktop.dataset.taskbarCollapsed, 'true');
+
+  // Never: a labelled button per window, each focusing its own window.
+  await setGrouping('Never');
+  assert.deepEqual(titles(), ['Notes', 'Draft', 'Server A', 'Server B', 'Console 1', 'Console 2', 'Loose']);
+  assert.equal(selectors.desktop.dataset.taskbarCollapsed, 'false');
+  assert.equal(selectors.taskbarWindows.dataset.grouping, 'separate');
+  items()[1].click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(focused, ['2']);
+
+  selectors.taskbar.dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+  assert.ok(menuItem('Show window titles').disabled);
+  assert.equal(menuItem('Never').getAttribute('aria-checked'), 'true');
+  document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Escape' }));
+
+  // When full: seven labelled buttons do not fit in 1000px, four do.
+  await setGrouping('When the taskbar is full');
+  assert.deepEqual(keys(), ['editor', 'exe:putty.exe', 'class:ConsoleWindowClass', '7']);
+  assert.equal(selectors.taskbarWindows.dataset.overflow, undefined);
+
+  stripWidth = 1516;
+  dom.window.dispatchEvent(new dom.window.Event('resize'));
+  assert.equal(items().length, 7);
+  assert.equal(selectors.taskbarWindows.dataset.grouping, 'separate');
+
+  disconnect();
+});
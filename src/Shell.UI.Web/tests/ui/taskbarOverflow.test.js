@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import shellBridge from '../../src/js/bridge/api.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { planTaskbarOverflow } from '../../src/js/ui/taskbarOverflow.js';
+import { setupDom } from './taskbarDom.js';
+
+test('taskbar items drop their labels, then scroll, then overflow', () => {
+  assert.deepEqual(planTaskbarOverflow(3, { available: 1000, showLabels: true }), { showLabels: true, visibleCount: 3 });
+  assert.deepEqual(planTaskbarOverflow(8, { available: 1000, showLabels: true }), { showLabels: false, visibleCount: 8 });
+  assert.deepEqual(planTaskbarOverflow(30, { available: 520 }), { showLabels: false, visibleCount: 19 });
+  // Vertical taskbars keep their labels.
+  assert.deepEqual(planTaskbarOverflow(8, { available: 520, showLabels: true, vertical: true }), {
+    showLabels: true,
+    visibleCount: 8,
+  });
+  // Not laid out yet: everything is shown.
+  assert.deepEqual(planTaskbarOverflow(50, { available: 0 }), { showLabels: false, visibleCount: 50 });
+});
+
+test('50 windows fit the taskbar through its overflow menu', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  let stripWidth = 536;
+  Object.defineProperty(selectors.taskbarWindows, 'clientWidth', { get: () => stripWidth });
+
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+  });
+  store.setTaskbarSettings({ collapsed: false });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+
+  const focused = [];
+  const originalFocus = shellBridge.focusWindow;
+  shellBridge.focusWindow = async (hwnd) => {
+    focused.push(hwnd);
+    return true;
+  };
+
+  const items = () => Array.from(selectors.taskbarWindows.querySelectorAll('.taskbar-item'));
+  const overflowButton = () => selectors.taskbarWindows.querySelector('.taskbar-overflow');
+
+  // A couple of windows keep their titles.
+  store.upsertWindow({ hwnd: '1', appId: 'app-1', title: 'Window 1', workspaceId: 'ws-1' });
+  store.upsertWindow({ hwnd: '2', appId: 'app-2', title: 'Window 2', workspaceId: 'ws-1' });
+  store.flush();
+  assert.equal(selectors.taskbarWindows.dataset.overflow, undefined);
+
+  // Too many for titles: icons only, scrolling, all on the strip.
+  for (let index = 3; index <= 15; index += 1) {
+    store.upsertWindow({ hwnd: String(index), appId: `app-${index}`, title: `Window ${index}`, workspaceId: 'ws-1' });
+  }
+  store.flush();
+  assert.equal(selectors.taskbarWindows.dataset.overflow, 'icons');
+  assert.equal(items().length, 15);
+  assert.equal(overflowButton(), null);
+
+  // 50: two strips' worth stay, the rest go behind the overflow button at the end.
+  for (let index = 16; index <= 50; index += 1) {
+    store.upsertWindow({ hwnd: String(index), appId: `app-${index}`, title: `Window ${index}`, workspaceId: 'ws-1' });
+  }
+  store.upsertWindow({ hwnd: '40', appId: 'app-40', title: 'Window 40', workspaceId: 'ws-1', isFlashing: true });
+  store.setFocusedWindow('45');
+  store.flush();
+  assert.equal(items().length, 19);
+  assert.equal(selectors.taskbarWindows.lastElementChild, overflowButton());
+  assert.equal(overflowButton().getAttribute('aria-label'), 'Show 31 more taskbar items');
+  assert.ok(overflowButton().classList.contains('taskbar-overflow--attention'));
+
+  // Its menu lists the focused window, then the one asking for attention, then the rest.
+  overflowButton().click();
+  const menuLabels = Array.from(document.querySelectorAll('.taskbar-overflow-menu .context-menu-item'), (item) =>
+    item.textContent.trim(),
+  );
+  assert.equal(menuLabels.length, 31);
+  assert.deepEqual(menuLabels.slice(0, 4), ['Window 45', 'Window 40', 'Window 20', 'Window 21']);
+
+  Array.from(document.querySelectorAll('.context-menu-item'))
+    .find((item) => item.textContent.trim() === 'Window 30')
+    .click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(focused, ['30']);
+  assert.equal(document.querySelector('.taskbar-overflow-menu'), null);
+
+  // A wider taskbar holds more once the window is resized.
+  stripWidth = 1056;
+  dom.window.dispatchEvent(new dom.window.Event('resize'));
+  assert.equal(items().length, 39);
+  assert.equal(overflowButton().getAttribute('aria-label'), 'Show 11 more taskbar items');
+
+  shellBridge.focusWindow = originalFocus;
+  disconnect();
+});
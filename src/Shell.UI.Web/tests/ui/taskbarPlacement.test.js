@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { normalizeTaskbarSettings, persistTaskbarSettings } from '../../src/js/state/taskbarSettings.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { placeBesideTaskbar, reportTaskbarPlacement } from '../../src/js/ui/taskbarPlacement.js';
+import { setupDom } from './taskbarDom.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+const rect = ({ left = 0, top = 0, width = 0, height = 0 }) => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+  x: left,
+  y: top,
+});
+
+test('taskbar settings keep only known edges and flags', () => {
+  assert.deepEqual(normalizeTaskbarSettings({ edge: 'left', collapsed: false, autoHide: true }), {
+    edge: 'left',
+    collapsed: false,
+    autoHide: true,
+  });
+  assert.deepEqual(normalizeTaskbarSettings({ edge: 'middle', autoHide: 'yes' }), {});
+});
+
+test('popups open beside the taskbar on each edge', () => {
+  const viewport = { width: 1000, height: 800 };
+  const size = { width: 200, height: 100 };
+  const point = { x: 500, y: 400 };
+
+  assert.deepEqual(
+    placeBesideTaskbar({ edge: 'bottom', taskbarRect: rect({ top: 740, width: 1000, height: 60 }), point, size, viewport }),
+    { left: 500, top: 632 },
+  );
+  assert.deepEqual(
+    placeBesideTaskbar({ edge: 'top', taskbarRect: rect({ top: 64, width: 1000, height: 60 }), point, size, viewport }),
+    { left: 500, top: 132 },
+  );
+  assert.deepEqual(
+    placeBesideTaskbar({ edge: 'left', taskbarRect: rect({ width: 68, height: 800 }), point, size, viewport }),
+    { left: 76, top: 400 },
+  );
+  assert.deepEqual(
+    placeBesideTaskbar({
+      edge: 'right',
+      taskbarRect: rect({ left: 932, width: 68, height: 800 }),
+      point,
+      size,
+      viewport,
+      align: 'center',
+    }),
+    { left: 724, top: 350 },
+  );
+  // Kept within the viewport.
+  assert.deepEqual(
+    placeBesideTaskbar({
+      edge: 'bottom',
+      taskbarRect: rect({ top: 740, width: 1000, height: 60 }),
+      point: { x: 990, y: 770 },
+      size,
+      viewport,
+    }),
+    { left: 792, top: 632 },
+  );
+});
+
+test('right-clicking empty taskbar space changes and persists its placement', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  const storage = createMemoryStorage();
+  const store = createShellStateStore({
+    workspaces: [{ id: 'ws-1', name: 'Main' }],
+    activeWorkspaceId: 'ws-1',
+  });
+  const stopPersisting = persistTaskbarSettings(store, { storage });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+  store.upsertWindow({ hwnd: '1', title: 'Editor', workspaceId: 'ws-1', state: 'normal' });
+  store.flush();
+
+  assert.equal(selectors.desktop.dataset.taskbarEdge, 'bottom');
+  const contextMenu = (target, init = {}) =>
+    target.dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true, ...init }));
+  const menuItem = (label) =>
+    Array.from(document.querySelectorAll('.context-menu-item')).find((item) => item.textContent.trim() === label);
+
+  contextMenu(selectors.taskbar);
+  assert.ok(document.querySelector('.taskbar-settings-menu'));
+  assert.equal(menuItem('Taskbar at the bottom').getAttribute('aria-checked'), 'true');
+
+  menuItem('Taskbar on the left').click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  store.flush();
+  assert.equal(document.querySelector('.taskbar-settings-menu'), null);
+  assert.equal(selectors.desktop.dataset.taskbarEdge, 'left');
+  assert.equal(JSON.parse(storage.getItem('shelled.taskbar.v1')).edge, 'left');
+
+  store.setTaskbarSettings({ autoHide: true, collapsed: false });
+  store.flush();
+  assert.equal(selectors.desktop.dataset.taskbarAutoHide, 'true');
+  assert.equal(selectors.desktop.dataset.taskbarCollapsed, 'false');
+  assert.equal(selectors.taskbarWindows.querySelector('.taskbar-item__label').textContent, 'Editor');
+
+  // A window's menu opens to the right of a left-edge taskbar and keeps an
+  // auto-hiding taskbar shown until it closes.
+  selectors.taskbar.getBoundingClientRect = () => rect({ width: 68, height: 800 });
+  contextMenu(selectors.taskbarWindows.querySelector('.taskbar-item'), { clientX: 30, clientY: 300 });
+  const windowMenu = document.querySelector('.taskbar-context-menu');
+  assert.equal(windowMenu.style.left, '76px');
+  assert.equal(windowMenu.style.top, '300px');
+  assert.ok(selectors.taskbar.classList.contains('taskbar--revealed'));
+
+  document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Escape' }));
+  assert.equal(document.querySelector('.taskbar-context-menu'), null);
+  assert.ok(!selectors.taskbar.classList.contains('taskbar--revealed'));
+
+  // Ctrl+Esc moves focus into the taskbar, which reveals it.
+  document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Escape', ctrlKey: true }));
+  assert.equal(document.activeElement, selectors.taskbarWindows.querySelector('.taskbar-item'));
+
+  // Saved settings are restored on the next start.
+  const restarted = createShellStateStore();
+  persistTaskbarSettings(restarted, { storage });
+  assert.deepEqual(restarted.getState().taskbarSettings, {
+    monitorMode: 'perMonitor',
+    edge: 'left',
+    scope: 'currentWorkspace',
+    collapsed: false,
+    grouping: 'always',
+    autoHide: true,
+    pinnedAppIds: [],
+    order: [],
+  });
+
+  disconnect();
+  stopPersisting();
+});
+
+test('the host is told which edge to keep clear', (t) => {
+  const { selectors } = setupDom(t);
+  selectors.taskbar.getBoundingClientRect = () => rect({ top: 712, width: 1280, height: 88 });
+  const calls = [];
+  const bridge = {
+    supports: (name) => name === 'setTaskbarPlacement',
+    setTaskbarPlacement: (edge, thickness) => calls.push([edge, thickness]),
+  };
+  const store = createShellStateStore();
+  const stop = reportTaskbarPlacement(store, bridge, selectors.taskbar);
+
+  selectors.taskbar.getBoundingClientRect = () => rect({ width: 72, height: 800 });
+  store.setTaskbarSettings({ edge: 'right' });
+  store.flush();
+  store.setTaskbarSettings({ autoHide: true });
+  store.flush();
+
+  assert.deepEqual(calls, [['bottom', 88], ['right', 72], ['right', 0]]);
+  stop();
+});
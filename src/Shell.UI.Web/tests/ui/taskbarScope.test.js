@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import shellBridge from '../../src/js/bridge/api.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { connectRenderer } from '../../src/js/ui/renderers.js';
+import { wireInteractions } from '../../src/js/ui/interactions.js';
+import { setupDom } from './taskbarDom.js';
+
+test('the taskbar can list every workspace and switches before focusing', async (t) => {
+  const { dom, selectors } = setupDom(t);
+  const store = createShellStateStore({
+    workspaces: [
+      { id: 'ws-1', name: 'Main' },
+      { id: 'ws-2', name: 'Other' },
+    ],
+    activeWorkspaceId: 'ws-1',
+  });
+  const disconnect = connectRenderer(store, selectors);
+  wireInteractions(selectors, store);
+
+  const calls = [];
+  const stubs = {
+    switchWorkspace: async (workspaceId) => {
+      calls.push(['switchWorkspace', workspaceId]);
+      store.setActiveWorkspace(workspaceId);
+      return true;
+    },
+    focusWindow: async (hwnd) => {
+      calls.push(['focusWindow', hwnd]);
+      return true;
+    },
+  };
+  const originals = Object.fromEntries(Object.keys(stubs).map((key) => [key, shellBridge[key]]));
+  Object.assign(shellBridge, stubs);
+  t.after(() => Object.assign(shellBridge, originals));
+
+  store.upsertWindow({ hwnd: '1', appId: 'editor', title: 'Editor', workspaceId: 'ws-1' });
+  store.upsertWindow({ hwnd: '2', appId: 'mail', title: 'Mail', workspaceId: 'ws-2' });
+  store.flush();
+
+  const items = () => Array.from(selectors.taskbarWindows.querySelectorAll('.taskbar-item'));
+  const badges = () => items().map((item) => item.querySelector('.taskbar-item__workspace')?.textContent ?? null);
+  assert.deepEqual(items().map((item) => item.title), ['Editor']);
+
+  selectors.taskbar.dispatchEvent(new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+  Array.from(document.querySelectorAll('.context-menu-item'))
+    .find((item) => item.textContent.trim() === 'Show windows from all workspaces')
+    .click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  store.flush();
+
+  // Windows elsewhere are badged with their workspace's number.
+  assert.deepEqual(items().map((item) => item.title), ['Editor', 'Mail']);
+  assert.deepEqual(badges(), [null, '2']);
+  assert.equal(items()[1].getAttribute('aria-label'), 'Focus Mail, on Other');
+
+  items()[1].click();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  store.flush();
+  assert.deepEqual(calls, [
+    ['switchWorkspace', 'ws-2'],
+    ['focusWindow', '2'],
+  ]);
+  assert.deepEqual(badges(), ['1', null]);
+
+  disconnect();
+});
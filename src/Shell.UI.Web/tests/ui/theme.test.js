@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { ShellBridge } from '../../src/js/bridge/api.js';
+import { ShellEventHandler } from '../../src/js/bridge/events.js';
+import { createShellStateStore } from '../../src/js/state/store.js';
+import { createThemeManager, followHostTheme } from '../../src/js/ui/theme.js';
+
+const THEMES_DIR = new URL('../../src/themes/', import.meta.url);
+
+// Reads the shipped theme packs; `extra` stands in for user theme files.
+function createLoader(extra = {}) {
+  const loaded = [];
+  return {
+    loaded,
+    async loadTheme(name) {
+      loaded.push(name);
+      if (extra[name]) {
+        return extra[name];
+      }
+      return JSON.parse(await readFile(new URL(`${name}.json`, THEMES_DIR), 'utf8'));
+    },
+  };
+}
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+function createRoot(t) {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+  t.after(() => dom.window.close());
+  return dom.window.document.documentElement;
+}
+
+const token = (root, name) => root.style.getPropertyValue(`--${name}`);
+
+test('themes switch live, inherit tokens and persist the choice', async (t) => {
+  const root = createRoot(t);
+  const storage = createMemoryStorage();
+  const loader = createLoader({
+    contoso: { name: 'Contoso', extends: 'light', tokens: { accent: '#e4002b', 'brand-logo': 'none' } },
+    broken: ['not', 'a', 'theme'],
+  });
+  const themes = createThemeManager({ root, storage, loadTheme: loader.loadTheme });
+
+  assert.equal(await themes.apply(), 'dark');
+  assert.equal(token(root, 'panel-text'), '#e3e8ff');
+  assert.equal(root.dataset.theme, 'dark');
+
+  await themes.setTheme('contoso');
+  assert.equal(token(root, 'accent'), '#e4002b');
+  assert.equal(token(root, 'contrast'), '#0c111f', 'inherited from light');
+  assert.equal(token(root, 'brand-logo'), 'none');
+  assert.equal(root.style.getPropertyValue('color-scheme'), 'light');
+
+  await themes.setTheme('dark');
+  assert.equal(token(root, 'accent'), '#58a6ff');
+  assert.equal(token(root, 'brand-logo'), '', 'tokens the new theme lacks are removed');
+  assert.equal(await themes.setTheme('broken'), null);
+  assert.equal(root.dataset.theme, 'dark', 'a theme that fails to load leaves the current one');
+  assert.throws(() => themes.setTheme('../secrets'), TypeError);
+
+  await themes.setTheme('light');
+  assert.deepEqual(loader.loaded.filter((name) => name === 'light'), ['light'], 'theme files are cached');
+  const reloaded = createThemeManager({ root, storage, loadTheme: loader.loadTheme });
+  assert.equal(reloaded.getPreference().theme, 'light');
+});
+
+test('the system theme follows the host accent colour and dark mode', async (t) => {
+  const root = createRoot(t);
+  const bridge = new ShellBridge({ transport: null, hostObject: {} });
+  const store = createShellStateStore();
+  new ShellEventHandler(store, bridge).startListening();
+
+  const themes = createThemeManager({ root, storage: createMemoryStorage(), loadTheme: createLoader().loadTheme });
+  await themes.setTheme('system');
+  await themes.setFollowAccent(true);
+  followHostTheme(store, themes);
+
+  bridge.handleMessage({ type: 'themeChanged', data: { accentColor: '#0078D4', isDarkMode: false } });
+  store.flush();
+  await themes.apply();
+  assert.deepEqual(store.getState().hostTheme, { accentColor: '#0078d4', isDarkMode: false, isHighContrast: false });
+  assert.equal(root.dataset.theme, 'light');
+  assert.equal(token(root, 'accent'), '#0078d4');
+
+  bridge.handleMessage({ type: 'themeChanged', data: { accentColor: '#0078d4', isDarkMode: true, isHighContrast: true } });
+  store.flush();
+  await themes.apply();
+  assert.equal(root.dataset.theme, 'high-contrast');
+  assert.equal(token(root, 'accent'), '#ffff00', 'high contrast keeps its own accent');
+});